@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "InventoryMovementReason" AS ENUM ('SALE', 'REFUND_RESTOCK', 'MANUAL_ADJUSTMENT', 'IMPORT');
+
+-- CreateTable
+CREATE TABLE "inventory_movements" (
+    "id" TEXT NOT NULL,
+    "productVariantId" TEXT NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "stockAfter" INTEGER NOT NULL,
+    "reason" "InventoryMovementReason" NOT NULL,
+    "actorId" TEXT,
+    "orderId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "inventory_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inventory_movements_productVariantId_createdAt_idx" ON "inventory_movements"("productVariantId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "inventory_movements" ADD CONSTRAINT "inventory_movements_productVariantId_fkey" FOREIGN KEY ("productVariantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_movements" ADD CONSTRAINT "inventory_movements_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "CheckoutSessionStatus" AS ENUM ('PENDING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "checkout_sessions" (
+    "id" TEXT NOT NULL,
+    "razorpayOrderId" TEXT NOT NULL,
+    "userId" TEXT,
+    "orderData" JSONB NOT NULL,
+    "status" "CheckoutSessionStatus" NOT NULL DEFAULT 'PENDING',
+    "orderId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "checkout_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "payment_webhook_events" (
+    "id" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payment_webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "checkout_sessions_razorpayOrderId_key" ON "checkout_sessions"("razorpayOrderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_webhook_events_eventId_key" ON "payment_webhook_events"("eventId");
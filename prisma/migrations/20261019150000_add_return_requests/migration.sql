@@ -0,0 +1,76 @@
+-- AlterEnum
+ALTER TYPE "InventoryMovementReason" ADD VALUE 'RETURN_RESTOCK';
+ALTER TYPE "InventoryMovementReason" ADD VALUE 'EXCHANGE_RESERVE';
+ALTER TYPE "InventoryMovementReason" ADD VALUE 'EXCHANGE_RELEASE';
+
+-- CreateEnum
+CREATE TYPE "ReturnType" AS ENUM ('RETURN', 'EXCHANGE');
+
+-- CreateEnum
+CREATE TYPE "ReturnReason" AS ENUM ('WRONG_SIZE', 'DAMAGED', 'DEFECTIVE', 'NOT_AS_DESCRIBED', 'WRONG_ITEM', 'CHANGED_MIND', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "ReturnStatus" AS ENUM ('REQUESTED', 'APPROVED', 'REJECTED', 'RECEIVED', 'REFUNDED', 'EXCHANGED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "return_requests" (
+    "id" TEXT NOT NULL,
+    "returnNumber" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "userId" TEXT,
+    "type" "ReturnType" NOT NULL DEFAULT 'RETURN',
+    "reason" "ReturnReason" NOT NULL,
+    "description" TEXT,
+    "photos" JSONB,
+    "status" "ReturnStatus" NOT NULL DEFAULT 'REQUESTED',
+    "adminNotes" TEXT,
+    "rejectionReason" TEXT,
+    "refundId" TEXT,
+    "replacementOrderId" TEXT,
+    "approvedAt" TIMESTAMP(3),
+    "receivedAt" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "return_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "return_items" (
+    "id" TEXT NOT NULL,
+    "returnRequestId" TEXT NOT NULL,
+    "orderItemId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "exchangeVariantId" TEXT,
+    "replacementReserved" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "return_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "return_requests_returnNumber_key" ON "return_requests"("returnNumber");
+
+-- CreateIndex
+CREATE INDEX "return_requests_orderId_idx" ON "return_requests"("orderId");
+
+-- CreateIndex
+CREATE INDEX "return_requests_status_idx" ON "return_requests"("status");
+
+-- CreateIndex
+CREATE INDEX "return_items_orderItemId_idx" ON "return_items"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_returnRequestId_fkey" FOREIGN KEY ("returnRequestId") REFERENCES "return_requests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_exchangeVariantId_fkey" FOREIGN KEY ("exchangeVariantId") REFERENCES "product_variants"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "InventoryMovementReason" ADD VALUE 'CANCELLATION_RESTOCK';
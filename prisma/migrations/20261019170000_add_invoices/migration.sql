@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "subcategories" ADD COLUMN     "gstRate" DOUBLE PRECISION,
+ADD COLUMN     "hsnCode" TEXT;
+
+-- CreateTable
+CREATE TABLE "invoices" (
+    "id" TEXT NOT NULL,
+    "invoiceNumber" TEXT NOT NULL,
+    "financialYear" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "buyerGstin" TEXT,
+    "placeOfSupply" TEXT NOT NULL,
+    "isInterState" BOOLEAN NOT NULL,
+    "taxableAmount" DOUBLE PRECISION NOT NULL,
+    "cgst" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "sgst" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "igst" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "invoice_sequences" (
+    "financialYear" TEXT NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "invoice_sequences_pkey" PRIMARY KEY ("financialYear")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_invoiceNumber_key" ON "invoices"("invoiceNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_orderId_key" ON "invoices"("orderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_financialYear_sequence_key" ON "invoices"("financialYear", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "StatusChangeSource" AS ENUM ('ADMIN', 'CUSTOMER', 'SYSTEM', 'WEBHOOK');
+
+-- CreateTable
+CREATE TABLE "order_status_audits" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "fromStatus" "OrderStatus",
+    "toStatus" "OrderStatus",
+    "fromPaymentStatus" "PaymentStatus",
+    "toPaymentStatus" "PaymentStatus",
+    "source" "StatusChangeSource" NOT NULL,
+    "changedById" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_status_audits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_status_audits_orderId_createdAt_idx" ON "order_status_audits"("orderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "order_status_audits" ADD CONSTRAINT "order_status_audits_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_status_audits" ADD CONSTRAINT "order_status_audits_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "emailVerificationSentAt" TIMESTAMP(3);
@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "KycStatus" AS ENUM ('PENDING', 'NEEDS_INFO', 'APPROVED', 'REJECTED', 'SUSPENDED');
+
+-- AlterTable
+ALTER TABLE "wholesaler_profiles" ADD COLUMN     "kycStatus" "KycStatus" NOT NULL DEFAULT 'PENDING',
+ADD COLUMN     "kycReason" TEXT,
+ADD COLUMN     "kycReviewedAt" TIMESTAMP(3),
+ADD COLUMN     "kycReviewedBy" TEXT,
+ADD COLUMN     "kycSubmittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Backfill: wholesalers approved before KYC statuses existed
+UPDATE "wholesaler_profiles" AS wp
+SET "kycStatus" = 'APPROVED',
+    "kycReviewedAt" = u."approvedAt",
+    "kycReviewedBy" = u."approvedBy"
+FROM "users" AS u
+WHERE wp."userId" = u."id" AND u."isApproved" = true;
+
+UPDATE "wholesaler_profiles" SET "kycSubmittedAt" = "createdAt";
+
+-- CreateIndex
+CREATE INDEX "wholesaler_profiles_kycStatus_idx" ON "wholesaler_profiles"("kycStatus");
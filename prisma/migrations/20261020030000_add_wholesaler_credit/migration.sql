@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "PaymentTerms" AS ENUM ('NET_15', 'NET_30');
+
+-- CreateEnum
+CREATE TYPE "CreditLedgerType" AS ENUM ('INVOICE', 'PAYMENT', 'CREDIT_NOTE');
+
+-- AlterTable
+ALTER TABLE "wholesaler_profiles" ADD COLUMN     "creditLimit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "paymentTerms" "PaymentTerms",
+ADD COLUMN     "creditBalance" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "credit_ledger_entries" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" "CreditLedgerType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "balanceAfter" DOUBLE PRECISION NOT NULL,
+    "orderId" TEXT,
+    "dueDate" TIMESTAMP(3),
+    "amountSettled" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "settledAt" TIMESTAMP(3),
+    "paymentMethod" TEXT,
+    "reference" TEXT,
+    "note" TEXT,
+    "recordedById" TEXT,
+    "lastReminderAt" TIMESTAMP(3),
+    "reminderCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "credit_ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "credit_ledger_entries_userId_createdAt_idx" ON "credit_ledger_entries"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "credit_ledger_entries_type_settledAt_dueDate_idx" ON "credit_ledger_entries"("type", "settledAt", "dueDate");
+
+-- CreateIndex
+CREATE INDEX "credit_ledger_entries_orderId_idx" ON "credit_ledger_entries"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "credit_ledger_entries" ADD CONSTRAINT "credit_ledger_entries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "credit_ledger_entries" ADD CONSTRAINT "credit_ledger_entries_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "credit_ledger_entries" ADD CONSTRAINT "credit_ledger_entries_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
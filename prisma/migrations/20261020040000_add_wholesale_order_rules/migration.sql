@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "wholesaleMinQuantity" INTEGER,
+ADD COLUMN     "wholesalePackSize" INTEGER;
+
+-- AlterTable
+ALTER TABLE "subcategories" ADD COLUMN     "wholesaleMinQuantity" INTEGER,
+ADD COLUMN     "wholesalePackSize" INTEGER;
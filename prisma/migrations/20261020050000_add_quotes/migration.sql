@@ -0,0 +1,67 @@
+-- CreateEnum
+CREATE TYPE "QuoteStatus" AS ENUM ('REQUESTED', 'QUOTED', 'ACCEPTED', 'DECLINED', 'CANCELLED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "quotes" (
+    "id" TEXT NOT NULL,
+    "quoteNumber" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" "QuoteStatus" NOT NULL DEFAULT 'REQUESTED',
+    "buyerNote" TEXT,
+    "adminNote" TEXT,
+    "validUntil" TIMESTAMP(3),
+    "subtotal" DOUBLE PRECISION,
+    "respondedAt" TIMESTAMP(3),
+    "respondedById" TEXT,
+    "acceptedAt" TIMESTAMP(3),
+    "orderId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "quotes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "quote_items" (
+    "id" TEXT NOT NULL,
+    "quoteId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productVariantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "quotedPrice" DOUBLE PRECISION,
+
+    CONSTRAINT "quote_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotes_quoteNumber_key" ON "quotes"("quoteNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotes_orderId_key" ON "quotes"("orderId");
+
+-- CreateIndex
+CREATE INDEX "quotes_userId_createdAt_idx" ON "quotes"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "quotes_status_validUntil_idx" ON "quotes"("status", "validUntil");
+
+-- CreateIndex
+CREATE INDEX "quote_items_quoteId_idx" ON "quote_items"("quoteId");
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_respondedById_fkey" FOREIGN KEY ("respondedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_items" ADD CONSTRAINT "quote_items_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "quotes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_items" ADD CONSTRAINT "quote_items_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_items" ADD CONSTRAINT "quote_items_productVariantId_fkey" FOREIGN KEY ("productVariantId") REFERENCES "product_variants"("id") ON DELETE SET NULL ON UPDATE CASCADE;
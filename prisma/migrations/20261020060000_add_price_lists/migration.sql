@@ -0,0 +1,78 @@
+-- CreateEnum
+CREATE TYPE "PriceListAdjustment" AS ENUM ('FIXED_PRICE', 'PERCENT_OFF');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "customerGroupId" TEXT;
+
+-- CreateTable
+CREATE TABLE "customer_groups" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "priceListId" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "customer_groups_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "price_lists" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "price_lists_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "price_list_entries" (
+    "id" TEXT NOT NULL,
+    "priceListId" TEXT NOT NULL,
+    "productId" TEXT,
+    "subcategoryId" TEXT,
+    "adjustment" "PriceListAdjustment" NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "price_list_entries_pkey" PRIMARY KEY ("id"),
+    -- Each entry targets exactly one product or one subcategory
+    CONSTRAINT "price_list_entries_target_check" CHECK (("productId" IS NULL) <> ("subcategoryId" IS NULL))
+);
+
+-- CreateIndex
+CREATE INDEX "users_customerGroupId_idx" ON "users"("customerGroupId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "customer_groups_name_key" ON "customer_groups"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_lists_name_key" ON "price_lists"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_list_entries_priceListId_productId_key" ON "price_list_entries"("priceListId", "productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_list_entries_priceListId_subcategoryId_key" ON "price_list_entries"("priceListId", "subcategoryId");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_customerGroupId_fkey" FOREIGN KEY ("customerGroupId") REFERENCES "customer_groups"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_groups" ADD CONSTRAINT "customer_groups_priceListId_fkey" FOREIGN KEY ("priceListId") REFERENCES "price_lists"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_list_entries" ADD CONSTRAINT "price_list_entries_priceListId_fkey" FOREIGN KEY ("priceListId") REFERENCES "price_lists"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_list_entries" ADD CONSTRAINT "price_list_entries_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_list_entries" ADD CONSTRAINT "price_list_entries_subcategoryId_fkey" FOREIGN KEY ("subcategoryId") REFERENCES "subcategories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "PromotionType" AS ENUM ('BUY_X_GET_Y', 'BUNDLE_PRICE', 'CATEGORY_DISCOUNT', 'FREE_SHIPPING');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "promotionDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "appliedPromotions" JSONB;
+
+-- CreateTable
+CREATE TABLE "promotions" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "PromotionType" NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "buyQuantity" INTEGER,
+    "getQuantity" INTEGER,
+    "bundlePrice" DOUBLE PRECISION,
+    "discountPercent" DOUBLE PRECISION,
+    "minOrderAmount" DOUBLE PRECISION,
+    "categoryId" TEXT,
+    "subcategoryId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promotion_products" (
+    "id" TEXT NOT NULL,
+    "promotionId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promotion_products_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "promotions_isActive_idx" ON "promotions"("isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotion_products_promotionId_productId_key" ON "promotion_products"("promotionId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "promotions" ADD CONSTRAINT "promotions_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotions" ADD CONSTRAINT "promotions_subcategoryId_fkey" FOREIGN KEY ("subcategoryId") REFERENCES "subcategories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_products" ADD CONSTRAINT "promotion_products_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "promotions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_products" ADD CONSTRAINT "promotion_products_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
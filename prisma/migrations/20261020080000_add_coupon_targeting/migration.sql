@@ -0,0 +1,70 @@
+-- CreateEnum
+CREATE TYPE "CouponScopeMode" AS ENUM ('INCLUDE', 'EXCLUDE');
+
+-- AlterTable
+ALTER TABLE "coupons" ADD COLUMN     "perUserLimit" INTEGER,
+ADD COLUMN     "firstOrderOnly" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "allowedRoles" "UserRole"[];
+
+-- CreateTable
+CREATE TABLE "coupon_scopes" (
+    "id" TEXT NOT NULL,
+    "couponId" TEXT NOT NULL,
+    "mode" "CouponScopeMode" NOT NULL,
+    "categoryId" TEXT,
+    "subcategoryId" TEXT,
+    "productId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "coupon_scopes_pkey" PRIMARY KEY ("id"),
+    -- Each scope targets exactly one category, subcategory or product
+    CONSTRAINT "coupon_scopes_target_check" CHECK (num_nonnulls("categoryId", "subcategoryId", "productId") = 1)
+);
+
+-- CreateTable
+CREATE TABLE "coupon_redemptions" (
+    "id" TEXT NOT NULL,
+    "couponId" TEXT NOT NULL,
+    "userId" TEXT,
+    "orderId" TEXT NOT NULL,
+    "discount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "coupon_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- Existing coupon orders count towards per-customer limits
+INSERT INTO "coupon_redemptions" ("id", "couponId", "userId", "orderId", "discount", "createdAt")
+SELECT 'cr_' || "id", "couponId", "userId", "id", "discount", "createdAt"
+FROM "orders"
+WHERE "couponId" IS NOT NULL AND "status" <> 'CANCELLED';
+
+-- CreateIndex
+CREATE INDEX "coupon_scopes_couponId_idx" ON "coupon_scopes"("couponId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coupon_redemptions_orderId_key" ON "coupon_redemptions"("orderId");
+
+-- CreateIndex
+CREATE INDEX "coupon_redemptions_couponId_userId_idx" ON "coupon_redemptions"("couponId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "coupon_scopes" ADD CONSTRAINT "coupon_scopes_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "coupons"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_scopes" ADD CONSTRAINT "coupon_scopes_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_scopes" ADD CONSTRAINT "coupon_scopes_subcategoryId_fkey" FOREIGN KEY ("subcategoryId") REFERENCES "subcategories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_scopes" ADD CONSTRAINT "coupon_scopes_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "coupons"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "invoice_lines" (
+    "id" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "description" TEXT NOT NULL,
+    "hsnCode" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "taxableAmount" DOUBLE PRECISION NOT NULL,
+    "gstRate" DOUBLE PRECISION NOT NULL,
+    "cgst" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "sgst" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "igst" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "invoice_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoice_lines_invoiceId_position_key" ON "invoice_lines"("invoiceId", "position");
+
+-- AddForeignKey
+ALTER TABLE "invoice_lines" ADD CONSTRAINT "invoice_lines_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "invoices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
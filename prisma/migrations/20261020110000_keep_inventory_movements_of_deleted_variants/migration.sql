@@ -0,0 +1,24 @@
+-- DropForeignKey
+ALTER TABLE "inventory_movements" DROP CONSTRAINT "inventory_movements_productVariantId_fkey";
+
+-- AlterTable
+ALTER TABLE "inventory_movements" ALTER COLUMN "productVariantId" DROP NOT NULL,
+ADD COLUMN     "productId" TEXT,
+ADD COLUMN     "sku" TEXT,
+ADD COLUMN     "color" TEXT,
+ADD COLUMN     "size" TEXT;
+
+-- Snapshot the variant on existing rows
+UPDATE "inventory_movements" AS m
+SET "productId" = v."productId",
+    "sku" = v."sku",
+    "color" = v."color",
+    "size" = v."size"
+FROM "product_variants" AS v
+WHERE m."productVariantId" = v."id";
+
+-- CreateIndex
+CREATE INDEX "inventory_movements_productId_createdAt_idx" ON "inventory_movements"("productId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "inventory_movements" ADD CONSTRAINT "inventory_movements_productVariantId_fkey" FOREIGN KEY ("productVariantId") REFERENCES "product_variants"("id") ON DELETE SET NULL ON UPDATE CASCADE;
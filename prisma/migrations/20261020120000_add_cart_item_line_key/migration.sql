@@ -0,0 +1,23 @@
+-- Fold duplicate cart lines into the oldest row before the key is enforced
+WITH "lines" AS (
+    SELECT "id",
+           ROW_NUMBER() OVER (PARTITION BY "cartId", "productId", "productVariantId" ORDER BY "createdAt", "id") AS "position",
+           SUM("quantity") OVER (PARTITION BY "cartId", "productId", "productVariantId") AS "total"
+    FROM "cart_items"
+)
+UPDATE "cart_items" AS i
+SET "quantity" = l."total"
+FROM "lines" AS l
+WHERE i."id" = l."id" AND l."position" = 1;
+
+DELETE FROM "cart_items" AS i
+USING (
+    SELECT "id",
+           ROW_NUMBER() OVER (PARTITION BY "cartId", "productId", "productVariantId" ORDER BY "createdAt", "id") AS "position"
+    FROM "cart_items"
+) AS l
+WHERE i."id" = l."id" AND l."position" > 1;
+
+-- CreateIndex
+-- NULLS NOT DISTINCT (PostgreSQL 15+) so products without variants get one line per cart too
+CREATE UNIQUE INDEX "cart_items_cartId_productId_productVariantId_key" ON "cart_items"("cartId", "productId", "productVariantId") NULLS NOT DISTINCT;
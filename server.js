@@ -2,6 +2,9 @@ import app from './src/app.js';
 import { PORT, NODE_ENV } from './src/config/index.js';
 import prisma from './src/config/database.js';
 import logger from './src/utils/logger.js';
+import stockReservationService from './src/services/stockReservationService.js';
+import creditService from './src/services/creditService.js';
+import quoteService from './src/services/quoteService.js';
 import bcrypt from 'bcryptjs';
 
 const createAdminIfNotExists = async () => {
@@ -37,6 +40,28 @@ async function startServer() {
     logger.info('✅ Database connection established successfully');
 
     await createAdminIfNotExists();
+
+    // Mark lapsed checkout stock reservations as expired
+    setInterval(() => {
+      stockReservationService.releaseExpiredReservations().catch((error) => {
+        logger.error('Failed to expire stock reservations:', error);
+      });
+    }, 60 * 1000);
+
+    // Email wholesalers about overdue pay-later invoices
+    setInterval(() => {
+      creditService.sendOverdueReminders().catch((error) => {
+        logger.error('Failed to send credit overdue reminders:', error);
+      });
+    }, 60 * 60 * 1000);
+
+    // Close wholesale quotes whose prices are no longer valid
+    setInterval(() => {
+      quoteService.expireQuotes().catch((error) => {
+        logger.error('Failed to expire quotes:', error);
+      });
+    }, 60 * 60 * 1000);
+
     // Start server
     app.listen(PORT, () => {
       logger.info(`🚀 Server running on port ${PORT}`);
@@ -7,9 +7,16 @@ import 'dotenv/config';
 
 import routes from './routes/index.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { auditLogger } from './middleware/auditLog.js';
+import { TRUST_PROXY } from './config/index.js';
 
 const app = express();
 
+// Rate limits are keyed on req.ip, which is the proxy's address unless this is set
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY);
+}
+
 // Security Middleware
 app.use(helmet());
 const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(",") || [];
@@ -31,11 +38,19 @@ app.use(compression());
 app.use(morgan('combined'));
 
 // Body Parser
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Razorpay webhook signatures are computed over the unparsed body
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/orders/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
-app.use('/api', routes);
+app.use('/api', auditLogger, routes);
 
 // Health Check
 app.get('/health', (req, res) => {
@@ -14,35 +14,37 @@ try {
     errorFormat: 'pretty'
   });
   
-  // Test connection on startup
-  prisma.$connect()
-    .then(async () => {
-      logger.info('✅ Database connected successfully');
+  // Test connection on startup - unit tests (NODE_ENV=test) never touch the database
+  if (process.env.NODE_ENV !== 'test') {
+    prisma.$connect()
+      .then(async () => {
+        logger.info('✅ Database connected successfully');
       
-      // Initialize all existing products to have customizations
-      try {
-        await CustomizationService.ensureAllProductsHaveCustomization();
-        await CustomizationService.activateAllCustomizations();
-        logger.info('✅ All products initialized with customizations');
-      } catch (error) {
-        logger.error('Error initializing product customizations:', error);
-      }
-    })
-    .catch((error) => {
-      logger.error('❌ Database connection failed:', {
-        message: error.message,
-        code: error.code,
-        meta: error.meta
-      });
+        // Initialize all existing products to have customizations
+        try {
+          await CustomizationService.ensureAllProductsHaveCustomization();
+          await CustomizationService.activateAllCustomizations();
+          logger.info('✅ All products initialized with customizations');
+        } catch (error) {
+          logger.error('Error initializing product customizations:', error);
+        }
+      })
+      .catch((error) => {
+        logger.error('❌ Database connection failed:', {
+          message: error.message,
+          code: error.code,
+          meta: error.meta
+        });
       
-      logger.error('💡 Troubleshooting steps:');
-      logger.error('   1. Check if database server is running');
-      logger.error('   2. Verify DATABASE_URL in environment variables');
-      logger.error('   3. Ensure database exists and is accessible');
-      logger.error('   4. Run: npx prisma generate');
+        logger.error('💡 Troubleshooting steps:');
+        logger.error('   1. Check if database server is running');
+        logger.error('   2. Verify DATABASE_URL in environment variables');
+        logger.error('   3. Ensure database exists and is accessible');
+        logger.error('   4. Run: npx prisma generate');
       
-      process.exit(1);
-    });
+        process.exit(1);
+      });
+  }
 } catch (error) {
   logger.error('❌ Prisma Client initialization failed:', {
     message: error.message,
@@ -54,7 +56,8 @@ try {
 }
 
 // Handle graceful shutdown
-process.on('beforeExit', async () => {
+// Once only - the async disconnect would otherwise schedule work and fire beforeExit again
+process.once('beforeExit', async () => {
   try {
     await prisma.$disconnect();
     logger.info('🔌 Database connection closed (beforeExit)');
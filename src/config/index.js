@@ -11,6 +11,8 @@ export const config = {
   // JWT
   JWT_SECRET: process.env.JWT_SECRET,
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+  ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_DAYS: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
   
   // AWS S3
   AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
@@ -28,6 +30,53 @@ export const config = {
   // Client URL
   CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:5173',
 
+  // Checkout
+  STOCK_RESERVATION_MINUTES: parseInt(process.env.STOCK_RESERVATION_MINUTES) || 15,
+  // Flat shipping charge per order; 0 means free shipping
+  SHIPPING_FEE: parseFloat(process.env.SHIPPING_FEE) || 0,
+
+  // Rate limiting and account lockout
+  RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+  // Number of proxies in front of the app, so req.ip is the real client address
+  TRUST_PROXY: parseInt(process.env.TRUST_PROXY) || 0,
+  LOGIN_MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  LOGIN_LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+
+  // Wholesaler KYC: how long a "more information needed" re-submission link stays valid
+  KYC_RESUBMISSION_DAYS: parseInt(process.env.KYC_RESUBMISSION_DAYS) || 14,
+
+  // Wholesaler credit: days between reminders for the same overdue invoice
+  CREDIT_REMINDER_INTERVAL_DAYS: parseInt(process.env.CREDIT_REMINDER_INTERVAL_DAYS) || 3,
+
+  // Wholesale quotes: how long quoted prices stay valid unless the admin sets a date
+  QUOTE_VALIDITY_DAYS: parseInt(process.env.QUOTE_VALIDITY_DAYS) || 7,
+
+  // Two-factor authentication
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'hanger garments',
+  TWO_FACTOR_REQUIRED_FOR_ADMINS: process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true',
+
+  // Email verification
+  EMAIL_VERIFICATION_HOURS: parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24,
+  EMAIL_VERIFICATION_RESEND_SECONDS: parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60,
+  REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT: process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === 'true',
+  REQUIRE_VERIFIED_EMAIL_FOR_COUPONS: process.env.REQUIRE_VERIFIED_EMAIL_FOR_COUPONS === 'true',
+
+  // SMS: twilio, console or file
+  SMS_PROVIDER: process.env.SMS_PROVIDER || 'twilio',
+  SMS_OUTBOX_FILE: process.env.SMS_OUTBOX_FILE || 'logs/sms-outbox.log',
+
+  // Returns
+  RETURN_WINDOW_DAYS: parseInt(process.env.RETURN_WINDOW_DAYS) || 7,
+
+  // GST invoices
+  SELLER_NAME: process.env.SELLER_NAME || 'hanger garments',
+  SELLER_ADDRESS: process.env.SELLER_ADDRESS || '',
+  SELLER_GSTIN: process.env.SELLER_GSTIN || '',
+  SELLER_STATE: process.env.SELLER_STATE || 'Tamil Nadu',
+  INVOICE_PREFIX: process.env.INVOICE_PREFIX || 'HG',
+  DEFAULT_HSN_CODE: process.env.DEFAULT_HSN_CODE || '6109',
+  DEFAULT_GST_RATE: parseFloat(process.env.DEFAULT_GST_RATE) || 5,
+
   // Logger
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   LOG_TO_FILE: process.env.LOG_TO_FILE || 'true'
@@ -39,6 +88,8 @@ export const {
   DATABASE_URL,
   JWT_SECRET,
   JWT_EXPIRES_IN,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_DAYS,
   AWS_ACCESS_KEY_ID,
   AWS_SECRET_ACCESS_KEY,
   AWS_REGION,
@@ -49,6 +100,31 @@ export const {
   SMTP_PASS,
   FROM_EMAIL,
   CLIENT_URL,
+  STOCK_RESERVATION_MINUTES,
+  SHIPPING_FEE,
+  RATE_LIMIT_ENABLED,
+  TRUST_PROXY,
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES,
+  KYC_RESUBMISSION_DAYS,
+  CREDIT_REMINDER_INTERVAL_DAYS,
+  QUOTE_VALIDITY_DAYS,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_REQUIRED_FOR_ADMINS,
+  EMAIL_VERIFICATION_HOURS,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT,
+  REQUIRE_VERIFIED_EMAIL_FOR_COUPONS,
+  SMS_PROVIDER,
+  SMS_OUTBOX_FILE,
+  RETURN_WINDOW_DAYS,
+  SELLER_NAME,
+  SELLER_ADDRESS,
+  SELLER_GSTIN,
+  SELLER_STATE,
+  INVOICE_PREFIX,
+  DEFAULT_HSN_CODE,
+  DEFAULT_GST_RATE,
   LOG_LEVEL,
   LOG_TO_FILE
 } = config;
@@ -0,0 +1,23 @@
+// controllers/auditLogController.js
+import { auditLogService } from '../services/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, actorId, entityType, entityId, action, from, to } = req.query;
+
+  const result = await auditLogService.getAuditLogs({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    actorId,
+    entityType,
+    entityId,
+    action,
+    from,
+    to
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
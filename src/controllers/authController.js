@@ -1,9 +1,33 @@
 // controllers/authController.js
-import { authService } from '../services/index.js';
-import { asyncHandler } from '../utils/helpers.js';
+import { authService, cartService, twoFactorService, wholesalerKycService } from '../services/index.js';
+import { sanitizeUser, normalizePhone } from '../services/authService.js';
+import { asyncHandler, isValidGstin } from '../utils/helpers.js';
+import { KYC_STATUS } from '../utils/constants.js';
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
 
+// Device details stored on the session so users can recognise it in their session list
+const getClientContext = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+// Carry the guest cart over to the account that just logged in, whichever way they logged in
+const mergeGuestCartOnLogin = async (req, userId) => {
+  const sessionId = req.headers['x-session-id'];
+  if (!sessionId) {
+    return;
+  }
+
+  try {
+    await cartService.mergeGuestCart(userId, sessionId);
+  } catch (mergeError) {
+    logger.error('Failed to merge guest cart on login', {
+      userId,
+      error: mergeError.message
+    });
+  }
+};
 
 export const register = asyncHandler(async (req, res) => {
   // Parse JSON fields from form-data
@@ -79,6 +103,13 @@ export const register = asyncHandler(async (req, res) => {
       }
     }
 
+    if (userData.gstNumber && !isValidGstin(userData.gstNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid GST number. Please check the 15-character GSTIN'
+      });
+    }
+
     if (businessType === 'WEBSITE') {
       if (!userData.websiteUrl) {
         return res.status(400).json({
@@ -124,7 +155,12 @@ export const register = asyncHandler(async (req, res) => {
       role,
       phone,
       businessType,
-    }, req.files || []);
+    }, req.files || [], getClientContext(req));
+
+    // Accounts that are logged straight in keep what they put in the cart as a guest
+    if (result.accessToken) {
+      await mergeGuestCartOnLogin(req, result.user.id);
+    }
 
     const message = role === 'WHOLESALER' 
       ? 'Wholesaler registered successfully. Your account is pending admin approval. You will be notified once approved.' 
@@ -151,7 +187,7 @@ export const register = asyncHandler(async (req, res) => {
 
 // Keep all other controller methods the same as before
 export const login = asyncHandler(async (req, res) => {
-  const result = await authService.login(req.body);
+  const result = await authService.login(req.body, getClientContext(req));
   
   // If OTP required, return that response
   if (result.requiresOTP) {
@@ -162,6 +198,10 @@ export const login = asyncHandler(async (req, res) => {
     });
   }
   
+  if (result.user?.id) {
+    await mergeGuestCartOnLogin(req, result.user.id);
+  }
+
   // If login successful, return user data and tokens
   res.status(200).json({
     success: true,
@@ -187,8 +227,8 @@ export const verifyOTP = asyncHandler(async (req, res) => {
     // After OTP verification, find user and generate tokens
     const user = await prisma.user.findFirst({
       where: { 
-        phone,
-        role: 'WHOLESALER',
+        phone: { endsWith: normalizePhone(phone) },
+        role: { in: ['WHOLESALER', 'CUSTOMER'] },
         isApproved: true
       },
       include: {
@@ -203,20 +243,47 @@ export const verifyOTP = asyncHandler(async (req, res) => {
       });
     }
 
-    const tokens = authService.generateTokens(user);
-    const { password: _, otpSecret: __, ...userData } = user;
+    const tokens = await authService.generateTokens(user, getClientContext(req));
+    await mergeGuestCartOnLogin(req, user.id);
     
     return res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        user: userData,
+        user: sanitizeUser(user),
         ...tokens
       }
     });
   }
 });
 
+// Retail customers can sign up with just a phone number and name
+export const registerWithPhone = asyncHandler(async (req, res) => {
+  const { phone, name } = req.body;
+
+  if (!phone || !name) {
+    return res.status(400).json({
+      success: false,
+      message: 'Phone number and name are required'
+    });
+  }
+
+  try {
+    const result = await authService.registerWithPhone({ phone, name });
+
+    res.status(200).json({
+      success: true,
+      requiresOTP: true,
+      message: result.message
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 export const resendOTP = asyncHandler(async (req, res) => {
   const { phone } = req.body;
 
@@ -239,32 +306,376 @@ export const resendOTP = asyncHandler(async (req, res) => {
 export const approveWholesaler = asyncHandler(async (req, res) => {
   const { wholesalerId } = req.params;
   
-  const approvedUser = await authService.approveWholesaler(wholesalerId, req.user.id);
+  try {
+    const approvedUser = await wholesalerKycService.approve(wholesalerId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Wholesaler approved successfully',
+      data: approvedUser
+    });
+  } catch (error) {
+    res.status(error.message === 'Wholesaler not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Approve, reject, suspend or ask a wholesaler for more information
+export const updateWholesalerKyc = asyncHandler(async (req, res) => {
+  const { wholesalerId } = req.params;
+  const { status, reason } = req.body;
+
+  if (!status) {
+    return res.status(400).json({
+      success: false,
+      message: 'KYC status is required'
+    });
+  }
+
+  try {
+    const updatedUser = await wholesalerKycService.updateStatus(wholesalerId, status, {
+      reason,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Wholesaler KYC status updated to ${status}`,
+      data: updatedUser
+    });
+  } catch (error) {
+    res.status(error.message === 'Wholesaler not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const getPendingWholesalers = asyncHandler(async (req, res) => {
+  const pendingWholesalers = await wholesalerKycService.getPendingWholesalers();
   
   res.status(200).json({
     success: true,
-    message: 'Wholesaler approved successfully',
-    data: approvedUser
+    data: pendingWholesalers
   });
 });
 
-export const getPendingWholesalers = asyncHandler(async (req, res) => {
-  const pendingWholesalers = await authService.getPendingWholesalers();
-  
+export const getWholesalers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, kycStatus, search } = req.query;
+
+  if (kycStatus && !Object.values(KYC_STATUS).includes(kycStatus)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid KYC status. Must be one of: ${Object.values(KYC_STATUS).join(', ')}`
+    });
+  }
+
+  const result = await wholesalerKycService.getWholesalers({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    kycStatus,
+    search
+  });
+
   res.status(200).json({
     success: true,
-    data: pendingWholesalers
+    data: result
   });
 });
 
+// Public: re-submission from the "more information needed" email link
+export const resubmitWholesalerKyc = asyncHandler(async (req, res) => {
+  const { token, ...updateData } = req.body;
+  const files = req.files || [];
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Re-submission token is required'
+    });
+  }
+
+  const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+  if (files.some(file => !allowedMimeTypes.includes(file.mimetype))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only JPEG, JPG, PNG, and WebP images are allowed'
+    });
+  }
+
+  try {
+    const profile = await wholesalerKycService.resubmit(token, updateData, files);
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you! Your details have been sent for review.',
+      data: profile
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 export const logout = asyncHandler(async (req, res) => {
-  await authService.logout(req.user.id);
+  await authService.logout(req.user.id, req.sessionId);
   res.status(200).json({
     success: true,
     message: 'Logout successful'
   });
 });
 
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification token is required'
+    });
+  }
+
+  try {
+    const result = await authService.verifyEmail(token);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  try {
+    const result = await authService.resendVerificationEmail(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Second login step for admins with two-factor authentication
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code } = req.body;
+
+  if (!twoFactorToken || !code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor token and code are required'
+    });
+  }
+
+  try {
+    const result = await authService.completeTwoFactorLogin(twoFactorToken, code, getClientContext(req));
+    await mergeGuestCartOnLogin(req, result.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: result
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authentication code is required'
+    });
+  }
+
+  try {
+    const result = await twoFactorService.confirmEnrollment(req.user.id, code);
+
+    // Sessions opened with just the password shouldn't outlive enrollment
+    await authService.revokeAllSessions(req.user.id, { exceptSessionId: req.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password and authentication code are required'
+    });
+  }
+
+  try {
+    await twoFactorService.disable(req.user.id, { password, code });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authentication code is required'
+    });
+  }
+
+  try {
+    const result = await twoFactorService.regenerateBackupCodes(req.user.id, code);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token is required'
+    });
+  }
+
+  try {
+    const tokens = await authService.refreshTokens(refreshToken, getClientContext(req));
+
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await authService.listSessions(req.user.id, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    data: sessions
+  });
+});
+
+export const revokeSession = asyncHandler(async (req, res) => {
+  try {
+    await authService.revokeSession(req.user.id, req.params.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ?keepCurrent=true signs out every other device
+export const revokeAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+
+  const count = await authService.revokeAllSessions(req.user.id, {
+    exceptSessionId: keepCurrent ? req.sessionId : undefined
+  });
+
+  res.status(200).json({
+    success: true,
+    message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+    data: { revokedCount: count }
+  });
+});
+
 // Add to controllers/authController.js
 
 export const adminForgotPassword = asyncHandler(async (req, res) => {
@@ -0,0 +1,131 @@
+// controllers/cartController.js
+import { cartService } from '../services/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Guests identify their cart with the X-Session-Id header
+const getCartOwner = (req) => ({
+  userId: req.user?.id,
+  sessionId: req.headers['x-session-id'],
+  isWholesaleUser: req.user?.role === 'WHOLESALER'
+});
+
+export const getCart = asyncHandler(async (req, res) => {
+  try {
+    const cart = await cartService.getCart(getCartOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const addCartItem = asyncHandler(async (req, res) => {
+  const { productId, productVariantId, quantity = 1 } = req.body;
+
+  if (!productId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Product ID is required'
+    });
+  }
+
+  try {
+    const cart = await cartService.addItem(getCartOwner(req), {
+      productId,
+      productVariantId: productVariantId || null,
+      quantity: parseInt(quantity)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Item added to cart',
+      data: cart
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const updateCartItem = asyncHandler(async (req, res) => {
+  const { itemId } = req.params;
+  const { quantity } = req.body;
+
+  if (quantity === undefined || quantity === null || isNaN(parseInt(quantity))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Quantity is required'
+    });
+  }
+
+  try {
+    const cart = await cartService.updateItem(getCartOwner(req), itemId, parseInt(quantity));
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart updated',
+      data: cart
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const removeCartItem = asyncHandler(async (req, res) => {
+  const { itemId } = req.params;
+
+  try {
+    const cart = await cartService.removeItem(getCartOwner(req), itemId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from cart',
+      data: cart
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const clearCart = asyncHandler(async (req, res) => {
+  try {
+    const cart = await cartService.clearCart(getCartOwner(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared',
+      data: cart
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const mergeGuestCart = asyncHandler(async (req, res) => {
+  const sessionId = req.body.sessionId || req.headers['x-session-id'];
+
+  const cart = await cartService.mergeGuestCart(req.user.id, sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Guest cart merged',
+    data: cart
+  });
+});
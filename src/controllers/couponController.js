@@ -1,5 +1,7 @@
 // controllers/couponController.js
 import couponService from '../services/couponService.js';
+import pricingService from '../services/pricingService.js';
+import priceListService from '../services/priceListService.js';
 import { asyncHandler } from '../utils/helpers.js';
 
 export const getCoupons = asyncHandler(async (req, res) => {
@@ -87,12 +89,31 @@ export const getCouponStats = asyncHandler(async (req, res) => {
   });
 });
 
+// Send `orderItems` to check item-restricted coupons; the subtotal then comes from the pricing engine
 export const validateCoupon = asyncHandler(async (req, res) => {
-  const { code, subtotal } = req.body;
+  const { code, orderItems } = req.body;
+  let { subtotal } = req.body;
   
   try {
-    const coupon = await couponService.validateCoupon(code, subtotal);
-    const discount = await couponService.calculateDiscount(coupon, subtotal);
+    const { isWholesaleUser, priceList } = await priceListService.getPricingContext(req.user);
+    let lines = null;
+
+    if (Array.isArray(orderItems) && orderItems.length > 0) {
+      const priced = await pricingService.priceLines(orderItems, { isWholesaleUser, priceList });
+      const summary = await pricingService.summarize(priced.filter(line => !line.error));
+      lines = summary.lines;
+      subtotal = summary.subtotal;
+    }
+
+    const coupon = await couponService.validateCoupon(code, subtotal, {
+      userId: req.user?.id,
+      isWholesaleUser,
+      lines
+    });
+    const discount = await couponService.calculateDiscount(
+      coupon,
+      lines ? couponService.getEligibleSubtotal(coupon, lines) : subtotal
+    );
     
     res.status(200).json({
       success: true,
@@ -113,7 +134,10 @@ export const validateCoupon = asyncHandler(async (req, res) => {
 export const getAvailableCoupons = asyncHandler(async (req, res) => {
   const { subtotal = 0 } = req.query;
   
-  const coupons = await couponService.getAvailableCoupons(Number(subtotal));
+  const coupons = await couponService.getAvailableCoupons(Number(subtotal), {
+    userId: req.user?.id,
+    isWholesaleUser: req.user?.role === 'WHOLESALER'
+  });
   
   res.status(200).json({
     success: true,
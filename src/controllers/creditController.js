@@ -0,0 +1,122 @@
+// controllers/creditController.js
+import { creditService } from '../services/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+const LEDGER_TYPES = ['INVOICE', 'PAYMENT', 'CREDIT_NOTE'];
+
+const sendLedger = async (res, userId, query) => {
+  const { page = 1, limit = 20, type } = query;
+
+  if (type && !LEDGER_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid entry type. Must be one of: ${LEDGER_TYPES.join(', ')}`
+    });
+  }
+
+  const result = await creditService.getLedger(userId, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    type
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+};
+
+// Wholesaler: own credit limit, balance and open invoices
+export const getMyCreditAccount = asyncHandler(async (req, res) => {
+  const account = await creditService.getAccount(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: account
+  });
+});
+
+export const getMyCreditLedger = asyncHandler(async (req, res) => {
+  await sendLedger(res, req.user.id, req.query);
+});
+
+// Admin
+export const getCreditAccount = asyncHandler(async (req, res) => {
+  try {
+    const account = await creditService.getAccount(req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const getCreditLedger = asyncHandler(async (req, res) => {
+  await sendLedger(res, req.params.userId, req.query);
+});
+
+export const updateCreditTerms = asyncHandler(async (req, res) => {
+  const { creditLimit, paymentTerms } = req.body;
+
+  try {
+    const account = await creditService.updateTerms(req.params.userId, { creditLimit, paymentTerms });
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit terms updated successfully',
+      data: account
+    });
+  } catch (error) {
+    res.status(error.message === 'Wholesaler not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const recordCreditPayment = asyncHandler(async (req, res) => {
+  const { amount, paymentMethod, reference, note } = req.body;
+
+  if (!amount) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payment amount is required'
+    });
+  }
+
+  try {
+    const result = await creditService.recordPayment(req.params.userId, {
+      amount,
+      paymentMethod,
+      reference,
+      note,
+      recordedById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.message === 'Wholesaler not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const getOverdueInvoices = asyncHandler(async (req, res) => {
+  const invoices = await creditService.getOverdueInvoices();
+
+  res.status(200).json({
+    success: true,
+    data: invoices
+  });
+});
@@ -1,7 +1,13 @@
 import orderService from '../services/orderService.js';
 import phonepeService from '../services/phonepeService.js';
 import razorpayService from '../services/razorpayService.js';
+import refundService from '../services/refundService.js';
+import invoiceService from '../services/invoiceService.js';
+import orderStatusService from '../services/orderStatusService.js';
+import priceListService from '../services/priceListService.js';
 import { asyncHandler } from '../utils/helpers.js';
+import { hasPermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/constants.js';
 import logger from '../utils/logger.js';
 
 
@@ -16,7 +22,12 @@ export const calculateOrderTotals = asyncHandler(async (req, res) => {
     });
   }
   
-  const totals = await orderService.calculateOrderTotals(orderItems, couponCode);
+  // Logged-in buyers see the same wholesale and price-list prices they'll be charged
+  const { isWholesaleUser, priceList } = await priceListService.getPricingContext(req.user);
+  const totals = await orderService.calculateOrderTotals(orderItems, couponCode, isWholesaleUser, {
+    priceList,
+    userId: req.user?.id
+  });
   
   res.status(200).json({
     success: true,
@@ -62,21 +73,17 @@ export const verifyPaymentAndCreateOrder = asyncHandler(async (req, res) => {
   const {
     razorpay_order_id,
     razorpay_payment_id,
-    razorpay_signature,
-    orderData
+    razorpay_signature
   } = req.body;
 
   const paymentData = {
     razorpay_order_id,
     razorpay_payment_id,
-    razorpay_signature,
-    orderData: {
-      ...orderData,
-      userId: req.user.id
-    }
+    razorpay_signature
   };
 
-  const order = await orderService.verifyAndCreateOrder(paymentData);
+  // The order is built from the checkout stored at initiation, not from the request
+  const order = await orderService.verifyAndCreateOrder(paymentData, { userId: req.user.id });
   
   res.status(201).json({
     success: true,
@@ -85,6 +92,126 @@ export const verifyPaymentAndCreateOrder = asyncHandler(async (req, res) => {
   });
 });
 
+// Release held stock after a failed or cancelled Razorpay payment
+export const releasePaymentReservation = asyncHandler(async (req, res) => {
+  const { razorpay_order_id } = req.body;
+
+  if (!razorpay_order_id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Razorpay order ID is required'
+    });
+  }
+
+  const result = await orderService.releasePaymentReservation(razorpay_order_id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Stock reservation released',
+    data: result
+  });
+});
+
+// Razorpay server-to-server webhook - authenticated by signature, not by user token
+export const handleRazorpayWebhook = asyncHandler(async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+
+  if (!razorpayService.verifyWebhookSignature(req.rawBody, signature)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  const { event, payload } = req.body;
+  const eventId = req.headers['x-razorpay-event-id'];
+
+  try {
+    const result = await orderService.handleRazorpayWebhook(eventId, event, payload);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    // The payment was refused and refunded - a retry would only be refused again
+    if (error.paymentRejected) {
+      logger.warn('Razorpay webhook payment rejected:', {
+        event,
+        eventId,
+        error: error.message
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: { event, rejected: true, reason: error.message }
+      });
+    }
+
+    // Non-2xx makes Razorpay retry the delivery
+    logger.error('Razorpay webhook processing failed:', {
+      event,
+      eventId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+});
+
+// Customer cancels their own order before it ships
+export const cancelOrder = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const order = await orderService.cancelOrder(orderId, req.user.id, reason);
+
+    res.status(200).json({
+      success: true,
+      message: order.paymentStatus === 'REFUNDED'
+        ? 'Order cancelled and refund initiated'
+        : 'Order cancelled successfully',
+      data: order
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GST tax invoice PDF - available to the order owner and staff who can see orders
+export const downloadInvoice = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const order = await orderService.getOrderById(orderId).catch(() => null);
+
+  if (!order || (!hasPermission(req.user.role, PERMISSIONS.ORDERS_READ) && order.userId !== req.user.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  try {
+    const { filename, buffer } = await invoiceService.generateInvoicePdf(orderId);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Create COD order with quantity pricing
 export const createCODOrder = asyncHandler(async (req, res) => {
   const { orderData } = req.body;
@@ -99,6 +226,35 @@ export const createCODOrder = asyncHandler(async (req, res) => {
   });
 });
 
+// Pay-later order for wholesalers with a credit account
+export const createCreditOrder = asyncHandler(async (req, res) => {
+  const { orderData } = req.body;
+
+  if (!orderData) {
+    return res.status(400).json({
+      success: false,
+      message: 'Order data is required'
+    });
+  }
+
+  orderData.userId = req.user.id;
+
+  try {
+    const order = await orderService.createCreditOrder(orderData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pay-later order created successfully',
+      data: order
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Get order with quantity discount details
 export const getOrderById = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
@@ -189,17 +345,37 @@ export const getAllOrders = asyncHandler(async (req, res) => {
 
 export const updateOrderStatus = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { status, adminNotes } = req.body;
-  
-  const updatedOrder = await orderService.updateOrderStatus(orderId, {
-    status,
-    adminNotes
-  });
+  const { status, paymentStatus, adminNotes } = req.body;
   
+  try {
+    const updatedOrder = await orderService.updateOrderStatus(orderId, {
+      status,
+      paymentStatus,
+      adminNotes,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: updatedOrder
+    });
+  } catch (error) {
+    res.status(error.message === 'Order not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const getOrderStatusAudit = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const audit = await orderStatusService.getAuditTrail(orderId);
+
   res.status(200).json({
     success: true,
-    message: 'Order status updated successfully',
-    data: updatedOrder
+    data: audit
   });
 });
 
@@ -207,35 +383,84 @@ export const updateTrackingInfo = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
   const { trackingNumber, carrier, trackingUrl, estimatedDelivery } = req.body;
   
-  const updatedOrder = await orderService.updateTrackingInfo(orderId, {
-    trackingNumber,
-    carrier,
-    trackingUrl,
-    estimatedDelivery
-  });
-  
-  res.status(200).json({
-    success: true,
-    message: 'Tracking information updated successfully',
-    data: updatedOrder
-  });
+  try {
+    const updatedOrder = await orderService.updateTrackingInfo(orderId, {
+      trackingNumber,
+      carrier,
+      trackingUrl,
+      estimatedDelivery,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tracking information updated successfully',
+      data: updatedOrder
+    });
+  } catch (error) {
+    res.status(error.message === 'Order not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
 });
 
 export const processRefund = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { refundAmount, reason, adminNotes } = req.body;
-  
-  const result = await orderService.processRefund(orderId, {
-    refundAmount,
-    reason,
-    adminNotes
-  });
+  const { items, refundAmount, reason, restock = true } = req.body;
+
+  if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Items must be a non-empty array of { orderItemId, quantity }'
+    });
+  }
   
-  res.status(200).json({
-    success: true,
-    message: 'Refund processed successfully',
-    data: result
-  });
+  try {
+    const result = await orderService.processRefund(orderId, {
+      items,
+      refundAmount,
+      reason,
+      restock: restock !== false && restock !== 'false',
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.paymentStatus === 'REFUNDED' ? 'Refund processed successfully' : 'Partial refund processed successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Refund history and remaining refundable quantities for an order
+export const getOrderRefunds = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    const [refunds, refundable] = await Promise.all([
+      refundService.getOrderRefunds(orderId),
+      refundService.getRefundableItems(orderId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refunds,
+        ...refundable
+      }
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
 });
 
 
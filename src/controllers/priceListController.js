@@ -0,0 +1,257 @@
+// controllers/priceListController.js
+import { priceListService } from '../services/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+const NOT_FOUND_MESSAGES = [
+  'Price list not found',
+  'Price list entry not found',
+  'Customer group not found',
+  'Product not found',
+  'Subcategory not found'
+];
+
+const sendError = (res, error) => {
+  res.status(NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Price lists
+export const getPriceLists = asyncHandler(async (req, res) => {
+  const priceLists = await priceListService.getPriceLists();
+
+  res.status(200).json({
+    success: true,
+    data: priceLists
+  });
+});
+
+export const getPriceList = asyncHandler(async (req, res) => {
+  try {
+    const priceList = await priceListService.getPriceList(req.params.priceListId);
+
+    res.status(200).json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const createPriceList = asyncHandler(async (req, res) => {
+  const { name, description, isActive, startsAt, endsAt } = req.body;
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      message: 'Price list name is required'
+    });
+  }
+
+  try {
+    const priceList = await priceListService.createPriceList({ name, description, isActive, startsAt, endsAt });
+
+    res.status(201).json({
+      success: true,
+      message: 'Price list created successfully',
+      data: priceList
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const updatePriceList = asyncHandler(async (req, res) => {
+  const { name, description, isActive, startsAt, endsAt } = req.body;
+
+  try {
+    const priceList = await priceListService.updatePriceList(req.params.priceListId, {
+      name,
+      description,
+      isActive,
+      startsAt,
+      endsAt
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Price list updated successfully',
+      data: priceList
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const deletePriceList = asyncHandler(async (req, res) => {
+  try {
+    await priceListService.deletePriceList(req.params.priceListId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Price list deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const setPriceListEntry = asyncHandler(async (req, res) => {
+  const { productId, subcategoryId, adjustment, value } = req.body;
+
+  if (!adjustment || value === undefined || value === null || value === '') {
+    return res.status(400).json({
+      success: false,
+      message: 'Adjustment and value are required'
+    });
+  }
+
+  try {
+    const entry = await priceListService.setEntry(req.params.priceListId, {
+      productId,
+      subcategoryId,
+      adjustment,
+      value
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Price list entry saved successfully',
+      data: entry
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const removePriceListEntry = asyncHandler(async (req, res) => {
+  try {
+    await priceListService.removeEntry(req.params.priceListId, req.params.entryId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Price list entry removed successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Customer groups
+export const getCustomerGroups = asyncHandler(async (req, res) => {
+  const groups = await priceListService.getCustomerGroups();
+
+  res.status(200).json({
+    success: true,
+    data: groups
+  });
+});
+
+export const getCustomerGroup = asyncHandler(async (req, res) => {
+  try {
+    const group = await priceListService.getCustomerGroup(req.params.groupId);
+
+    res.status(200).json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const createCustomerGroup = asyncHandler(async (req, res) => {
+  const { name, description, priceListId, isActive } = req.body;
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      message: 'Customer group name is required'
+    });
+  }
+
+  try {
+    const group = await priceListService.createCustomerGroup({ name, description, priceListId, isActive });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer group created successfully',
+      data: group
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const updateCustomerGroup = asyncHandler(async (req, res) => {
+  const { name, description, priceListId, isActive } = req.body;
+
+  try {
+    const group = await priceListService.updateCustomerGroup(req.params.groupId, {
+      name,
+      description,
+      priceListId,
+      isActive
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer group updated successfully',
+      data: group
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const deleteCustomerGroup = asyncHandler(async (req, res) => {
+  try {
+    await priceListService.deleteCustomerGroup(req.params.groupId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer group deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const addCustomerGroupMembers = asyncHandler(async (req, res) => {
+  const { userIds } = req.body;
+
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'userIds must be a non-empty array'
+    });
+  }
+
+  try {
+    const group = await priceListService.addMembers(req.params.groupId, userIds);
+
+    res.status(200).json({
+      success: true,
+      message: 'Users added to customer group',
+      data: group
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const removeCustomerGroupMember = asyncHandler(async (req, res) => {
+  try {
+    const group = await priceListService.removeMember(req.params.groupId, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'User removed from customer group',
+      data: group
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
@@ -1,4 +1,4 @@
-import { productService } from '../services/index.js';
+import { productService, inventoryService, priceListService } from '../services/index.js';
 import { asyncHandler } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 
@@ -25,7 +25,8 @@ export const getAllProducts = asyncHandler(async (req, res) => {
     search,
     minPrice: minPrice ? parseFloat(minPrice) : undefined,
     maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
-    includeVariants: includeVariants === 'true'
+    includeVariants: includeVariants === 'true',
+    pricing: await priceListService.getPricingContext(req.user)
   });
   
   res.status(200).json({
@@ -48,7 +49,8 @@ export const getProductById = asyncHandler(async (req, res) => {
 
   const product = await productService.getProductById(
     productId, 
-    includeVariants === 'true'
+    includeVariants === 'true',
+    await priceListService.getPricingContext(req.user)
   );
   
   if (!product) {
@@ -71,7 +73,8 @@ export const getProductByCode = asyncHandler(async (req, res) => {
   
   const product = await productService.getProductByCode(
     productCode, 
-    includeVariants === 'true'
+    includeVariants === 'true',
+    await priceListService.getPricingContext(req.user)
   );
   
   res.status(200).json({
@@ -92,7 +95,7 @@ export const createProduct = asyncHandler(async (req, res) => {
   }
 
   try {
-    const product = await productService.createProduct(productData, files, variantColors);
+    const product = await productService.createProduct(productData, files, variantColors, req.user.id);
     
     res.status(201).json({
       success: true,
@@ -146,7 +149,8 @@ export const updateProduct = asyncHandler(async (req, res) => {
       productId, 
       updateData, 
       files,
-      variantColors // ✅ PASS variantColors to service
+      variantColors, // ✅ PASS variantColors to service
+      req.user.id
     );
     
     res.status(200).json({
@@ -342,7 +346,8 @@ export const addProductVariant = asyncHandler(async (req, res) => {
     const updatedProduct = await productService.addProductVariant(
         productId, 
         variantData, 
-        files
+        files,
+        req.user.id
     );
 
     res.status(201).json({
@@ -362,7 +367,8 @@ export const updateProductVariant = asyncHandler(async (req, res) => {
     productId,
     variantId, 
     variantData, 
-    files
+    files,
+    req.user.id
   );
   
   res.status(200).json({
@@ -470,7 +476,8 @@ export const updateVariantStock = asyncHandler(async (req, res) => {
     variantId,
     size,
     color,
-    parseInt(stock)
+    parseInt(stock),
+    req.user.id
   );
 
   res.status(200).json({
@@ -481,6 +488,32 @@ export const updateVariantStock = asyncHandler(async (req, res) => {
 });
 
 
+// Get stock movement history for a variant (Admin only)
+export const getVariantStockHistory = asyncHandler(async (req, res) => {
+  const { productId, variantId } = req.params;
+  const { page = 1, limit = 20, reason, from, to } = req.query;
+
+  try {
+    const history = await inventoryService.getStockHistory(productId, variantId, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      reason,
+      from,
+      to
+    });
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    res.status(error.statusCode || 404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Get product statistics (Admin only)
 export const getProductStats = asyncHandler(async (req, res) => {
   const stats = await productService.getProductStats();
@@ -514,7 +547,8 @@ export const searchProducts = asyncHandler(async (req, res) => {
     colors: colors ? colors.split(',') : [],
     sizes: sizes ? sizes.split(',') : [],
     page: parseInt(page),
-    limit: parseInt(limit)
+    limit: parseInt(limit),
+    pricing: await priceListService.getPricingContext(req.user)
   });
   
   res.status(200).json({
@@ -727,7 +761,8 @@ export const calculateQuantityPrice = asyncHandler(async (req, res) => {
         // Calculate the price
         const priceCalculation = await productService.calculateQuantityPrice(
             productId.trim(), // Trim any whitespace
-            numericQuantity
+            numericQuantity,
+            await priceListService.getPricingContext(req.user)
         );
 
         res.status(200).json({
@@ -787,7 +822,10 @@ export const calculateQuantityPrice = asyncHandler(async (req, res) => {
       });
     }
 
-    const cartCalculation = await productService.calculateCartPrices(items);
+    const cartCalculation = await productService.calculateCartPrices(
+      items,
+      await priceListService.getPricingContext(req.user)
+    );
 
     res.status(200).json({
       success: true,
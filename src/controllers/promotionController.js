@@ -0,0 +1,136 @@
+// controllers/promotionController.js
+import { promotionService } from '../services/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+const NOT_FOUND_MESSAGES = [
+  'Promotion not found',
+  'Product not found',
+  'Category not found',
+  'Subcategory not found'
+];
+
+const sendError = (res, error) => {
+  res.status(NOT_FOUND_MESSAGES.includes(error.message) ? 404 : 400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+const promotionFields = (body) => ({
+  name: body.name,
+  description: body.description,
+  type: body.type,
+  isActive: body.isActive,
+  startsAt: body.startsAt,
+  endsAt: body.endsAt,
+  priority: body.priority,
+  buyQuantity: body.buyQuantity,
+  getQuantity: body.getQuantity,
+  bundlePrice: body.bundlePrice,
+  discountPercent: body.discountPercent,
+  minOrderAmount: body.minOrderAmount,
+  categoryId: body.categoryId,
+  subcategoryId: body.subcategoryId,
+  productIds: body.productIds
+});
+
+// Public: running promotions for banners and product badges
+export const getActivePromotions = asyncHandler(async (req, res) => {
+  const promotions = await promotionService.getActivePromotions();
+
+  res.status(200).json({
+    success: true,
+    data: promotions
+  });
+});
+
+// Admin
+export const getPromotions = asyncHandler(async (req, res) => {
+  const { isActive } = req.query;
+
+  const promotions = await promotionService.getPromotions({
+    isActive: isActive === undefined ? undefined : isActive === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: promotions
+  });
+});
+
+export const getPromotion = asyncHandler(async (req, res) => {
+  try {
+    const promotion = await promotionService.getPromotion(req.params.promotionId);
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const createPromotion = asyncHandler(async (req, res) => {
+  const { name, type } = req.body;
+
+  if (!name || !type) {
+    return res.status(400).json({
+      success: false,
+      message: 'Promotion name and type are required'
+    });
+  }
+
+  if (req.body.productIds !== undefined && !Array.isArray(req.body.productIds)) {
+    return res.status(400).json({
+      success: false,
+      message: 'productIds must be an array'
+    });
+  }
+
+  try {
+    const promotion = await promotionService.createPromotion(promotionFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const updatePromotion = asyncHandler(async (req, res) => {
+  if (req.body.productIds !== undefined && !Array.isArray(req.body.productIds)) {
+    return res.status(400).json({
+      success: false,
+      message: 'productIds must be an array'
+    });
+  }
+
+  try {
+    const promotion = await promotionService.updatePromotion(req.params.promotionId, promotionFields(req.body));
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const deletePromotion = asyncHandler(async (req, res) => {
+  try {
+    await promotionService.deletePromotion(req.params.promotionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
@@ -0,0 +1,170 @@
+// controllers/quoteController.js
+import { quoteService } from '../services/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+import { QUOTE_STATUS } from '../utils/constants.js';
+
+const sendQuotes = async (res, query, userId) => {
+  const { page = 1, limit = 20, status, search } = query;
+
+  if (status && !Object.values(QUOTE_STATUS).includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status. Must be one of: ${Object.values(QUOTE_STATUS).join(', ')}`
+    });
+  }
+
+  const result = await quoteService.getQuotes({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    userId,
+    search
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+};
+
+const sendQuoteError = (res, error) => {
+  res.status(error.message === 'Quote not found' ? 404 : 400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Wholesaler
+export const requestQuote = asyncHandler(async (req, res) => {
+  const { items, note } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one quote item is required'
+    });
+  }
+
+  try {
+    const quote = await quoteService.createQuote(req.user.id, { items, note });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote requested successfully',
+      data: quote
+    });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+});
+
+export const getMyQuotes = asyncHandler(async (req, res) => {
+  await sendQuotes(res, req.query, req.user.id);
+});
+
+export const getMyQuote = asyncHandler(async (req, res) => {
+  try {
+    const quote = await quoteService.getQuote(req.params.quoteId, { userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+});
+
+export const cancelQuote = asyncHandler(async (req, res) => {
+  try {
+    const quote = await quoteService.cancel(req.params.quoteId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote cancelled successfully',
+      data: quote
+    });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+});
+
+// Body is the same shipping `orderData` as COD/credit checkout, plus `paymentMethod` (COD or CREDIT)
+export const acceptQuote = asyncHandler(async (req, res) => {
+  const { orderData } = req.body;
+
+  if (!orderData) {
+    return res.status(400).json({
+      success: false,
+      message: 'Order data is required'
+    });
+  }
+
+  try {
+    const result = await quoteService.accept(req.params.quoteId, req.user.id, orderData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote accepted and order placed successfully',
+      data: result
+    });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+});
+
+// Admin
+export const getQuotes = asyncHandler(async (req, res) => {
+  await sendQuotes(res, req.query, req.query.userId);
+});
+
+export const getQuote = asyncHandler(async (req, res) => {
+  try {
+    const quote = await quoteService.getQuote(req.params.quoteId);
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+});
+
+export const respondToQuote = asyncHandler(async (req, res) => {
+  const { items, validUntil, note } = req.body;
+
+  try {
+    const quote = await quoteService.respond(req.params.quoteId, {
+      items,
+      validUntil,
+      note,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote sent successfully',
+      data: quote
+    });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+});
+
+export const declineQuote = asyncHandler(async (req, res) => {
+  try {
+    const quote = await quoteService.decline(req.params.quoteId, {
+      reason: req.body.reason,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote declined',
+      data: quote
+    });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+});
@@ -0,0 +1,210 @@
+// controllers/returnController.js
+import { returnService } from '../services/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+// Multipart requests send items as a JSON string
+const parseItems = (items) => {
+  if (typeof items !== 'string') return items;
+
+  try {
+    return JSON.parse(items);
+  } catch {
+    return null;
+  }
+};
+
+export const createReturnRequest = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { type, reason, description } = req.body;
+  const items = parseItems(req.body.items);
+
+  if (!reason || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reason and at least one item are required'
+    });
+  }
+
+  // customImageUploadService expects browser-style file fields
+  const photos = (req.files || []).map(file => ({
+    ...file,
+    name: file.originalname,
+    type: file.mimetype
+  }));
+
+  try {
+    const returnRequest = await returnService.createReturnRequest(req.user.id, orderId, {
+      type,
+      reason,
+      description,
+      items,
+      photos
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted successfully',
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const getMyReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+
+  const result = await returnService.getUserReturns(req.user.id, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+export const getMyReturn = asyncHandler(async (req, res) => {
+  try {
+    const returnRequest = await returnService.getReturnById(req.params.returnId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const cancelReturnRequest = asyncHandler(async (req, res) => {
+  try {
+    const returnRequest = await returnService.cancelReturn(req.user.id, req.params.returnId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return request cancelled',
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Admin
+export const getAllReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, type } = req.query;
+
+  const result = await returnService.getAllReturns({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    type
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+export const getReturnById = asyncHandler(async (req, res) => {
+  try {
+    const returnRequest = await returnService.getReturnById(req.params.returnId);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const approveReturn = asyncHandler(async (req, res) => {
+  const { adminNotes } = req.body;
+
+  try {
+    const returnRequest = await returnService.approveReturn(req.params.returnId, {
+      adminNotes,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Return request approved',
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const rejectReturn = asyncHandler(async (req, res) => {
+  const { rejectionReason, adminNotes } = req.body;
+
+  if (!rejectionReason) {
+    return res.status(400).json({
+      success: false,
+      message: 'Rejection reason is required'
+    });
+  }
+
+  try {
+    const returnRequest = await returnService.rejectReturn(req.params.returnId, {
+      rejectionReason,
+      adminNotes
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Return request rejected',
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const receiveReturn = asyncHandler(async (req, res) => {
+  const { restock = true, adminNotes } = req.body;
+
+  try {
+    const returnRequest = await returnService.receiveReturn(req.params.returnId, {
+      restock: restock !== false && restock !== 'false',
+      adminNotes,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Return marked as ${returnRequest.status.toLowerCase()}`,
+      data: returnRequest
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
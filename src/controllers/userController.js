@@ -1,7 +1,8 @@
 // controllers/userController.js
 import { userService } from '../services/index.js';
-import { asyncHandler } from '../utils/helpers.js';
+import { asyncHandler, isValidGstin, normalizeGstin } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
+import { USER_ROLES } from '../utils/constants.js';
 
 // Get all users (Admin only)
 export const getAllUsers = asyncHandler(async (req, res) => {
@@ -46,7 +47,7 @@ export const createUser = asyncHandler(async (req, res) => {
   }
 
   // Validate role
-  const validRoles = ['ADMIN', 'CUSTOMER', 'WHOLESALER'];
+  const validRoles = Object.values(USER_ROLES);
   if (!validRoles.includes(role)) {
     return res.status(400).json({
       success: false,
@@ -89,10 +90,17 @@ export const createUser = asyncHandler(async (req, res) => {
         });
       }
 
+      if (gstNumber && !isValidGstin(gstNumber)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid GST number. Please check the 15-character GSTIN'
+        });
+      }
+
       userData.wholesalerProfile = {
         companyName: companyName.trim(),
         businessType,
-        gstNumber: gstNumber?.trim(),
+        gstNumber: gstNumber ? normalizeGstin(gstNumber) : undefined,
         websiteUrl: websiteUrl?.trim(),
         instagramUrl: instagramUrl?.trim(),
         city: city.trim(),
@@ -266,7 +274,7 @@ export const changeUserRole = asyncHandler(async (req, res) => {
     });
   }
   
-  const validRoles = ['ADMIN', 'CUSTOMER', 'WHOLESALER'];
+  const validRoles = Object.values(USER_ROLES);
   if (!validRoles.includes(role)) {
     return res.status(400).json({
       success: false,
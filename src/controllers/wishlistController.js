@@ -0,0 +1,86 @@
+// controllers/wishlistController.js
+import { wishlistService } from '../services/index.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+export const getWishlist = asyncHandler(async (req, res) => {
+  const isWholesaleUser = req.user.role === 'WHOLESALER';
+
+  const wishlist = await wishlistService.getWishlist(req.user.id, isWholesaleUser);
+
+  res.status(200).json({
+    success: true,
+    data: wishlist
+  });
+});
+
+export const addWishlistItem = asyncHandler(async (req, res) => {
+  const { productId, productVariantId } = req.body;
+  const isWholesaleUser = req.user.role === 'WHOLESALER';
+
+  if (!productId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Product ID is required'
+    });
+  }
+
+  try {
+    const item = await wishlistService.addItem(req.user.id, {
+      productId,
+      productVariantId: productVariantId || null
+    }, isWholesaleUser);
+
+    res.status(201).json({
+      success: true,
+      message: 'Item saved to wishlist',
+      data: item
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const removeWishlistItem = asyncHandler(async (req, res) => {
+  const { itemId } = req.params;
+
+  try {
+    await wishlistService.removeItem(req.user.id, itemId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from wishlist'
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export const moveWishlistItemToCart = asyncHandler(async (req, res) => {
+  const { itemId } = req.params;
+  const { quantity = 1 } = req.body;
+
+  try {
+    const cart = await wishlistService.moveToCart(
+      { userId: req.user.id, isWholesaleUser: req.user.role === 'WHOLESALER' },
+      itemId,
+      parseInt(quantity)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Item moved to cart',
+      data: cart
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
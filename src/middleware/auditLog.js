@@ -0,0 +1,64 @@
+import auditLogService from '../services/auditLogService.js';
+import { STAFF_ROLES } from '../utils/constants.js';
+import { asyncHandler } from '../utils/helpers.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// App-level: records every successful mutation made by a staff user. `req.user` is only set
+// later by the route's auth middleware, so everything is read once the response has finished.
+export const auditLogger = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  let responseBody;
+  let action;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    // The matched route is only known while inside the router
+    action = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    if (!req.user || !STAFF_ROLES.includes(req.user.role) || res.statusCode >= 400) {
+      return;
+    }
+
+    const audit = req.audit || {};
+    // Creates don't have an id in the URL; take it from the response instead
+    const entityId = audit.entityId || (audit.entityType && responseBody?.data?.id);
+    const after = audit.entityType && req.method !== 'DELETE'
+      ? await auditLogService.getSnapshot(audit.entityType, entityId)
+      : null;
+
+    await auditLogService.record({
+      actor: req.user,
+      action: action || `${req.method} ${req.originalUrl.split('?')[0]}`,
+      entityType: audit.entityType,
+      entityId,
+      before: audit.before,
+      after,
+      requestBody: req.body,
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  });
+
+  next();
+};
+
+// Route-level, after auth: snapshot the record the handler is about to change
+export const auditEntity = (entityType, idParam) => asyncHandler(async (req, res, next) => {
+  const entityId = idParam ? req.params[idParam] : null;
+
+  req.audit = {
+    entityType,
+    entityId,
+    before: entityId ? await auditLogService.getSnapshot(entityType, entityId) : null
+  };
+
+  next();
+});
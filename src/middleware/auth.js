@@ -1,7 +1,46 @@
 import jwt from 'jsonwebtoken';
-import { JWT_SECRET } from '../config/index.js';
-import { asyncHandler } from '../utils/helpers.js';
+import {
+  JWT_SECRET,
+  REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT,
+  TWO_FACTOR_REQUIRED_FOR_ADMINS
+} from '../config/index.js';
+import { asyncHandler, isAccountVerified } from '../utils/helpers.js';
 import prisma from '../config/database.js';
+import { ROLE_PERMISSIONS } from '../utils/constants.js';
+
+// Access tokens are only honoured while the session they were issued for is still live
+const getSessionUser = async (decoded) => {
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sessionId },
+    select: {
+      userId: true,
+      revokedAt: true,
+      expiresAt: true,
+      user: {
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          isActive: true,
+          emailVerified: true,
+          isPhoneVerified: true,
+          twoFactorEnabled: true
+        }
+      }
+    }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date() || session.userId !== decoded.userId) {
+    return null;
+  }
+
+  return session.user;
+};
 
 export const auth = asyncHandler(async (req, res, next) => {
   let token;
@@ -21,18 +60,16 @@ export const auth = asyncHandler(async (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     
     // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        isActive: true
-      }
-    });
+    const user = await getSessionUser(decoded);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please login again'
+      });
+    }
 
-    if (!user || !user.isActive) {
+    if (!user.isActive) {
       return res.status(401).json({
         success: false,
         message: 'User not found or inactive'
@@ -40,6 +77,7 @@ export const auth = asyncHandler(async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -49,6 +87,55 @@ export const auth = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Attach req.user when a valid token is sent, but let guests through
+export const optionalAuth = asyncHandler(async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await getSessionUser(decoded);
+
+    if (user && user.isActive) {
+      req.user = user;
+      req.sessionId = decoded.sessionId;
+    }
+  } catch (error) {
+    // Invalid token - continue as guest
+  }
+
+  next();
+});
+
+// Checkout can be limited to verified accounts through config; the coupon rule is enforced by couponService
+export const requireVerifiedForCheckout = (req, res, next) => {
+  if (isAccountVerified(req.user)) {
+    return next();
+  }
+
+  if (REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before placing an order'
+    });
+  }
+
+  next();
+};
+
+// Until they enroll, admins can only reach the /auth/2fa setup routes (which don't use these guards)
+const requiresTwoFactorSetup = (user) =>
+  user.role === 'ADMIN' && TWO_FACTOR_REQUIRED_FOR_ADMINS && !user.twoFactorEnabled;
+
+const twoFactorSetupRequired = (res) => res.status(403).json({
+  success: false,
+  message: 'Two-factor authentication must be enabled for admin accounts'
+});
+
+export const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -57,6 +144,29 @@ export const authorize = (...roles) => {
         message: 'Access denied. Insufficient permissions.'
       });
     }
+
+    if (requiresTwoFactorSetup(req.user)) {
+      return twoFactorSetupRequired(res);
+    }
+
+    next();
+  };
+};
+
+// Staff routes: the user's role must grant every listed permission
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.every(permission => hasPermission(req.user.role, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    if (requiresTwoFactorSetup(req.user)) {
+      return twoFactorSetupRequired(res);
+    }
+
     next();
   };
 };
\ No newline at end of file
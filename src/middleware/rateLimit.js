@@ -0,0 +1,110 @@
+import { RATE_LIMIT_ENABLED } from '../config/index.js';
+import { MemoryRateLimitStore } from '../utils/rateLimitStore.js';
+import { asyncHandler } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+const MINUTE = 60 * 1000;
+
+let store = new MemoryRateLimitStore();
+
+// Swap in a shared store (e.g. RedisRateLimitStore) when running more than one instance
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} seconds`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// The account being targeted, so spreading attempts across IPs doesn't help
+const accountKey = (req) => {
+  const { email, phone } = req.body || {};
+
+  if (email) return String(email).trim().toLowerCase();
+  if (phone) return String(phone).replace(/\D/g, '').slice(-10);
+  return null;
+};
+
+/**
+ * Fixed-window limiter. `key` picks what is counted (client IP by default);
+ * requests it returns nothing for are not limited.
+ */
+export const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message }) => asyncHandler(async (req, res, next) => {
+  if (!RATE_LIMIT_ENABLED) {
+    return next();
+  }
+
+  const identifier = key(req);
+  if (!identifier) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await store.increment(`${name}:${identifier}`, windowMs);
+  } catch (error) {
+    // Fail open - an unavailable store shouldn't take logins down with it
+    logger.error('Rate limit store error:', { name, error: error.message });
+    return next();
+  }
+
+  if (result.count > max) {
+    const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+    logger.warn('Rate limit exceeded', { name, identifier, path: req.originalUrl });
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: message || `Too many requests. Please try again in ${formatWait(retryAfter)}.`
+    });
+  }
+
+  next();
+});
+
+export const loginLimiter = [
+  rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20 }),
+  rateLimit({
+    name: 'login-account',
+    windowMs: 15 * MINUTE,
+    max: 10,
+    key: accountKey,
+    message: 'Too many login attempts for this account. Please try again later.'
+  })
+];
+
+export const otpLimiter = [
+  rateLimit({ name: 'otp-ip', windowMs: 15 * MINUTE, max: 10 }),
+  rateLimit({
+    name: 'otp-phone',
+    windowMs: 15 * MINUTE,
+    max: 5,
+    key: (req) => req.body?.phone && String(req.body.phone).replace(/\D/g, '').slice(-10),
+    message: 'Too many OTP requests for this phone number. Please try again later.'
+  })
+];
+
+export const passwordResetLimiter = [
+  rateLimit({ name: 'password-reset-ip', windowMs: 60 * MINUTE, max: 10 }),
+  rateLimit({
+    name: 'password-reset-account',
+    windowMs: 60 * MINUTE,
+    max: 3,
+    key: accountKey,
+    message: 'Too many password reset requests for this account. Please try again later.'
+  })
+];
+
+export const contactLimiter = rateLimit({
+  name: 'contact-ip',
+  windowMs: 60 * MINUTE,
+  max: 5,
+  message: 'Too many messages sent. Please try again later.'
+});
+
+export const couponLimiter = rateLimit({ name: 'coupon-ip', windowMs: 15 * MINUTE, max: 30 });
+
+export const kycResubmitLimiter = rateLimit({ name: 'kyc-resubmit-ip', windowMs: 60 * MINUTE, max: 10 });
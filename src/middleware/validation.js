@@ -1,4 +1,5 @@
 import { body, validationResult } from 'express-validator';
+import { USER_ROLES } from '../utils/constants.js';
 
 
 export const validate = (type) => {
@@ -217,6 +218,16 @@ export const validateProduct = [
     .notEmpty()
     .withMessage('Category ID is required'),
 
+  body('wholesaleMinQuantity')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Wholesale minimum quantity must be a whole number of at least 1'),
+
+  body('wholesalePackSize')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Wholesale pack size must be a whole number of at least 1'),
+
   body('variants')
     .custom((value, { req }) => {
       if (!value) {
@@ -336,6 +347,16 @@ export const validateProductUpdate = [
     .isFloat({ min: 0 })
     .withMessage('Wholesale price must be a valid number greater than or equal to 0'),
 
+  body('wholesaleMinQuantity')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Wholesale minimum quantity must be a whole number of at least 1'),
+
+  body('wholesalePackSize')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Wholesale pack size must be a whole number of at least 1'),
+
   body('description')
     .optional()
     .isLength({ max: 2000 })
@@ -479,6 +500,16 @@ export const validateSubcategory = [
     .isBoolean()
     .withMessage('isActive must be a boolean value'),
 
+  body('wholesaleMinQuantity')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Wholesale minimum quantity must be a whole number of at least 1'),
+
+  body('wholesalePackSize')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Wholesale pack size must be a whole number of at least 1'),
+
   // Validation result middleware
   (req, res, next) => {
     const errors = validationResult(req);
@@ -521,6 +552,16 @@ export const validateSubcategoryUpdate = [
     .isBoolean()
     .withMessage('isActive must be a boolean value'),
 
+  body('wholesaleMinQuantity')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Wholesale minimum quantity must be a whole number of at least 1'),
+
+  body('wholesalePackSize')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Wholesale pack size must be a whole number of at least 1'),
+
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -576,7 +617,7 @@ export const validateCreateUser = [
   // Role validation
   body('role')
     .notEmpty().withMessage('User role is required')
-    .isIn(['ADMIN', 'CUSTOMER', 'WHOLESALER']).withMessage('Role must be one of: ADMIN, CUSTOMER, WHOLESALER'),
+    .isIn(Object.values(USER_ROLES)).withMessage(`Role must be one of: ${Object.values(USER_ROLES).join(', ')}`),
 
   // Phone validation (optional)
   body('phone')
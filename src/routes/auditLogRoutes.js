@@ -0,0 +1,10 @@
+import express from 'express';
+import { getAuditLogs } from '../controllers/auditLogController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+router.get('/', auth, requirePermission(PERMISSIONS.AUDIT_LOG_READ), getAuditLogs);
+
+export default router;
@@ -1,15 +1,31 @@
 import express from 'express';
 import { 
   register, 
+  registerWithPhone,
   login, 
   logout, 
+  refreshToken,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifyEmail,
+  resendVerificationEmail,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   forgotPassword, 
   resetPassword,
   getProfile,
   verifyOTP,
   resendOTP,
   approveWholesaler,
+  updateWholesalerKyc,
   getPendingWholesalers,
+  getWholesalers,
+  resubmitWholesalerKyc,
   validateResetToken,
   forgotPasswordWholesaler,
   adminForgotPassword,
@@ -17,6 +33,8 @@ import {
   validateAdminResetToken
 } from '../controllers/authController.js';
 import { auth, authorize } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { loginLimiter, otpLimiter, passwordResetLimiter, kycResubmitLimiter } from '../middleware/rateLimit.js';
 import multer from 'multer';
 
 const router = express.Router();
@@ -27,24 +45,42 @@ const upload = multer({
 
 // Public routes
 router.post('/register', upload.array('shopPhotos', 5), register);
-router.post('/login', login); // Single smart login endpoint
-router.post('/verify-otp', verifyOTP); // Unified OTP verification
-router.post('/resend-otp', resendOTP);
-router.post('/forgot-password', forgotPassword);
-router.post('/reset-password', resetPassword);
+router.post('/register/phone', otpLimiter, registerWithPhone);
+router.post('/login', loginLimiter, login); // Single smart login endpoint
+router.post('/login/2fa', loginLimiter, verifyTwoFactorLogin);
+router.post('/refresh', refreshToken);
+router.post('/verify-email', verifyEmail);
+router.post('/verify-otp', otpLimiter, verifyOTP); // Unified OTP verification
+router.post('/resend-otp', otpLimiter, resendOTP);
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+router.post('/reset-password', passwordResetLimiter, resetPassword);
 router.get('/validate-reset-token', validateResetToken); // Add this route
-router.post('/forgot-password-wholesaler', forgotPasswordWholesaler);
+router.post('/forgot-password-wholesaler', passwordResetLimiter, forgotPasswordWholesaler);
+router.post('/wholesaler/resubmit', kycResubmitLimiter, upload.array('shopPhotos', 5), resubmitWholesalerKyc);
 
-router.post('/admin/forgot-password', adminForgotPassword);
-router.post('/admin/reset-password', adminResetPassword);
+router.post('/admin/forgot-password', passwordResetLimiter, adminForgotPassword);
+router.post('/admin/reset-password', passwordResetLimiter, adminResetPassword);
 router.get('/admin/validate-reset-token', validateAdminResetToken);
 
 // Protected routes
 router.post('/logout', auth, logout);
 router.get('/profile', auth, getProfile);
+router.post('/resend-verification', auth, resendVerificationEmail);
+
+// Two-factor authentication (admin only - checked in the service)
+router.get('/2fa', auth, getTwoFactorStatus);
+router.post('/2fa/setup', auth, setupTwoFactor);
+router.post('/2fa/enable', auth, enableTwoFactor);
+router.post('/2fa/disable', auth, disableTwoFactor);
+router.post('/2fa/backup-codes', auth, regenerateBackupCodes);
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions', auth, revokeAllSessions);
+router.delete('/sessions/:sessionId', auth, revokeSession);
 
 // Admin routes
 router.get('/admin/pending-wholesalers', auth, authorize('ADMIN'), getPendingWholesalers);
-router.patch('/admin/approve-wholesaler/:wholesalerId', auth, authorize('ADMIN'), approveWholesaler);
+router.get('/admin/wholesalers', auth, authorize('ADMIN'), getWholesalers);
+router.patch('/admin/approve-wholesaler/:wholesalerId', auth, authorize('ADMIN'), auditEntity('user', 'wholesalerId'), approveWholesaler);
+router.patch('/admin/wholesalers/:wholesalerId/kyc', auth, authorize('ADMIN'), auditEntity('user', 'wholesalerId'), updateWholesalerKyc);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+// routes/cartRoutes.js
+import express from 'express';
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeGuestCart
+} from '../controllers/cartController.js';
+import { auth, optionalAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Guest (X-Session-Id header) or logged-in user
+router.get('/', optionalAuth, getCart);
+router.post('/items', optionalAuth, addCartItem);
+router.patch('/items/:itemId', optionalAuth, updateCartItem);
+router.delete('/items/:itemId', optionalAuth, removeCartItem);
+router.delete('/', optionalAuth, clearCart);
+
+// Logged-in user only
+router.post('/merge', auth, mergeGuestCart);
+
+export default router;
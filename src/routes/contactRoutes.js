@@ -10,24 +10,27 @@ import {
   getUserContacts,
   bulkUpdateContactStatus
 } from '../controllers/contactController.js';
-import { auth, authorize } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { PERMISSIONS } from '../utils/constants.js';
 import { validateContact } from '../middleware/validation.js';
+import { contactLimiter } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/', validateContact, createContact);
+router.post('/', contactLimiter, validateContact, createContact);
 
 // User routes (authenticated users)
 router.get('/user/my-contacts', auth, getUserContacts);
 
 // Admin only routes
-router.get('/admin', auth, authorize('ADMIN'), getAllContacts);
-router.get('/admin/stats', auth, authorize('ADMIN'), getContactStats);
-router.get('/admin/:contactId', auth, authorize('ADMIN'), getContactById);
-router.patch('/admin/:contactId/status', auth, authorize('ADMIN'), updateContactStatus);
-router.put('/admin/:contactId', auth, authorize('ADMIN'), updateContact);
-router.delete('/admin/:contactId', auth, authorize('ADMIN'), deleteContact);
-router.patch('/admin/bulk/status', auth, authorize('ADMIN'), bulkUpdateContactStatus);
+router.get('/admin', auth, requirePermission(PERMISSIONS.CONTACTS_READ), getAllContacts);
+router.get('/admin/stats', auth, requirePermission(PERMISSIONS.CONTACTS_READ), getContactStats);
+router.get('/admin/:contactId', auth, requirePermission(PERMISSIONS.CONTACTS_READ), getContactById);
+router.patch('/admin/:contactId/status', auth, requirePermission(PERMISSIONS.CONTACTS_UPDATE), auditEntity('contact', 'contactId'), updateContactStatus);
+router.put('/admin/:contactId', auth, requirePermission(PERMISSIONS.CONTACTS_UPDATE), auditEntity('contact', 'contactId'), updateContact);
+router.delete('/admin/:contactId', auth, requirePermission(PERMISSIONS.CONTACTS_DELETE), auditEntity('contact', 'contactId'), deleteContact);
+router.patch('/admin/bulk/status', auth, requirePermission(PERMISSIONS.CONTACTS_UPDATE), bulkUpdateContactStatus);
 
 export default router;
\ No newline at end of file
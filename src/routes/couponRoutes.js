@@ -11,21 +11,24 @@ import {
   toggleCouponStatus, // Add this import
   getCouponStats,     // Add this import
 } from '../controllers/couponController.js';
-import { auth, authorize } from '../middleware/auth.js';
+import { auth, optionalAuth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { couponLimiter } from '../middleware/rateLimit.js';
+import { PERMISSIONS } from '../utils/constants.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/validate', validateCoupon);
-router.get('/available', getAvailableCoupons);
+router.post('/validate', couponLimiter, optionalAuth, validateCoupon);
+router.get('/available', optionalAuth, getAvailableCoupons);
 
 // Admin routes
-router.get('/', auth, authorize('ADMIN'), getCoupons);
-router.get('/stats', auth, authorize('ADMIN'), getCouponStats); // Add stats route
-router.get('/:id', auth, authorize('ADMIN'), getCoupon);
-router.post('/', auth, authorize('ADMIN'), createCoupon);
-router.put('/:id', auth, authorize('ADMIN'), updateCoupon);
-router.delete('/:id', auth, authorize('ADMIN'), deleteCoupon);
-router.patch('/:id/status', auth, authorize('ADMIN'), toggleCouponStatus); // Add status toggle route
+router.get('/', auth, requirePermission(PERMISSIONS.COUPONS_READ), getCoupons);
+router.get('/stats', auth, requirePermission(PERMISSIONS.COUPONS_READ), getCouponStats); // Add stats route
+router.get('/:id', auth, requirePermission(PERMISSIONS.COUPONS_READ), getCoupon);
+router.post('/', auth, requirePermission(PERMISSIONS.COUPONS_WRITE), auditEntity('coupon'), createCoupon);
+router.put('/:id', auth, requirePermission(PERMISSIONS.COUPONS_WRITE), auditEntity('coupon', 'id'), updateCoupon);
+router.delete('/:id', auth, requirePermission(PERMISSIONS.COUPONS_DELETE), auditEntity('coupon', 'id'), deleteCoupon);
+router.patch('/:id/status', auth, requirePermission(PERMISSIONS.COUPONS_WRITE), auditEntity('coupon', 'id'), toggleCouponStatus); // Add status toggle route
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getMyCreditAccount,
+  getMyCreditLedger,
+  getCreditAccount,
+  getCreditLedger,
+  updateCreditTerms,
+  recordCreditPayment,
+  getOverdueInvoices
+} from '../controllers/creditController.js';
+import { auth, authorize, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Wholesaler routes
+router.get('/account', auth, authorize('WHOLESALER'), getMyCreditAccount);
+router.get('/ledger', auth, authorize('WHOLESALER'), getMyCreditLedger);
+
+// Admin routes
+router.get('/admin/overdue', auth, requirePermission(PERMISSIONS.CREDIT_READ), getOverdueInvoices);
+router.get('/admin/:userId', auth, requirePermission(PERMISSIONS.CREDIT_READ), getCreditAccount);
+router.get('/admin/:userId/ledger', auth, requirePermission(PERMISSIONS.CREDIT_READ), getCreditLedger);
+router.patch('/admin/:userId/terms', auth, requirePermission(PERMISSIONS.CREDIT_MANAGE), auditEntity('user', 'userId'), updateCreditTerms);
+router.post('/admin/:userId/payments', auth, requirePermission(PERMISSIONS.CREDIT_MANAGE), auditEntity('user', 'userId'), recordCreditPayment);
+
+export default router;
@@ -17,6 +17,13 @@ import customizationRoutes from './customizationRoutes.js';
 import designRoutes from './designRoutes.js';
 import imageProxyRoutes from './imageProxy.js';
 import uploadRoutes from './uploadRoutes.js';
+import cartRoutes from './cartRoutes.js';
+import wishlistRoutes from './wishlistRoutes.js';
+import auditLogRoutes from './auditLogRoutes.js';
+import creditRoutes from './creditRoutes.js';
+import quoteRoutes from './quoteRoutes.js';
+import priceListRoutes from './priceListRoutes.js';
+import promotionRoutes from './promotionRoutes.js';
 // ✅ ADD THIS NEW IMPORT
 import subcategoryQuantityPriceRoutes from './subcategoryQuantityPriceRoutes.js';
 
@@ -36,6 +43,13 @@ router.use('/customizations', customizationRoutes);
 router.use('/designs', designRoutes);
 router.use('/images', imageProxyRoutes);
 router.use('/upload', uploadRoutes);
+router.use('/cart', cartRoutes);
+router.use('/wishlist', wishlistRoutes);
+router.use('/credit', creditRoutes);
+router.use('/quotes', quoteRoutes);
+router.use('/admin/audit-log', auditLogRoutes);
+router.use('/admin/pricing', priceListRoutes);
+router.use('/promotions', promotionRoutes);
 // ✅ ADD THIS NEW ROUTE
 router.use('/admin/subcategory-quantity-prices', subcategoryQuantityPriceRoutes);
 
@@ -13,19 +13,47 @@ import {
   getOrderStats,
   calculateOrderTotals,
   createCODOrder,
+  createCreditOrder,
   testPhonePeIntegration,
-  verifyPaymentAndCreateOrder
+  verifyPaymentAndCreateOrder,
+  releasePaymentReservation,
+  handleRazorpayWebhook,
+  getOrderRefunds,
+  cancelOrder,
+  downloadInvoice,
+  getOrderStatusAudit
 } from '../controllers/orderController.js';
-import { auth, authorize } from '../middleware/auth.js';
+import {
+  createReturnRequest,
+  getMyReturns,
+  getMyReturn,
+  cancelReturnRequest,
+  getAllReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+} from '../controllers/returnController.js';
+import { auth, optionalAuth, authorize, requirePermission, requireVerifiedForCheckout } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { PERMISSIONS } from '../utils/constants.js';
+import multer from 'multer';
 
 const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
 
-router.post('/calculate-totals', calculateOrderTotals);
+router.post('/calculate-totals', optionalAuth, calculateOrderTotals);
 
 // PhonePe Payment Routes
-router.post('/initiate-payment', auth, initiatePayment); // Creates Razorpay order
+router.post('/initiate-payment', auth, requireVerifiedForCheckout, initiatePayment); // Creates Razorpay order
 router.post('/verify-payment', auth, verifyPaymentAndCreateOrder); // Creates actual order after payment
-router.post('/create-cod-order', auth, createCODOrder); // Creates COD order immediately
+router.post('/payment-failed', auth, releasePaymentReservation); // Releases stock held for the Razorpay order
+router.post('/create-cod-order', auth, requireVerifiedForCheckout, createCODOrder); // Creates COD order immediately
+router.post('/create-credit-order', auth, authorize('WHOLESALER'), requireVerifiedForCheckout, createCreditOrder); // Pay-later against the wholesaler's credit limit
+router.post('/webhooks/razorpay', handleRazorpayWebhook); // Razorpay server-to-server events
 
 router.post('/payment-callback', handlePaymentCallback);
 router.get('/payment-status/:merchantTransactionId', checkPaymentStatus);
@@ -33,14 +61,29 @@ router.get('/payment-status/:merchantTransactionId', checkPaymentStatus);
 // User Routes
 router.get('/user/my-orders', auth, getUserOrders);
 router.get('/order-number/:orderNumber', getOrderByOrderNumber);
+router.post('/:orderId/cancel', auth, cancelOrder);
+router.get('/:orderId/invoice', auth, downloadInvoice);
+
+// Returns & exchanges
+router.post('/:orderId/returns', auth, upload.array('photos', 5), createReturnRequest);
+router.get('/returns/my-returns', auth, getMyReturns);
+router.get('/returns/:returnId', auth, getMyReturn);
+router.post('/returns/:returnId/cancel', auth, cancelReturnRequest);
 
 // Admin Routes
-router.get('/admin', auth, authorize('ADMIN'), getAllOrders);
-router.get('/admin/stats', auth, authorize('ADMIN'), getOrderStats);
-router.get('/admin/:orderId', auth, authorize('ADMIN'), getOrderById);
-router.patch('/admin/:orderId/status', auth, authorize('ADMIN'), updateOrderStatus);
-router.patch('/admin/:orderId/tracking', auth, authorize('ADMIN'), updateTrackingInfo);
-router.post('/admin/:orderId/refund', auth, authorize('ADMIN'), processRefund);
+router.get('/admin', auth, requirePermission(PERMISSIONS.ORDERS_READ), getAllOrders);
+router.get('/admin/stats', auth, requirePermission(PERMISSIONS.ORDERS_READ), getOrderStats);
+router.get('/admin/returns', auth, requirePermission(PERMISSIONS.RETURNS_READ), getAllReturns);
+router.get('/admin/returns/:returnId', auth, requirePermission(PERMISSIONS.RETURNS_READ), getReturnById);
+router.patch('/admin/returns/:returnId/approve', auth, requirePermission(PERMISSIONS.RETURNS_MANAGE), auditEntity('returnRequest', 'returnId'), approveReturn);
+router.patch('/admin/returns/:returnId/reject', auth, requirePermission(PERMISSIONS.RETURNS_MANAGE), auditEntity('returnRequest', 'returnId'), rejectReturn);
+router.patch('/admin/returns/:returnId/receive', auth, requirePermission(PERMISSIONS.RETURNS_MANAGE), auditEntity('returnRequest', 'returnId'), receiveReturn);
+router.get('/admin/:orderId', auth, requirePermission(PERMISSIONS.ORDERS_READ), getOrderById);
+router.patch('/admin/:orderId/status', auth, requirePermission(PERMISSIONS.ORDERS_UPDATE), auditEntity('order', 'orderId'), updateOrderStatus);
+router.get('/admin/:orderId/status-audit', auth, requirePermission(PERMISSIONS.ORDERS_READ), getOrderStatusAudit);
+router.patch('/admin/:orderId/tracking', auth, requirePermission(PERMISSIONS.ORDERS_UPDATE), auditEntity('order', 'orderId'), updateTrackingInfo);
+router.post('/admin/:orderId/refund', auth, requirePermission(PERMISSIONS.ORDERS_REFUND), auditEntity('order', 'orderId'), processRefund);
+router.get('/admin/:orderId/refunds', auth, requirePermission(PERMISSIONS.ORDERS_READ), getOrderRefunds);
 
 // Add to routes
 router.get('/test-phonepe-integration', testPhonePeIntegration);
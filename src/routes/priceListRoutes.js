@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+  setPriceListEntry,
+  removePriceListEntry,
+  getCustomerGroups,
+  getCustomerGroup,
+  createCustomerGroup,
+  updateCustomerGroup,
+  deleteCustomerGroup,
+  addCustomerGroupMembers,
+  removeCustomerGroupMember
+} from '../controllers/priceListController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Price lists
+router.get('/price-lists', auth, requirePermission(PERMISSIONS.PRICING_READ), getPriceLists);
+router.post('/price-lists', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('priceList'), createPriceList);
+router.get('/price-lists/:priceListId', auth, requirePermission(PERMISSIONS.PRICING_READ), getPriceList);
+router.patch('/price-lists/:priceListId', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('priceList', 'priceListId'), updatePriceList);
+router.delete('/price-lists/:priceListId', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('priceList', 'priceListId'), deletePriceList);
+router.put('/price-lists/:priceListId/entries', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('priceList', 'priceListId'), setPriceListEntry);
+router.delete('/price-lists/:priceListId/entries/:entryId', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('priceList', 'priceListId'), removePriceListEntry);
+
+// Customer groups
+router.get('/customer-groups', auth, requirePermission(PERMISSIONS.PRICING_READ), getCustomerGroups);
+router.post('/customer-groups', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('customerGroup'), createCustomerGroup);
+router.get('/customer-groups/:groupId', auth, requirePermission(PERMISSIONS.PRICING_READ), getCustomerGroup);
+router.patch('/customer-groups/:groupId', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('customerGroup', 'groupId'), updateCustomerGroup);
+router.delete('/customer-groups/:groupId', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('customerGroup', 'groupId'), deleteCustomerGroup);
+router.post('/customer-groups/:groupId/members', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('customerGroup', 'groupId'), addCustomerGroupMembers);
+router.delete('/customer-groups/:groupId/members/:userId', auth, requirePermission(PERMISSIONS.PRICING_WRITE), auditEntity('user', 'userId'), removeCustomerGroupMember);
+
+export default router;
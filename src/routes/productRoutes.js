@@ -17,6 +17,7 @@ import {
   removeVariantImage,
   setPrimaryVariantImage,
   updateVariantStock,
+  getVariantStockHistory,
   getProductStats,
   searchProducts,
   addProductDetails,
@@ -36,7 +37,9 @@ import {
   calculateCartPrices,
   getAllSubcategoriesWithPricing
 } from '../controllers/productController.js';
-import { auth, authorize } from '../middleware/auth.js';
+import { auth, optionalAuth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { PERMISSIONS } from '../utils/constants.js';
 import multer from 'multer';
 import { validateProduct, validateProductUpdate } from '../middleware/validation.js';
 
@@ -97,19 +100,19 @@ const handleVariantImagesUpload = (req, res, next) => {
 };
 
 
-// Public routes
-router.get('/', getAllProducts);
-router.get('/search', searchProducts);
-router.get('/code/:productCode', getProductByCode);
+// Public routes. optionalAuth lets logged-in buyers see their own (wholesale / price list) prices.
+router.get('/', optionalAuth, getAllProducts);
+router.get('/search', optionalAuth, searchProducts);
+router.get('/code/:productCode', optionalAuth, getProductByCode);
 router.get('/related', getRelatedProducts);
 
 // ✅ ADD THESE NEW PUBLIC ROUTES FOR QUANTITY PRICING
-router.post('/:productId/calculate-quantity-price', calculateQuantityPrice);
+router.post('/:productId/calculate-quantity-price', optionalAuth, calculateQuantityPrice);
 router.get('/subcategory/:subcategoryId/quantity-offers', getProductsWithQuantityOffers);
-router.post('/calculate-cart-prices', calculateCartPrices);
+router.post('/calculate-cart-prices', optionalAuth, calculateCartPrices);
 router.get('/subcategories/with-pricing', getAllSubcategoriesWithPricing);
 
-router.get('/:productId', getProductById);
+router.get('/:productId', optionalAuth, getProductById);
 
 // Public routes for merchandising
 router.get('/featured/products', getFeaturedProducts);
@@ -117,10 +120,13 @@ router.get('/new-arrivals/products', getNewArrivals);
 router.get('/best-sellers/products', getBestSellers);
 
 // Admin routes (with auth)
-router.get('/admin/stats', auth, authorize('ADMIN'), getProductStats);
+router.get('/admin/stats', auth, requirePermission(PERMISSIONS.PRODUCTS_READ), getProductStats);
 
 // In your product routes, update the validation middleware logging
 router.post('/admin', 
+  auth,
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  auditEntity('product'),
   handleVariantImagesUpload,
   (req, res, next) => {
     next();
@@ -135,40 +141,42 @@ router.post('/admin',
 // Update product route
 router.put('/admin/:productId', 
   auth, 
-  authorize('ADMIN'),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  auditEntity('product', 'productId'),
   handleVariantImagesUpload,
   validateProductUpdate, 
   updateProduct
 );
 
-router.delete('/admin/:productId', auth, authorize('ADMIN'), deleteProduct);
-router.patch('/admin/:productId/status', auth, authorize('ADMIN'), toggleProductStatus);
+router.delete('/admin/:productId', auth, requirePermission(PERMISSIONS.PRODUCTS_DELETE), auditEntity('product', 'productId'), deleteProduct);
+router.patch('/admin/:productId/status', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), toggleProductStatus);
 
 // Admin routes for merchandising management
-router.patch('/admin/:productId/best-seller', auth, authorize('ADMIN'), toggleBestSeller);
-router.patch('/admin/:productId/new-arrival', auth, authorize('ADMIN'), toggleNewArrival);
-router.patch('/admin/:productId/featured', auth, authorize('ADMIN'), toggleFeatured);
-router.post('/admin/merchandising/auto-update', auth, authorize('ADMIN'), autoUpdateMerchandising);
+router.patch('/admin/:productId/best-seller', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), toggleBestSeller);
+router.patch('/admin/:productId/new-arrival', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), toggleNewArrival);
+router.patch('/admin/:productId/featured', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), toggleFeatured);
+router.post('/admin/merchandising/auto-update', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), autoUpdateMerchandising);
 
 // Product details routes (with auth)
-router.post('/admin/:productId/details', auth, authorize('ADMIN'), addProductDetails);
-router.put('/admin/:productId/details/:detailId', auth, authorize('ADMIN'), updateProductDetail);
-router.delete('/admin/:productId/details/:detailId', auth, authorize('ADMIN'), removeProductDetail);
+router.post('/admin/:productId/details', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), addProductDetails);
+router.put('/admin/:productId/details/:detailId', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), updateProductDetail);
+router.delete('/admin/:productId/details/:detailId', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), removeProductDetail);
 
 // Product images routes (with auth)
-router.post('/admin/:productId/images', auth, authorize('ADMIN'), upload.array('images', 10), addProductImages);
-router.delete('/admin/:productId/images/:imageId', auth, authorize('ADMIN'), removeProductImage);
-router.patch('/admin/:productId/images/:imageId/primary', auth, authorize('ADMIN'), setPrimaryProductImage);
+router.post('/admin/:productId/images', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), upload.array('images', 10), addProductImages);
+router.delete('/admin/:productId/images/:imageId', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), removeProductImage);
+router.patch('/admin/:productId/images/:imageId/primary', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), setPrimaryProductImage);
 
 // Product variants routes (with auth)
-router.post('/admin/:productId/variants', auth, authorize('ADMIN'), upload.array('images', 10), addProductVariant);
-router.put('/admin/:productId/variants/:variantId', auth, authorize('ADMIN'), upload.array('images', 10), updateProductVariant);
-router.delete('/admin/:productId/variants/:variantId', auth, authorize('ADMIN'), removeProductVariant);
-router.patch('/admin/:productId/variants/:variantId/stock', auth, authorize('ADMIN'), updateVariantStock);
+router.post('/admin/:productId/variants', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), upload.array('images', 10), addProductVariant);
+router.put('/admin/:productId/variants/:variantId', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), upload.array('images', 10), updateProductVariant);
+router.delete('/admin/:productId/variants/:variantId', auth, requirePermission(PERMISSIONS.PRODUCTS_DELETE), auditEntity('product', 'productId'), removeProductVariant);
+router.patch('/admin/:productId/variants/:variantId/stock', auth, requirePermission(PERMISSIONS.INVENTORY_WRITE), auditEntity('product', 'productId'), updateVariantStock);
+router.get('/admin/:productId/variants/:variantId/stock-history', auth, requirePermission(PERMISSIONS.INVENTORY_READ), getVariantStockHistory);
 
 // Variant images routes (with auth)
-router.post('/admin/:productId/variants/:variantId/images', auth, authorize('ADMIN'), upload.array('images', 10), addVariantImages);
-router.delete('/admin/:productId/variants/:variantId/images/:imageId', auth, authorize('ADMIN'), removeVariantImage);
-router.patch('/admin/:productId/variants/:variantId/images/:imageId/primary', auth, authorize('ADMIN'), setPrimaryVariantImage);
+router.post('/admin/:productId/variants/:variantId/images', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), upload.array('images', 10), addVariantImages);
+router.delete('/admin/:productId/variants/:variantId/images/:imageId', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), removeVariantImage);
+router.patch('/admin/:productId/variants/:variantId/images/:imageId/primary', auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE), auditEntity('product', 'productId'), setPrimaryVariantImage);
 
 export default router;  
\ No newline at end of file
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getActivePromotions,
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} from '../controllers/promotionController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/active', getActivePromotions);
+
+// Admin routes (promotions are managed alongside coupons)
+router.get('/', auth, requirePermission(PERMISSIONS.COUPONS_READ), getPromotions);
+router.post('/', auth, requirePermission(PERMISSIONS.COUPONS_WRITE), auditEntity('promotion'), createPromotion);
+router.get('/:promotionId', auth, requirePermission(PERMISSIONS.COUPONS_READ), getPromotion);
+router.patch('/:promotionId', auth, requirePermission(PERMISSIONS.COUPONS_WRITE), auditEntity('promotion', 'promotionId'), updatePromotion);
+router.delete('/:promotionId', auth, requirePermission(PERMISSIONS.COUPONS_DELETE), auditEntity('promotion', 'promotionId'), deletePromotion);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  requestQuote,
+  getMyQuotes,
+  getMyQuote,
+  cancelQuote,
+  acceptQuote,
+  getQuotes,
+  getQuote,
+  respondToQuote,
+  declineQuote
+} from '../controllers/quoteController.js';
+import { auth, authorize, requirePermission, requireVerifiedForCheckout } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Admin routes
+router.get('/admin', auth, requirePermission(PERMISSIONS.QUOTES_READ), getQuotes);
+router.get('/admin/:quoteId', auth, requirePermission(PERMISSIONS.QUOTES_READ), getQuote);
+router.post('/admin/:quoteId/respond', auth, requirePermission(PERMISSIONS.QUOTES_MANAGE), auditEntity('quote', 'quoteId'), respondToQuote);
+router.post('/admin/:quoteId/decline', auth, requirePermission(PERMISSIONS.QUOTES_MANAGE), auditEntity('quote', 'quoteId'), declineQuote);
+
+// Wholesaler routes
+router.post('/', auth, authorize('WHOLESALER'), requestQuote);
+router.get('/', auth, authorize('WHOLESALER'), getMyQuotes);
+router.get('/:quoteId', auth, authorize('WHOLESALER'), getMyQuote);
+router.post('/:quoteId/cancel', auth, authorize('WHOLESALER'), cancelQuote);
+router.post('/:quoteId/accept', auth, authorize('WHOLESALER'), requireVerifiedForCheckout, acceptQuote);
+
+export default router;
@@ -16,6 +16,7 @@ import {
 } from '../controllers/userController.js';
 
 import { auth, authorize } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/auditLog.js';
 import multer from 'multer';
 import { validateCreateUser, validateUpdateUser } from '../middleware/validation.js';
 
@@ -36,12 +37,12 @@ const upload = multer({
 });
 
 // Admin only routes
-router.post('/admin/users', auth, authorize('ADMIN'), validateCreateUser, createUser); // ADD VALIDATION
+router.post('/admin/users', auth, authorize('ADMIN'), auditEntity('user'), validateCreateUser, createUser); // ADD VALIDATION
 router.get('/admin/users', auth, authorize('ADMIN'), getAllUsers);
 router.get('/admin/users/stats', auth, authorize('ADMIN'), getUserStats);
-router.delete('/admin/users/:userId', auth, authorize('ADMIN'), deleteUser);
-router.patch('/admin/users/:userId/status', auth, authorize('ADMIN'), toggleUserStatus);
-router.patch('/admin/users/:userId/role', auth, authorize('ADMIN'), changeUserRole);
+router.delete('/admin/users/:userId', auth, authorize('ADMIN'), auditEntity('user', 'userId'), deleteUser);
+router.patch('/admin/users/:userId/status', auth, authorize('ADMIN'), auditEntity('user', 'userId'), toggleUserStatus);
+router.patch('/admin/users/:userId/role', auth, authorize('ADMIN'), auditEntity('user', 'userId'), changeUserRole);
 
 // User profile routes (users can update their own profiles)
 router.get('/users/:userId', auth, getUserById);
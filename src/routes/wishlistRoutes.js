@@ -0,0 +1,21 @@
+// routes/wishlistRoutes.js
+import express from 'express';
+import {
+  getWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  moveWishlistItemToCart
+} from '../controllers/wishlistController.js';
+import { auth, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Customers and wholesalers only
+router.use(auth, authorize('CUSTOMER', 'WHOLESALER'));
+
+router.get('/', getWishlist);
+router.post('/', addWishlistItem);
+router.delete('/:itemId', removeWishlistItem);
+router.post('/:itemId/move-to-cart', moveWishlistItemToCart);
+
+export default router;
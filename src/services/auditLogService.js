@@ -0,0 +1,214 @@
+// services/auditLogService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// Credentials that can turn up in a request body. Snapshots don't need this - they
+// are loaded with selects that leave credentials out (see userSnapshotSelect).
+const CREDENTIAL_FIELDS = [
+  'password',
+  'confirmPassword',
+  'currentPassword',
+  'newPassword',
+  'refreshToken',
+  'twoFactorToken',
+  'otp',
+  'otpSecret',
+  'resetToken',
+  'twoFactorSecret',
+  'twoFactorBackupCodes'
+];
+
+// On auth routes these are 2FA codes and reset/verification tokens; elsewhere (a coupon's code) they're plain data
+const AUTH_CREDENTIAL_FIELDS = ['code', 'token'];
+
+// Never snapshot credentials or 2FA material
+const userSnapshotSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  phone: true,
+  isActive: true,
+  isApproved: true,
+  approvedAt: true,
+  approvedBy: true,
+  emailVerified: true,
+  twoFactorEnabled: true,
+  updatedAt: true
+};
+
+// How to load the current state of each audited entity type
+const SNAPSHOT_LOADERS = {
+  product: (id) => prisma.product.findUnique({
+    where: { id },
+    include: {
+      variants: true,
+      productDetails: true
+    }
+  }),
+  user: (id) => prisma.user.findUnique({
+    where: { id },
+    select: {
+      ...userSnapshotSelect,
+      wholesalerProfile: true
+    }
+  }),
+  coupon: (id) => prisma.coupon.findUnique({ where: { id } }),
+  order: (id) => prisma.order.findUnique({ where: { id } }),
+  returnRequest: (id) => prisma.returnRequest.findUnique({
+    where: { id },
+    include: { items: true }
+  }),
+  contact: (id) => prisma.contact.findUnique({ where: { id } }),
+  quote: (id) => prisma.quote.findUnique({
+    where: { id },
+    include: { items: true }
+  }),
+  priceList: (id) => prisma.priceList.findUnique({
+    where: { id },
+    include: { entries: true }
+  }),
+  customerGroup: (id) => prisma.customerGroup.findUnique({
+    where: { id },
+    include: {
+      users: { select: { id: true } }
+    }
+  }),
+  promotion: (id) => prisma.promotion.findUnique({
+    where: { id },
+    include: { products: { select: { productId: true } } }
+  })
+};
+
+class AuditLogService {
+
+  async getSnapshot(entityType, entityId) {
+    const loader = SNAPSHOT_LOADERS[entityType];
+
+    if (!loader || !entityId) {
+      return null;
+    }
+
+    try {
+      return await loader(entityId);
+    } catch (error) {
+      logger.error('Failed to load audit snapshot:', {
+        entityType,
+        entityId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  redact(value, fields) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, fields));
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          fields.includes(key) ? '[REDACTED]' : this.redact(item, fields)
+        ])
+      );
+    }
+
+    return value;
+  }
+
+  redactRequestBody(body, action = '') {
+    const fields = action.includes('/auth/')
+      ? [...CREDENTIAL_FIELDS, ...AUTH_CREDENTIAL_FIELDS]
+      : CREDENTIAL_FIELDS;
+
+    return this.redact(body, fields);
+  }
+
+  // Round-trip through JSON so Dates and Decimals are stored the way the API returns them
+  toJson(value) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // Audit writes must never fail the request they describe
+  async record({ actor, action, entityType, entityId, before, after, requestBody, statusCode, ipAddress, userAgent }) {
+    try {
+      return await prisma.auditLog.create({
+        data: {
+          actorId: actor?.id || null,
+          actorRole: actor?.role || null,
+          action,
+          entityType: entityType || null,
+          entityId: entityId || null,
+          before: this.toJson(before),
+          after: this.toJson(after),
+          requestBody: this.toJson(this.redactRequestBody(requestBody, action)),
+          statusCode,
+          ipAddress: ipAddress || null,
+          userAgent: userAgent?.slice(0, 500) || null
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log:', {
+        action,
+        actorId: actor?.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async getAuditLogs({ page = 1, limit = 20, actorId, entityType, entityId, action, from, to }) {
+    const skip = (page - 1) * limit;
+    const where = {
+      ...(actorId && { actorId }),
+      ...(entityType && { entityType }),
+      ...(entityId && { entityId }),
+      ...(action && { action: { contains: action, mode: 'insensitive' } }),
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: new Date(from) }),
+          ...(to && { lte: new Date(to) })
+        }
+      })
+    };
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          actor: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default new AuditLogService();
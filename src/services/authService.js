@@ -1,19 +1,48 @@
 // services/authService.js
-import twilio from 'twilio';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import prisma from '../config/database.js';
-import { JWT_SECRET } from '../config/index.js';
+import {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_DAYS,
+  EMAIL_VERIFICATION_HOURS,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  TWO_FACTOR_REQUIRED_FOR_ADMINS,
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES
+} from '../config/index.js';
 import emailNotificationService from './emailNotificationService.js';
 import logger from '../utils/logger.js';
 import s3UploadService from './s3UploadService.js';
-
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+import smsService from './smsService.js';
+import twoFactorService from './twoFactorService.js';
+import { ROLE_PERMISSIONS, KYC_STATUS } from '../utils/constants.js';
+import { normalizeGstin } from '../utils/helpers.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Never send credentials or 2FA material back to the client
+export const sanitizeUser = ({
+  password,
+  otpSecret,
+  otpAttempts,
+  twoFactorSecret,
+  twoFactorBackupCodes,
+  twoFactorLastStep,
+  twoFactorFailedAttempts,
+  failedLoginAttempts,
+  lockedUntil,
+  ...user
+}) => user;
+
+// Numbers are stored with or without a country code; match on the last 10 digits
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
 
 class AuthService {
 
-async register(userData, files = []) {
+async register(userData, files = [], context = {}) {
   const { email, password, name, role, phone, businessType, ...wholesalerData } = userData;
 
 
@@ -92,7 +121,7 @@ async register(userData, files = []) {
           userId: user.id,
           businessType: businessType,
           companyName: wholesalerData.companyName || null,
-          gstNumber: wholesalerData.gstNumber || null,
+          gstNumber: wholesalerData.gstNumber ? normalizeGstin(wholesalerData.gstNumber) : null,
           websiteUrl: wholesalerData.websiteUrl || null,
           instagramUrl: wholesalerData.instagramUrl || null,
           shopPhotos: shopPhotoUrls,
@@ -130,11 +159,21 @@ async register(userData, files = []) {
     }
   }
 
+  // Welcome email carries the verification link
+  try {
+    await this.sendVerificationEmail(user, { welcome: true });
+  } catch (emailError) {
+    logger.error('Welcome email failed after registration', {
+      userId: user.id,
+      error: emailError.message
+    });
+  }
+
   // Generate tokens
   let tokens = {};
   try {
     if (user.role !== 'WHOLESALER' || user.isApproved) {
-      tokens = this.generateTokens(user);
+      tokens = await this.generateTokens(user, context);
     }
   } catch (tokenError) {
     logger.error('Token generation failed', {
@@ -148,7 +187,7 @@ async register(userData, files = []) {
   return { user, ...tokens };
 }
 
-  async login(credentials) {
+  async login(credentials, context = {}) {
     const { email, phone, password, otp } = credentials;
 
     // Validate input
@@ -177,24 +216,56 @@ async register(userData, files = []) {
       throw new Error('Account is deactivated');
     }
 
+    this.assertNotLocked(user);
+
     // Handle different user types
     switch (user.role) {
       case 'WHOLESALER':
-        return await this.handleWholesalerLogin(user, phone, otp);
+        return await this.handleWholesalerLogin(user, phone, otp, context);
       
       case 'CUSTOMER':
+        // Phone without a password means the customer is logging in with OTP
+        if (phone && !password) {
+          return await this.handleCustomerOTPLogin(user, phone, otp, context);
+        }
+        return await this.handlePasswordLogin(user, password, context);
+
       case 'ADMIN':
-        return await this.handlePasswordLogin(user, password);
+        return await this.handleAdminLogin(user, password, context);
+
+      case 'ORDER_MANAGER':
+      case 'CATALOG_EDITOR':
+      case 'SUPPORT':
+        return await this.handlePasswordLogin(user, password, context);
       
       default:
         throw new Error('Invalid user role');
     }
   }
 
-  async handleWholesalerLogin(user, phone, otp) {
-    if (!user.isApproved) {
-      throw new Error("Your account is pending admin approval.");
+  // Explain where the application stands instead of a generic "pending" for every unapproved wholesaler
+  assertWholesalerApproved(user) {
+    if (user.isApproved) {
+      return;
+    }
+
+    const profile = user.wholesalerProfile;
+    const reason = profile?.kycReason ? ` Reason: ${profile.kycReason}` : '';
+
+    switch (profile?.kycStatus) {
+      case KYC_STATUS.NEEDS_INFO:
+        throw new Error(`We need more information to approve your account. Please use the link in your email to update your details.${reason}`);
+      case KYC_STATUS.REJECTED:
+        throw new Error(`Your wholesaler application was not approved.${reason}`);
+      case KYC_STATUS.SUSPENDED:
+        throw new Error(`Your account has been suspended.${reason}`);
+      default:
+        throw new Error('Your account is pending admin approval.');
     }
+  }
+
+  async handleWholesalerLogin(user, phone, otp, context = {}) {
+    this.assertWholesalerApproved(user);
 
     // If OTP not provided → send OTP
     if (!otp) {
@@ -204,43 +275,210 @@ async register(userData, files = []) {
     // OTP provided → verify
     await this.verifyOTP(phone, otp);
 
-    const tokens = this.generateTokens(user);
-    const { password: _, otpSecret: __, otpAttempts: ___, ...userData } = user;
+    const tokens = await this.generateTokens(user, context);
+
+    return {
+      user: sanitizeUser(user),
+      ...tokens
+    };
+  }
+
+
+  async handleCustomerOTPLogin(user, phone, otp, context = {}) {
+    if (!otp) {
+      return this.sendOTP(phone);
+    }
+
+    await this.verifyOTP(user.phone, otp);
+
+    const tokens = await this.generateTokens(user, context);
 
     return {
-      user: userData,
+      user: { ...sanitizeUser(user), isPhoneVerified: true },
       ...tokens
     };
   }
 
+  // Phone-only signup for retail customers. The account stays unverified until the OTP is
+  // entered through /login or /verify-otp, and asking again just resends the code.
+  async registerWithPhone({ phone, name }) {
+    const cleanPhoneNumber = normalizePhone(phone);
+
+    if (cleanPhoneNumber.length !== 10) {
+      throw new Error('Please provide a valid 10-digit phone number');
+    }
+
+    if (!name || !name.trim()) {
+      throw new Error('Name is required');
+    }
+
+    const existingUser = await prisma.user.findFirst({
+      where: {
+        phone: {
+          endsWith: cleanPhoneNumber
+        }
+      }
+    });
+
+    if (existingUser && (existingUser.role !== 'CUSTOMER' || existingUser.isPhoneVerified)) {
+      throw new Error('An account with this phone number already exists. Please login');
+    }
+
+    if (existingUser) {
+      await prisma.user.update({
+        where: { id: existingUser.id },
+        data: { name: name.trim() }
+      });
+    } else {
+      await prisma.user.create({
+        data: {
+          phone: cleanPhoneNumber,
+          name: name.trim(),
+          role: 'CUSTOMER',
+          isApproved: true
+        }
+      });
+
+      logger.info('Customer registered with phone', { phone: cleanPhoneNumber });
+    }
+
+    return await this.sendOTP(cleanPhoneNumber);
+  }
 
-  async handlePasswordLogin(user, password) {
+  async handlePasswordLogin(user, password, context = {}) {
     if (!password) {
       throw new Error('Password is required');
     }
 
-    // Verify password
-    if (!(await bcrypt.compare(password, user.password))) {
-      throw new Error('Invalid credentials');
-    }
+    await this.verifyPassword(user, password);
 
     // Generate tokens
-    const tokens = this.generateTokens(user);
-    const { password: _, ...userData } = user;
+    const tokens = await this.generateTokens(user, context);
 
     return { 
-      user: userData, 
+      user: sanitizeUser(user), 
       ...tokens 
     };
   }
 
+  assertNotLocked(user) {
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      const minutes = Math.ceil((user.lockedUntil - new Date()) / 60000);
+      const error = new Error(`Account temporarily locked after too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+      error.statusCode = 423;
+      throw error;
+    }
+  }
+
+  // Counts consecutive wrong passwords and locks the account once the limit is reached
+  async verifyPassword(user, password) {
+    // Phone signups have no password until they set one
+    const isValid = Boolean(user.password) && await bcrypt.compare(password, user.password);
+
+    if (isValid) {
+      if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+        await prisma.user.update({
+          where: { id: user.id },
+          data: { failedLoginAttempts: 0, lockedUntil: null }
+        });
+      }
+      return;
+    }
+
+    const { failedLoginAttempts } = await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: { increment: 1 } },
+      select: { failedLoginAttempts: true }
+    });
+
+    if (failedLoginAttempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          failedLoginAttempts: 0,
+          lockedUntil: new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000)
+        }
+      });
+
+      logger.warn('Account locked after failed login attempts', {
+        userId: user.id,
+        attempts: failedLoginAttempts
+      });
+    }
+
+    throw new Error('Invalid credentials');
+  }
+
+  // Admins with 2FA get a short-lived challenge token instead of a session after the password step
+  async handleAdminLogin(user, password, context = {}) {
+    if (!user.twoFactorEnabled) {
+      const result = await this.handlePasswordLogin(user, password, context);
+
+      // Enforcement: the session works, but only for 2FA setup until they enroll
+      return TWO_FACTOR_REQUIRED_FOR_ADMINS
+        ? { ...result, twoFactorSetupRequired: true }
+        : result;
+    }
+
+    if (!password) {
+      throw new Error('Password is required');
+    }
+
+    await this.verifyPassword(user, password);
+    await twoFactorService.resetFailedAttempts(user.id);
+
+    const twoFactorToken = jwt.sign(
+      { userId: user.id, purpose: 'two-factor' },
+      JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+
+    return {
+      success: true,
+      requiresTwoFactor: true,
+      twoFactorToken,
+      message: 'Enter the code from your authenticator app'
+    };
+  }
+
+  async completeTwoFactorLogin(twoFactorToken, code, context = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(twoFactorToken, JWT_SECRET);
+    } catch (error) {
+      throw new Error('Login session expired. Please login again');
+    }
+
+    if (decoded.purpose !== 'two-factor') {
+      throw new Error('Login session expired. Please login again');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      throw new Error('Login session expired. Please login again');
+    }
+
+    if (!user.isActive) {
+      throw new Error('Account is deactivated');
+    }
+
+    await twoFactorService.verifyCode(user, code);
+
+    const tokens = await this.generateTokens(user, context);
+
+    return {
+      user: sanitizeUser(user),
+      ...tokens
+    };
+  }
+
 
   async sendOTP(phoneNumber) {
     // Clean phone number
-    const cleanPhoneNumber = phoneNumber.replace(/\D/g, '').slice(-10);
-    
-    // Format for Twilio
-    const twilioPhoneNumber = `+91${cleanPhoneNumber}`;
+    const cleanPhoneNumber = normalizePhone(phoneNumber);
     
 
     // Find user with maximum attempt check
@@ -257,7 +495,10 @@ async register(userData, files = []) {
         otpExpiry: true,
         isActive: true,
         role: true,
-        isApproved: true
+        isApproved: true,
+        wholesalerProfile: {
+          select: { kycStatus: true, kycReason: true }
+        }
       }
     });
 
@@ -271,8 +512,8 @@ async register(userData, files = []) {
     }
 
     // Check if wholesaler is approved
-    if (user.role === 'WHOLESALER' && !user.isApproved) {
-      throw new Error('Your account is pending admin approval');
+    if (user.role === 'WHOLESALER') {
+      this.assertWholesalerApproved(user);
     }
 
     // Check maximum attempts (5 attempts)
@@ -309,11 +550,10 @@ async register(userData, files = []) {
 
     try {
       
-      const message = await twilioClient.messages.create({
-        body: `tiruppurGarments: Your OTP is ${otp}. Do not share. Valid for 10 minutes.`,
-        to: twilioPhoneNumber,
-        from: process.env.TWILIO_PHONE_NUMBER
-      });
+      await smsService.send(
+        cleanPhoneNumber,
+        `tiruppurGarments: Your OTP is ${otp}. Do not share. Valid for 10 minutes.`
+      );
 
       
       // Save OTP and reset attempts counter
@@ -334,13 +574,6 @@ async register(userData, files = []) {
       };
       
     } catch (error) {
-      console.error('Twilio Error Details:', {
-        message: error.message,
-        code: error.code,
-        moreInfo: error.moreInfo,
-        status: error.status
-      });
-      
       // Don't clear OTP on failure, just don't save it
       throw new Error(`Failed to send OTP: ${error.message}. Please try again.`);
     }
@@ -350,7 +583,7 @@ async register(userData, files = []) {
   async verifyOTP(phoneNumber, otp) {
     const user = await prisma.user.findFirst({
       where: {
-        phone: phoneNumber,
+        phone: { endsWith: normalizePhone(phoneNumber) },
         otpExpiry: { gt: new Date() }
       }
     });
@@ -389,18 +622,15 @@ async register(userData, files = []) {
   }
 
 
-  async handleRegularLogin(user, password) {
+  async handleRegularLogin(user, password, context = {}) {
     // Verify password for customers/admins
-    if (!(await bcrypt.compare(password, user.password))) {
-      throw new Error('Invalid credentials');
-    }
+    await this.verifyPassword(user, password);
 
     // Generate tokens
-    const tokens = this.generateTokens(user);
-    const { password: _, ...userWithoutPassword } = user;
+    const tokens = await this.generateTokens(user, context);
 
     return { 
-      user: userWithoutPassword, 
+      user: sanitizeUser(user), 
       ...tokens 
     };
   }
@@ -488,100 +718,272 @@ async register(userData, files = []) {
     }
   }
 
-  // Admin method to approve wholesalers
-  async approveWholesaler(wholesalerId, adminId) {
+  signAccessToken(user, sessionId) {
+    const payload = {
+      userId: user.id,
+      sessionId,
+      email: user.email,
+      role: user.role,
+      isApproved: user.isApproved
+    };
+
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+  }
+
+  // Signed with the JWT secret; the email is part of the token so changing it voids old links
+  createEmailVerificationToken(user) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, purpose: 'email-verification' },
+      JWT_SECRET,
+      { expiresIn: `${EMAIL_VERIFICATION_HOURS}h` }
+    );
+  }
+
+  async sendVerificationEmail(user, { welcome = false } = {}) {
+    const token = this.createEmailVerificationToken(user);
+    const emailData = {
+      name: user.name,
+      email: user.email,
+      verificationUrl: `${process.env.FRONTEND_URL}/verify-email?token=${token}`,
+      verificationHours: EMAIL_VERIFICATION_HOURS
+    };
+
+    if (welcome) {
+      await emailNotificationService.sendWelcomeEmail({
+        ...emailData,
+        joinDate: new Date().toLocaleDateString('en-IN')
+      });
+    } else {
+      await emailNotificationService.sendEmailVerification(emailData);
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerificationSentAt: new Date() }
+    });
+  }
+
+  async resendVerificationEmail(userId) {
     const user = await prisma.user.findUnique({
-      where: { id: wholesalerId },
-      include: { wholesalerProfile: true }
+      where: { id: userId },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        emailVerified: true,
+        emailVerificationSentAt: true
+      }
     });
 
-    if (!user || user.role !== 'WHOLESALER') {
-      throw new Error('Wholesaler not found');
+    if (!user) {
+      throw new Error('User not found');
     }
 
-    if (user.isApproved) {
-      throw new Error('Wholesaler is already approved');
+    if (!user.email) {
+      throw new Error('No email address on this account');
     }
 
-    const approvedUser = await prisma.user.update({
-      where: { id: wholesalerId },
-      data: {
-        isApproved: true,
-        approvedAt: new Date(),
-        approvedBy: adminId
-      },
-      include: {
-        wholesalerProfile: true
+    if (user.emailVerified) {
+      throw new Error('Email is already verified');
+    }
+
+    if (user.emailVerificationSentAt) {
+      const waitSeconds = Math.ceil(
+        (user.emailVerificationSentAt.getTime() + EMAIL_VERIFICATION_RESEND_SECONDS * 1000 - Date.now()) / 1000
+      );
+
+      if (waitSeconds > 0) {
+        const error = new Error(`Verification email already sent. Please wait ${waitSeconds}s before requesting another.`);
+        error.statusCode = 429;
+        throw error;
       }
-    });
+    }
 
-    // Send approval notification to wholesaler
-    await this.sendApprovalNotification(approvedUser);
+    await this.sendVerificationEmail(user);
 
-    return approvedUser;
+    return {
+      success: true,
+      message: 'Verification email sent'
+    };
   }
 
-  async sendApprovalNotification(wholesalerUser) {
+  async verifyEmail(token) {
+    let decoded;
     try {
-      if (!wholesalerUser || !wholesalerUser.email) {
-        logger.error('Invalid wholesaler data for approval notification', {
-          wholesalerUser
-        });
-        return;
-      }
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired verification link');
+    }
 
-      // If you have email service implemented
-      await emailNotificationService.sendWholesalerApprovalConfirmation({
-        name: wholesalerUser.name || 'Valued Customer',
-        email: wholesalerUser.email,
-        phone: wholesalerUser.phone || 'Not provided',
-        approvalDate: wholesalerUser.approvedAt || new Date()
-      });
+    if (decoded.purpose !== 'email-verification') {
+      throw new Error('Invalid or expired verification link');
+    }
 
-      logger.info('Wholesaler approval notification sent', {
-        wholesalerId: wholesalerUser.id,
-        wholesalerEmail: wholesalerUser.email
-      });
-    } catch (error) {
-      logger.error('Failed to send approval notification', {
-        wholesalerId: wholesalerUser?.id,
-        error: error.message
-      });
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: { id: true, email: true, emailVerified: true }
+    });
+
+    if (!user || user.email !== decoded.email) {
+      throw new Error('Invalid or expired verification link');
+    }
+
+    if (user.emailVerified) {
+      return { success: true, message: 'Email is already verified' };
     }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerified: new Date() }
+    });
+
+    logger.info('Email verified', { userId: user.id });
+    return { success: true, message: 'Email verified successfully' };
   }
 
-  generateTokens(user) {
-    const payload = {
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-      isApproved: user.isApproved
+  // Start a new session for this device. The refresh token is "<sessionId>.<secret>" so a
+  // stale token can be traced back to its session even after it has been rotated.
+  async generateTokens(user, { userAgent, ipAddress } = {}) {
+    const secret = crypto.randomBytes(40).toString('hex');
+
+    const session = await prisma.session.create({
+      data: {
+        userId: user.id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: userAgent?.slice(0, 500) || null,
+        ipAddress: ipAddress || null,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+      }
+    });
+
+    return {
+      accessToken: this.signAccessToken(user, session.id),
+      refreshToken: `${session.id}.${secret}`
     };
+  }
+
+  async refreshTokens(refreshToken, { userAgent, ipAddress } = {}) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    if (!sessionId || !secret) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      include: { user: true }
+    });
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      throw new Error('Session expired. Please login again');
+    }
+
+    const expected = Buffer.from(session.refreshTokenHash);
+    const received = Buffer.from(hashToken(secret));
+
+    // An already rotated token being replayed means it leaked - end the session for everyone holding it
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      await this.revokeSession(session.userId, session.id);
+      logger.warn('Refresh token reuse detected, session revoked', {
+        userId: session.userId,
+        sessionId: session.id,
+        ipAddress
+      });
+      throw new Error('Session expired. Please login again');
+    }
+
+    if (!session.user.isActive) {
+      throw new Error('Account is deactivated');
+    }
+
+    const newSecret = crypto.randomBytes(40).toString('hex');
+
+    // Guard on the old hash so two concurrent refreshes can't both succeed
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: session.id,
+        refreshTokenHash: session.refreshTokenHash,
+        revokedAt: null
+      },
+      data: {
+        refreshTokenHash: hashToken(newSecret),
+        lastUsedAt: new Date(),
+        ...(userAgent && { userAgent: userAgent.slice(0, 500) }),
+        ...(ipAddress && { ipAddress })
+      }
+    });
 
-    const accessToken = jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' });
-    const refreshToken = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '30d' });
+    if (count === 0) {
+      throw new Error('Session expired. Please login again');
+    }
 
-    return { accessToken, refreshToken };
+    return {
+      accessToken: this.signAccessToken(session.user, session.id),
+      refreshToken: `${session.id}.${newSecret}`
+    };
   }
 
-  // Get pending wholesalers for admin
-  async getPendingWholesalers() {
-    return await prisma.user.findMany({
+  async listSessions(userId, currentSessionId) {
+    const sessions = await prisma.session.findMany({
       where: {
-        role: 'WHOLESALER',
-        isApproved: false
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
       },
-      include: {
-        wholesalerProfile: true
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        lastUsedAt: true,
+        createdAt: true,
+        expiresAt: true
       },
       orderBy: {
-        createdAt: 'desc'
+        lastUsedAt: 'desc'
       }
     });
+
+    return sessions.map(session => ({
+      ...session,
+      isCurrent: session.id === currentSessionId
+    }));
+  }
+
+  async revokeSession(userId, sessionId) {
+    const { count } = await prisma.session.updateMany({
+      where: { id: sessionId, userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw new Error('Session not found');
+    }
+
+    return true;
+  }
+
+  // Sign out every device, optionally keeping the one making the request
+  async revokeAllSessions(userId, { exceptSessionId } = {}) {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { id: { not: exceptSessionId } })
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    logger.info('User sessions revoked', { userId, count });
+    return count;
   }
 
   // Existing methods
-  async logout( ) {
+  async logout(userId, sessionId) {
+    await prisma.session.updateMany({
+      where: { id: sessionId, userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
     return true;
   }
 
@@ -706,6 +1108,9 @@ async adminResetPassword(token, adminId, newPassword) {
       }
     });
 
+    // Anyone holding the old credentials gets signed out
+    await this.revokeAllSessions(admin.id);
+
     // Send admin password changed confirmation
     await emailNotificationService.sendAdminPasswordChangedConfirmation({
       name: admin.name,
@@ -875,11 +1280,10 @@ async forgotPasswordWholesaler(phone) {
     const resetUrl = `${process.env.FRONTEND_URL}/wholesaler/reset-password?token=${resetToken}&userId=${user.id}`;
 
     // Send SMS with reset link
-    await twilioClient.messages.create({
-      body: `HangerGarments: Password reset link - ${resetUrl}. This link expires in 1 hour.`,
-      to: phone,
-      from: process.env.TWILIO_PHONE_NUMBER
-    });
+    await smsService.send(
+      phone,
+      `HangerGarments: Password reset link - ${resetUrl}. This link expires in 1 hour.`
+    );
 
     return {
       success: true,
@@ -978,6 +1382,9 @@ async validateResetToken(token, userId) {
         }
       });
 
+      // Anyone holding the old credentials gets signed out
+      await this.revokeAllSessions(user.id);
+
       // Send password changed confirmation
       await emailNotificationService.sendPasswordChangedConfirmation({
         name: user.name,
@@ -996,7 +1403,7 @@ async validateResetToken(token, userId) {
   }
 
   async getProfile(userId) {
-    return await prisma.user.findUnique({
+    const user = await prisma.user.findUnique({
       where: { id: userId },
       select: {
         id: true,
@@ -1007,11 +1414,16 @@ async validateResetToken(token, userId) {
         phone: true,
         isActive: true,
         isApproved: true,
+        emailVerified: true,
+        twoFactorEnabled: true,
         createdAt: true,
         addresses: true,
         wholesalerProfile: true
       }
     });
+
+    // Lets the admin panel hide what this staff role can't use
+    return user && { ...user, permissions: ROLE_PERMISSIONS[user.role] || [] };
   }
 }
 
@@ -0,0 +1,321 @@
+// services/cartService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import productService from './productService.js';
+import wholesaleRuleService from './wholesaleRuleService.js';
+import priceListService from './priceListService.js';
+
+const cartInclude = {
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          productCode: true,
+          normalPrice: true,
+          offerPrice: true,
+          wholesalePrice: true,
+          status: true,
+          subcategoryId: true,
+          images: {
+            take: 1,
+            select: {
+              imageUrl: true
+            }
+          }
+        }
+      },
+      productVariant: {
+        select: {
+          id: true,
+          color: true,
+          size: true,
+          stock: true,
+          sku: true
+        }
+      }
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  }
+};
+
+class CartService {
+
+  // A cart is owned either by a logged-in user or by a guest session id
+  getOwnerWhere({ userId, sessionId }) {
+    if (userId) {
+      return { userId };
+    }
+
+    if (sessionId) {
+      return { sessionId };
+    }
+
+    throw new Error('User or session ID is required to access the cart');
+  }
+
+  // Upsert, so two first requests from the same owner can't both try to create the cart
+  async getOrCreateCart(owner) {
+    const where = this.getOwnerWhere(owner);
+
+    return await prisma.cart.upsert({
+      where,
+      create: where,
+      update: {}
+    });
+  }
+
+  async getCart(owner) {
+    const cart = await this.getOrCreateCart(owner);
+
+    const cartWithItems = await prisma.cart.findUnique({
+      where: { id: cart.id },
+      include: cartInclude
+    });
+
+    return await this.withPricing(cartWithItems, owner);
+  }
+
+  // Price the cart through the same quantity-tier logic as /products/calculate-cart-prices
+  async withPricing(cart, { userId = null, isWholesaleUser = false } = {}) {
+    if (cart.items.length === 0) {
+      return {
+        ...cart,
+        itemCount: 0,
+        pricing: {
+          items: [],
+          subtotal: 0,
+          totalSavings: 0,
+          promotionDiscount: 0,
+          promotions: [],
+          shippingCost: 0,
+          total: 0,
+          hasQuantityDiscounts: false
+        },
+        ...(isWholesaleUser && { wholesaleRules: { valid: true, violations: [] } })
+      };
+    }
+
+    const pricing = await productService.calculateCartPrices(
+      cart.items.map(item => ({
+        productId: item.productId,
+        variantId: item.productVariantId,
+        quantity: item.quantity
+      })),
+      {
+        isWholesaleUser,
+        priceList: await priceListService.getPriceListForUser(userId)
+      }
+    );
+
+    // Wholesalers can keep building a cart below MOQ; checkout is where it's enforced
+    let wholesaleRules;
+    if (isWholesaleUser) {
+      const { valid, violations } = await wholesaleRuleService.checkItems(cart.items);
+      wholesaleRules = { valid, violations };
+    }
+
+    return {
+      ...cart,
+      itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+      pricing,
+      ...(wholesaleRules && { wholesaleRules })
+    };
+  }
+
+  async validateCartLine(productId, productVariantId, quantity) {
+    if (!productId) {
+      throw new Error('Product ID is required');
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error('Quantity must be a positive integer');
+    }
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, status: true }
+    });
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    if (product.status !== 'ACTIVE') {
+      throw new Error('Product is not available for purchase');
+    }
+
+    if (productVariantId) {
+      const variant = await prisma.productVariant.findUnique({
+        where: { id: productVariantId },
+        select: { id: true, productId: true, stock: true }
+      });
+
+      if (!variant || variant.productId !== productId) {
+        throw new Error('Product variant not found');
+      }
+
+      if (variant.stock < quantity) {
+        throw new Error(`Insufficient stock. Available: ${variant.stock}, Requested: ${quantity}`);
+      }
+    }
+  }
+
+  async addItem(owner, { productId, productVariantId = null, quantity = 1 }) {
+    const cart = await this.getOrCreateCart(owner);
+    const line = { cartId: cart.id, productId, productVariantId };
+
+    const existingItem = await prisma.cartItem.findFirst({
+      where: line
+    });
+
+    const newQuantity = (existingItem?.quantity || 0) + quantity;
+    await this.validateCartLine(productId, productVariantId, newQuantity);
+
+    try {
+      await this.incrementLine(prisma, line, quantity);
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+
+      // The same line was inserted by a concurrent request between the update and the insert
+      await this.incrementLine(prisma, line, quantity);
+    }
+
+    logger.info(`Cart item added: cart ${cart.id}, product ${productId}, quantity ${newQuantity}`);
+    return await this.getCart(owner);
+  }
+
+  // cart_items is unique on (cartId, productId, productVariantId), so a line is
+  // incremented in place and only created when the cart doesn't have it yet
+  async incrementLine(client, line, quantity) {
+    const { count } = await client.cartItem.updateMany({
+      where: line,
+      data: { quantity: { increment: quantity } }
+    });
+
+    if (count === 0) {
+      await client.cartItem.create({
+        data: { ...line, quantity }
+      });
+    }
+  }
+
+  async findCartItem(owner, itemId) {
+    const cart = await this.getOrCreateCart(owner);
+
+    const item = await prisma.cartItem.findUnique({
+      where: { id: itemId }
+    });
+
+    if (!item || item.cartId !== cart.id) {
+      throw new Error('Cart item not found');
+    }
+
+    return item;
+  }
+
+  async updateItem(owner, itemId, quantity) {
+    const item = await this.findCartItem(owner, itemId);
+
+    if (quantity === 0) {
+      return await this.removeItem(owner, itemId);
+    }
+
+    await this.validateCartLine(item.productId, item.productVariantId, quantity);
+
+    await prisma.cartItem.update({
+      where: { id: item.id },
+      data: { quantity }
+    });
+
+    return await this.getCart(owner);
+  }
+
+  async removeItem(owner, itemId) {
+    const item = await this.findCartItem(owner, itemId);
+
+    await prisma.cartItem.delete({
+      where: { id: item.id }
+    });
+
+    return await this.getCart(owner);
+  }
+
+  async clearCart(owner) {
+    const cart = await this.getOrCreateCart(owner);
+
+    await prisma.cartItem.deleteMany({
+      where: { cartId: cart.id }
+    });
+
+    logger.info(`Cart cleared: ${cart.id}`);
+    return await this.getCart(owner);
+  }
+
+  // Move a guest cart into the user's cart after login. Quantities of matching
+  // lines are summed and capped at the available variant stock.
+  async mergeGuestCart(userId, sessionId) {
+    if (!sessionId) {
+      return await this.getCart({ userId });
+    }
+
+    const guestCart = await prisma.cart.findUnique({
+      where: { sessionId },
+      include: {
+        items: {
+          include: {
+            productVariant: {
+              select: { stock: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!guestCart) {
+      return await this.getCart({ userId });
+    }
+
+    const userCart = await this.getOrCreateCart({ userId });
+
+    await prisma.$transaction(async (tx) => {
+      for (const guestItem of guestCart.items) {
+        const line = {
+          cartId: userCart.id,
+          productId: guestItem.productId,
+          productVariantId: guestItem.productVariantId
+        };
+
+        const existingItem = await tx.cartItem.findFirst({
+          where: line
+        });
+
+        const existingQuantity = existingItem?.quantity || 0;
+        let quantity = existingQuantity + guestItem.quantity;
+        if (guestItem.productVariant) {
+          quantity = Math.min(quantity, guestItem.productVariant.stock);
+        }
+
+        if (quantity < 1 || quantity === existingQuantity) {
+          continue;
+        }
+
+        await this.incrementLine(tx, line, quantity - existingQuantity);
+      }
+
+      await tx.cart.delete({
+        where: { id: guestCart.id }
+      });
+    });
+
+    logger.info(`Guest cart ${guestCart.id} merged into user cart ${userCart.id}`);
+    return await this.getCart({ userId });
+  }
+}
+
+export default new CartService();
@@ -1,16 +1,49 @@
 // services/couponService.js
 import prisma from '../config/database.js';
+import { REQUIRE_VERIFIED_EMAIL_FOR_COUPONS } from '../config/index.js';
+import { isAccountVerified } from '../utils/helpers.js';
+
+const BUYER_ROLES = ['CUSTOMER', 'WHOLESALER'];
+
+// Request field -> [scope mode, target column]
+const SCOPE_FIELDS = {
+  includeCategoryIds: ['INCLUDE', 'categoryId'],
+  includeSubcategoryIds: ['INCLUDE', 'subcategoryId'],
+  includeProductIds: ['INCLUDE', 'productId'],
+  excludeCategoryIds: ['EXCLUDE', 'categoryId'],
+  excludeSubcategoryIds: ['EXCLUDE', 'subcategoryId'],
+  excludeProductIds: ['EXCLUDE', 'productId']
+};
+
+const SCOPE_TARGETS = {
+  categoryId: { model: 'category', label: 'Category' },
+  subcategoryId: { model: 'subcategory', label: 'Subcategory' },
+  productId: { model: 'product', label: 'Product' }
+};
+
+// Targeting mistakes and ineligible buyers are the caller's problem, not a server error
+const targetingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
 
 class CouponService {
   
-  async validateCoupon(code, subtotal) {
+  /**
+   * `context` is who is buying and what: { userId, isWholesaleUser, lines }.
+   * `lines` are priced lines from pricingService; without them a coupon limited
+   * to certain items can't be checked.
+   */
+  async validateCoupon(code, subtotal, { userId = null, isWholesaleUser = false, lines = null } = {}) {
     const coupon = await prisma.coupon.findFirst({
       where: { 
         code: code.toUpperCase(),
         isActive: true,
         validFrom: { lte: new Date() },
         validUntil: { gte: new Date() }
-      }
+      },
+      include: { scopes: true }
     });
 
     if (!coupon) {
@@ -21,6 +54,17 @@ class CouponService {
       throw new Error('Coupon usage limit reached');
     }
 
+    await this.assertCustomerEligible(coupon, { userId, isWholesaleUser });
+
+    if (coupon.scopes.length > 0) {
+      if (!lines) {
+        throw new Error('This coupon only applies to selected items; send the cart items to check it');
+      }
+      if (this.getEligibleSubtotal(coupon, lines) <= 0) {
+        throw new Error('This coupon does not apply to any items in your cart');
+      }
+    }
+
     if (subtotal < coupon.minOrderAmount) {
       throw new Error(`Minimum order amount should be ₹${coupon.minOrderAmount}`);
     }
@@ -28,6 +72,74 @@ class CouponService {
     return coupon;
   }
 
+  // Role, verified account, first-order and per-customer limits
+  async assertCustomerEligible(coupon, { userId = null, isWholesaleUser = false } = {}) {
+    const role = isWholesaleUser ? 'WHOLESALER' : 'CUSTOMER';
+
+    if (coupon.allowedRoles?.length > 0 && !coupon.allowedRoles.includes(role)) {
+      throw new Error(isWholesaleUser
+        ? 'This coupon is not available for wholesale orders'
+        : 'This coupon is only available for wholesale orders');
+    }
+
+    if ((coupon.firstOrderOnly || coupon.perUserLimit || REQUIRE_VERIFIED_EMAIL_FOR_COUPONS) && !userId) {
+      throw new Error('Please log in to use this coupon');
+    }
+
+    if (REQUIRE_VERIFIED_EMAIL_FOR_COUPONS) {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { email: true, emailVerified: true, isPhoneVerified: true }
+      });
+
+      if (!user || !isAccountVerified(user)) {
+        throw targetingError('Please verify your email address to use coupons', 403);
+      }
+    }
+
+    if (coupon.firstOrderOnly) {
+      const previousOrders = await prisma.order.count({
+        where: { userId, status: { not: 'CANCELLED' } }
+      });
+
+      if (previousOrders > 0) {
+        throw new Error('This coupon is only valid on your first order');
+      }
+    }
+
+    if (coupon.perUserLimit) {
+      const redemptions = await prisma.couponRedemption.count({
+        where: { couponId: coupon.id, userId }
+      });
+
+      if (redemptions >= coupon.perUserLimit) {
+        throw new Error('You have already used this coupon the maximum number of times');
+      }
+    }
+  }
+
+  // `line` needs productId and product.categoryId/subcategoryId
+  isLineEligible(coupon, line) {
+    const matches = (scope) => {
+      if (scope.productId) return scope.productId === line.productId;
+      if (scope.subcategoryId) return scope.subcategoryId === line.product.subcategoryId;
+      return scope.categoryId === line.product.categoryId;
+    };
+
+    const includes = coupon.scopes.filter(scope => scope.mode === 'INCLUDE');
+    if (includes.length > 0 && !includes.some(matches)) {
+      return false;
+    }
+
+    return !coupon.scopes.some(scope => scope.mode === 'EXCLUDE' && matches(scope));
+  }
+
+  getEligibleSubtotal(coupon, lines) {
+    return lines
+      .filter(line => this.isLineEligible(coupon, line))
+      .reduce((sum, line) => sum + line.lineTotal, 0);
+  }
+
   async calculateDiscount(coupon, subtotal) {
     let discount = 0;
 
@@ -51,29 +163,119 @@ class CouponService {
     });
   }
 
+  // Counts an order against the coupon's overall and per-customer limits
+  async recordRedemption(couponId, { userId = null, orderId, discount }) {
+    await prisma.coupon.update({
+      where: { id: couponId },
+      data: {
+        usedCount: { increment: 1 },
+        totalDiscounts: { increment: discount }
+      }
+    });
+
+    await prisma.couponRedemption.create({
+      data: { couponId, userId, orderId, discount }
+    });
+  }
+
+  // Undo recordRedemption when an order using the coupon is cancelled. Only the call that
+  // removes the redemption adjusts the counters, so cancelling twice can't undo it twice.
+  async reverseCouponUsage(couponId, discount, orderId) {
+    return await prisma.$transaction(async (tx) => {
+      const { count } = await tx.couponRedemption.deleteMany({
+        where: { couponId, orderId }
+      });
+
+      if (count === 0) return null;
+
+      return await tx.coupon.update({
+        where: { id: couponId },
+        data: {
+          usedCount: { decrement: 1 },
+          totalDiscounts: { decrement: discount || 0 }
+        }
+      });
+    });
+  }
+
+  // Validates the targeting fields and pulls the scope lists out of `data`
+  async parseTargeting(data) {
+    const fields = { ...data };
+    const scopeGroups = [];
+
+    for (const [key, [mode, column]] of Object.entries(SCOPE_FIELDS)) {
+      if (fields[key] === undefined) continue;
+
+      const ids = fields[key] || [];
+      delete fields[key];
+
+      if (!Array.isArray(ids)) {
+        throw targetingError(`${key} must be an array`);
+      }
+
+      const uniqueIds = [...new Set(ids)];
+      const { model, label } = SCOPE_TARGETS[column];
+      const found = await prisma[model].count({ where: { id: { in: uniqueIds } } });
+      if (found !== uniqueIds.length) {
+        throw targetingError(`${label} not found`, 404);
+      }
+
+      scopeGroups.push({ mode, column, ids: uniqueIds });
+    }
+
+    if (fields.allowedRoles !== undefined) {
+      fields.allowedRoles = fields.allowedRoles || [];
+      if (!Array.isArray(fields.allowedRoles) || fields.allowedRoles.some(role => !BUYER_ROLES.includes(role))) {
+        throw targetingError(`allowedRoles may only contain ${BUYER_ROLES.join(' and ')}`);
+      }
+    }
+
+    if (fields.perUserLimit !== undefined) {
+      fields.perUserLimit = fields.perUserLimit === null || fields.perUserLimit === '' ? null : Number(fields.perUserLimit);
+      if (fields.perUserLimit !== null && (!Number.isInteger(fields.perUserLimit) || fields.perUserLimit < 1)) {
+        throw targetingError('Per-customer limit must be a positive integer');
+      }
+    }
+
+    if (fields.firstOrderOnly !== undefined) {
+      fields.firstOrderOnly = fields.firstOrderOnly === true || fields.firstOrderOnly === 'true';
+    }
+
+    return { fields, scopeGroups };
+  }
+
   async createCoupon(data) {
+    const { fields, scopeGroups } = await this.parseTargeting(data);
+
     return await prisma.coupon.create({
       data: {
-        ...data,
-        code: data.code.toUpperCase()
-      }
+        ...fields,
+        code: data.code.toUpperCase(),
+        scopes: {
+          create: scopeGroups.flatMap(({ mode, column, ids }) => ids.map(id => ({ mode, [column]: id })))
+        }
+      },
+      include: { scopes: true }
     });
   }
 
   async getCoupons() {
     return await prisma.coupon.findMany({
+      include: { scopes: true },
       orderBy: { createdAt: 'desc' }
     });
   }
 
   async getCouponById(id) {
     return await prisma.coupon.findUnique({
-      where: { id }
+      where: { id },
+      include: { scopes: true }
     });
   }
 
   // services/couponService.js
-async getAvailableCoupons(subtotal = 0) {
+  // With a signed-in buyer, coupons they can't use (role, first order, per-customer limit) are left out
+async getAvailableCoupons(subtotal = 0, { userId = null, isWholesaleUser = false } = {}) {
   const currentDate = new Date();
   
  
@@ -101,16 +303,39 @@ async getAvailableCoupons(subtotal = 0) {
 
 
 
-  return filteredCoupons;
+  if (!userId) {
+    return filteredCoupons;
+  }
+
+  const eligibility = await Promise.all(filteredCoupons.map(coupon =>
+    this.assertCustomerEligible(coupon, { userId, isWholesaleUser }).then(() => true, () => false)
+  ));
+
+  return filteredCoupons.filter((coupon, index) => eligibility[index]);
 }
 
+  // Each scope list sent replaces that list only; lists not sent are kept
   async updateCoupon(id, data) {
-    return await prisma.coupon.update({
-      where: { id },
-      data: {
-        ...data,
-        code: data.code ? data.code.toUpperCase() : undefined
+    const { fields, scopeGroups } = await this.parseTargeting(data);
+
+    return await prisma.$transaction(async (tx) => {
+      for (const { mode, column } of scopeGroups) {
+        await tx.couponScope.deleteMany({
+          where: { couponId: id, mode, [column]: { not: null } }
+        });
       }
+
+      return tx.coupon.update({
+        where: { id },
+        data: {
+          ...fields,
+          code: data.code ? data.code.toUpperCase() : undefined,
+          scopes: {
+            create: scopeGroups.flatMap(({ mode, column, ids }) => ids.map(scopeId => ({ mode, [column]: scopeId })))
+          }
+        },
+        include: { scopes: true }
+      });
     });
   }
 
@@ -0,0 +1,477 @@
+// services/creditService.js
+import prisma from '../config/database.js';
+import { CREDIT_REMINDER_INTERVAL_DAYS } from '../config/index.js';
+import emailNotificationService from './emailNotificationService.js';
+import orderStatusService from './orderStatusService.js';
+import logger from '../utils/logger.js';
+import { KYC_STATUS, PAYMENT_TERMS_DAYS } from '../utils/constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const openInvoiceWhere = (userId) => ({
+  userId,
+  type: 'INVOICE',
+  settledAt: null
+});
+
+class CreditService {
+
+  async getProfile(userId, tx = prisma) {
+    const profile = await tx.wholesalerProfile.findUnique({
+      where: { userId },
+      include: {
+        user: {
+          select: { id: true, name: true, email: true, phone: true, role: true }
+        }
+      }
+    });
+
+    if (!profile || profile.user.role !== 'WHOLESALER') {
+      throw new Error('Wholesaler not found');
+    }
+
+    return profile;
+  }
+
+  async getAccount(userId) {
+    const profile = await this.getProfile(userId);
+    const now = new Date();
+
+    const openInvoices = await prisma.creditLedgerEntry.findMany({
+      where: openInvoiceWhere(userId),
+      include: {
+        order: {
+          select: { id: true, orderNumber: true, status: true }
+        }
+      },
+      orderBy: { dueDate: 'asc' }
+    });
+
+    const overdueInvoices = openInvoices.filter(invoice => invoice.dueDate < now);
+
+    return {
+      creditLimit: profile.creditLimit,
+      paymentTerms: profile.paymentTerms,
+      outstanding: profile.creditBalance,
+      available: Math.max(0, roundMoney(profile.creditLimit - profile.creditBalance)),
+      overdueAmount: roundMoney(overdueInvoices.reduce((sum, invoice) => sum + invoice.amount - invoice.amountSettled, 0)),
+      overdueCount: overdueInvoices.length,
+      openInvoices: openInvoices.map(invoice => ({
+        ...invoice,
+        amountDue: roundMoney(invoice.amount - invoice.amountSettled),
+        isOverdue: invoice.dueDate < now
+      }))
+    };
+  }
+
+  async updateTerms(userId, { creditLimit, paymentTerms }) {
+    await this.getProfile(userId);
+
+    const data = {};
+
+    if (creditLimit !== undefined) {
+      const limit = parseFloat(creditLimit);
+      if (isNaN(limit) || limit < 0) {
+        throw new Error('Credit limit must be a non-negative number');
+      }
+      data.creditLimit = roundMoney(limit);
+    }
+
+    if (paymentTerms !== undefined) {
+      if (paymentTerms !== null && !(paymentTerms in PAYMENT_TERMS_DAYS)) {
+        throw new Error(`Invalid payment terms. Must be one of: ${Object.keys(PAYMENT_TERMS_DAYS).join(', ')}`);
+      }
+      data.paymentTerms = paymentTerms;
+    }
+
+    if (Object.keys(data).length === 0) {
+      throw new Error('Credit limit or payment terms is required');
+    }
+
+    // Lowering the limit below the current balance only blocks new credit orders
+    await prisma.wholesalerProfile.update({
+      where: { userId },
+      data
+    });
+
+    logger.info('Wholesaler credit terms updated', { userId, ...data });
+    return this.getAccount(userId);
+  }
+
+  // Checked before the order is created so the wholesaler gets a clear reason up front
+  async assertCanCharge(userId, amount) {
+    const profile = await this.getProfile(userId);
+
+    if (profile.kycStatus !== KYC_STATUS.APPROVED) {
+      throw new Error('Pay-later is only available for approved wholesalers');
+    }
+
+    if (!profile.paymentTerms || profile.creditLimit <= 0) {
+      throw new Error('Pay-later is not enabled for your account');
+    }
+
+    const overdue = await prisma.creditLedgerEntry.count({
+      where: {
+        ...openInvoiceWhere(userId),
+        dueDate: { lt: new Date() }
+      }
+    });
+
+    if (overdue > 0) {
+      throw new Error('Please clear your overdue invoices before placing another pay-later order');
+    }
+
+    const available = roundMoney(profile.creditLimit - profile.creditBalance);
+    if (amount > available) {
+      throw new Error(`Insufficient credit. Available: ₹${Math.max(0, available)}, order total: ₹${amount}`);
+    }
+
+    return profile;
+  }
+
+  // Runs inside the order's transaction, so a failed charge rolls the order back
+  async recordInvoice(tx, order) {
+    const profile = await this.getProfile(order.userId, tx);
+    const amount = roundMoney(order.totalAmount);
+
+    if (!profile.paymentTerms) {
+      throw new Error('Pay-later is not enabled for your account');
+    }
+
+    // Guarded increment: another order can't use the same headroom in between
+    const charged = await tx.wholesalerProfile.updateMany({
+      where: {
+        userId: order.userId,
+        creditLimit: profile.creditLimit,
+        creditBalance: { lte: roundMoney(profile.creditLimit - amount) }
+      },
+      data: { creditBalance: { increment: amount } }
+    });
+
+    if (charged.count === 0) {
+      throw new Error('Insufficient credit for this order');
+    }
+
+    const { creditBalance } = await tx.wholesalerProfile.findUnique({
+      where: { userId: order.userId },
+      select: { creditBalance: true }
+    });
+
+    return await tx.creditLedgerEntry.create({
+      data: {
+        userId: order.userId,
+        type: 'INVOICE',
+        amount,
+        balanceAfter: roundMoney(creditBalance),
+        orderId: order.id,
+        dueDate: new Date(Date.now() + PAYMENT_TERMS_DAYS[profile.paymentTerms] * DAY),
+        reference: order.orderNumber,
+        note: `${profile.paymentTerms.replace('_', ' ')} invoice`
+      }
+    });
+  }
+
+  // Payments settle the oldest invoices first; fully settled orders are marked PAID
+  async recordPayment(userId, { amount, paymentMethod, reference, note, recordedById }) {
+    const paymentAmount = roundMoney(parseFloat(amount));
+
+    if (isNaN(paymentAmount) || paymentAmount <= 0) {
+      throw new Error('Payment amount must be greater than zero');
+    }
+
+    await this.getProfile(userId);
+
+    const result = await prisma.$transaction(async (tx) => {
+      const paid = await tx.wholesalerProfile.updateMany({
+        where: {
+          userId,
+          creditBalance: { gte: paymentAmount }
+        },
+        data: { creditBalance: { decrement: paymentAmount } }
+      });
+
+      if (paid.count === 0) {
+        throw new Error('Payment exceeds the outstanding balance');
+      }
+
+      const { creditBalance } = await tx.wholesalerProfile.findUnique({
+        where: { userId },
+        select: { creditBalance: true }
+      });
+
+      const payment = await tx.creditLedgerEntry.create({
+        data: {
+          userId,
+          type: 'PAYMENT',
+          amount: paymentAmount,
+          balanceAfter: roundMoney(creditBalance),
+          paymentMethod: paymentMethod || null,
+          reference: reference || null,
+          note: note || null,
+          recordedById: recordedById || null
+        }
+      });
+
+      const settledInvoices = await this.allocate(tx, userId, paymentAmount, { changedById: recordedById });
+
+      return { payment, settledInvoices };
+    });
+
+    logger.info('Wholesaler credit payment recorded', {
+      userId,
+      amount: paymentAmount,
+      settledInvoices: result.settledInvoices.length
+    });
+
+    return result;
+  }
+
+  async allocate(tx, userId, amount, { changedById = null } = {}) {
+    const openInvoices = await tx.creditLedgerEntry.findMany({
+      where: openInvoiceWhere(userId),
+      include: { order: true },
+      orderBy: [{ dueDate: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    let remaining = amount;
+    const settledInvoices = [];
+
+    for (const invoice of openInvoices) {
+      if (remaining <= 0) break;
+
+      const due = roundMoney(invoice.amount - invoice.amountSettled);
+      const applied = Math.min(due, remaining);
+      remaining = roundMoney(remaining - applied);
+
+      const settled = applied >= due;
+
+      await tx.creditLedgerEntry.update({
+        where: { id: invoice.id },
+        data: {
+          amountSettled: roundMoney(invoice.amountSettled + applied),
+          ...(settled && { settledAt: new Date() })
+        }
+      });
+
+      if (settled) {
+        settledInvoices.push(invoice.id);
+
+        if (invoice.order && invoice.order.paymentStatus === 'PENDING' && invoice.order.status !== 'CANCELLED') {
+          await tx.order.update({
+            where: { id: invoice.order.id },
+            data: { paymentStatus: 'PAID' }
+          });
+          await orderStatusService.recordChange(invoice.order, { paymentStatus: 'PAID' }, {
+            source: 'ADMIN',
+            changedById,
+            note: 'Credit invoice settled',
+            tx
+          });
+        }
+      }
+    }
+
+    return settledInvoices;
+  }
+
+  // A cancelled credit order no longer owes whatever is still unpaid on its invoice
+  async creditOrder(order, { note = null, recordedById = null } = {}) {
+    if (order.paymentMethod !== 'CREDIT') {
+      return null;
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const invoice = await tx.creditLedgerEntry.findFirst({
+        where: { orderId: order.id, type: 'INVOICE', settledAt: null }
+      });
+
+      if (!invoice) {
+        return null;
+      }
+
+      const unpaid = roundMoney(invoice.amount - invoice.amountSettled);
+
+      const profile = await tx.wholesalerProfile.update({
+        where: { userId: invoice.userId },
+        data: { creditBalance: { decrement: unpaid } },
+        select: { creditBalance: true }
+      });
+
+      await tx.creditLedgerEntry.update({
+        where: { id: invoice.id },
+        data: { amountSettled: invoice.amount, settledAt: new Date() }
+      });
+
+      if (invoice.amountSettled > 0) {
+        logger.warn('Cancelled credit order was partly paid - refund the difference manually', {
+          orderId: order.id,
+          amountPaid: invoice.amountSettled
+        });
+      }
+
+      return await tx.creditLedgerEntry.create({
+        data: {
+          userId: invoice.userId,
+          type: 'CREDIT_NOTE',
+          amount: unpaid,
+          balanceAfter: roundMoney(profile.creditBalance),
+          orderId: order.id,
+          reference: order.orderNumber,
+          note: note || 'Order cancelled',
+          recordedById
+        }
+      });
+    });
+  }
+
+  async getLedger(userId, { page = 1, limit = 20, type }) {
+    const skip = (page - 1) * limit;
+    const where = {
+      userId,
+      ...(type && { type })
+    };
+
+    const [entries, total] = await Promise.all([
+      prisma.creditLedgerEntry.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          order: {
+            select: { id: true, orderNumber: true, status: true }
+          },
+          recordedBy: {
+            select: { id: true, name: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.creditLedgerEntry.count({ where })
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getOverdueInvoices() {
+    return await prisma.creditLedgerEntry.findMany({
+      where: {
+        type: 'INVOICE',
+        settledAt: null,
+        dueDate: { lt: new Date() }
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            phone: true,
+            wholesalerProfile: {
+              select: { companyName: true }
+            }
+          }
+        },
+        order: {
+          select: { id: true, orderNumber: true }
+        }
+      },
+      orderBy: { dueDate: 'asc' }
+    });
+  }
+
+  // One email per wholesaler listing every overdue invoice, at most once per reminder interval
+  async sendOverdueReminders() {
+    const now = new Date();
+    const remindBefore = new Date(now.getTime() - CREDIT_REMINDER_INTERVAL_DAYS * DAY);
+
+    const invoices = await prisma.creditLedgerEntry.findMany({
+      where: {
+        type: 'INVOICE',
+        settledAt: null,
+        dueDate: { lt: now },
+        OR: [
+          { lastReminderAt: null },
+          { lastReminderAt: { lt: remindBefore } }
+        ]
+      },
+      include: {
+        user: {
+          select: { id: true, name: true, email: true }
+        },
+        order: {
+          select: { orderNumber: true }
+        }
+      },
+      orderBy: { dueDate: 'asc' }
+    });
+
+    const byUser = new Map();
+    for (const invoice of invoices) {
+      if (!byUser.has(invoice.userId)) {
+        byUser.set(invoice.userId, []);
+      }
+      byUser.get(invoice.userId).push(invoice);
+    }
+
+    let sent = 0;
+    let failed = 0;
+    for (const userInvoices of byUser.values()) {
+      const { user } = userInvoices[0];
+
+      if (!user.email) {
+        continue;
+      }
+
+      const items = userInvoices.map(invoice => ({
+        orderNumber: invoice.order?.orderNumber || invoice.reference,
+        amountDue: roundMoney(invoice.amount - invoice.amountSettled),
+        dueDate: invoice.dueDate,
+        daysOverdue: Math.floor((now - invoice.dueDate) / DAY)
+      }));
+
+      // One wholesaler's bad address shouldn't stop everyone else's reminder; they're retried next run
+      try {
+        await emailNotificationService.sendCreditOverdueReminder({
+          name: user.name,
+          email: user.email,
+          invoices: items,
+          totalOverdue: roundMoney(items.reduce((sum, item) => sum + item.amountDue, 0))
+        });
+
+        await prisma.creditLedgerEntry.updateMany({
+          where: { id: { in: userInvoices.map(invoice => invoice.id) } },
+          data: {
+            lastReminderAt: now,
+            reminderCount: { increment: 1 }
+          }
+        });
+
+        sent += 1;
+      } catch (error) {
+        failed += 1;
+        logger.error('Failed to send credit overdue reminder', {
+          userId: user.id,
+          error: error.message
+        });
+      }
+    }
+
+    if (sent > 0 || failed > 0) {
+      logger.info('Credit overdue reminders sent', { wholesalers: sent, failed, invoices: invoices.length });
+    }
+
+    return sent;
+  }
+}
+
+export default new CreditService();
@@ -1,4 +1,5 @@
 import emailService from './emailService.js';
+import invoiceService from './invoiceService.js';
 import { emailTemplates } from '../utils/emailTemplates.js';
 import { EmailValidator } from '../utils/emailValidator.js';
 import logger from '../utils/logger.js';
@@ -142,6 +143,51 @@ class EmailNotificationService {
     }
   }
 
+  async sendWholesalerKycStatusUpdate(wholesalerData) {
+    try {
+      if (!wholesalerData?.email || !this.isValidEmail(wholesalerData.email)) {
+        return;
+      }
+
+      const template = emailTemplates.wholesalerKycStatusUpdate(wholesalerData);
+
+      return await emailService.sendEmail({
+        to: wholesalerData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"hanger garments Wholesaler" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+    } catch (error) {
+      console.error('❌ Wholesaler KYC status email failed:', error.message);
+      // Don't throw error - the status change is already saved
+    }
+  }
+
+  async sendWholesalerKycResubmitted(wholesalerData) {
+    try {
+      const adminEmail = process.env.ADMIN_EMAIL || process.env.SMTP_USER;
+
+      if (!adminEmail || !this.isValidEmail(adminEmail)) {
+        throw new Error(`Invalid admin email address: ${adminEmail}`);
+      }
+
+      const template = emailTemplates.wholesalerKycResubmitted(wholesalerData);
+
+      return await emailService.sendEmail({
+        to: adminEmail,
+        subject: template.subject,
+        html: template.html,
+        text: template.text
+      });
+
+    } catch (error) {
+      console.error('❌ Wholesaler re-submission email failed:', error.message);
+      // Don't throw error - the re-submission is already saved
+    }
+  }
+
   // Optional: Send auto-reply to the person who contacted
   async sendContactAutoReply(contactData) {
     try {
@@ -198,6 +244,22 @@ class EmailNotificationService {
   }
 
 
+  async sendEmailVerification(userData) {
+    try {
+      const template = emailTemplates.emailVerification(userData);
+
+      return await emailService.sendEmail({
+        to: userData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text
+      });
+    } catch (error) {
+      console.error('❌ Email verification email failed:', error.message);
+      throw error;
+    }
+  }
+
   async sendPasswordReset(userData, resetUrl) {
     try {
       const template = emailTemplates.passwordReset(userData, resetUrl);
@@ -281,13 +343,23 @@ async sendAdminPasswordChangedConfirmation(adminData) {
   async sendOrderConfirmationCustomer(orderData) {
     try {
       const template = emailTemplates.orderConfirmationCustomer(orderData);
+
+      // The confirmation still goes out if the invoice can't be generated
+      let attachments;
+      try {
+        const { filename, buffer } = await invoiceService.generateInvoicePdf(orderData.id);
+        attachments = [{ filename, content: buffer, contentType: 'application/pdf' }];
+      } catch (invoiceError) {
+        logger.error(`Invoice generation failed for order ${orderData.orderNumber}:`, invoiceError.message);
+      }
       
       const result = await emailService.sendEmail({
         to: orderData.email,
         subject: template.subject,
         html: template.html,
         text: template.text,
-        from: `"hanger garments Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+        from: `"hanger garments Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+        attachments
       });
       
       return result;
@@ -388,6 +460,127 @@ async sendAdminPasswordChangedConfirmation(adminData) {
   }
 
 
+  async sendReturnRequestNotifications(returnData) {
+    try {
+      const template = emailTemplates.returnRequestCustomer(returnData);
+
+      await emailService.sendEmail({
+        to: returnData.order.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"hanger garments Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      const adminEmail = process.env.ADMIN_EMAIL || process.env.SMTP_USER;
+
+      if (!adminEmail) {
+        console.warn('⚠️ Admin email not configured, skipping admin notification');
+        return;
+      }
+
+      const adminTemplate = emailTemplates.returnRequestAdmin(returnData);
+
+      await emailService.sendEmail({
+        to: adminEmail,
+        subject: adminTemplate.subject,
+        html: adminTemplate.html,
+        text: adminTemplate.text,
+        from: `"hanger garments Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+    } catch (error) {
+      console.error('❌ Return request notification email failed:', error.message);
+      // Don't throw error - the request is already saved
+    }
+  }
+
+  async sendReturnStatusUpdate(returnData) {
+    try {
+      const template = emailTemplates.returnStatusUpdate(returnData);
+
+      const result = await emailService.sendEmail({
+        to: returnData.order.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"hanger garments Orders" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Return status update email failed:', error.message);
+      // Don't throw error - continue even if email fails
+    }
+  }
+
+  async sendCreditOverdueReminder(reminderData) {
+    try {
+      if (!reminderData?.email || !this.isValidEmail(reminderData.email)) {
+        return;
+      }
+
+      const template = emailTemplates.creditOverdueReminder(reminderData);
+
+      return await emailService.sendEmail({
+        to: reminderData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        from: `"hanger garments Accounts" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`
+      });
+
+    } catch (error) {
+      console.error('❌ Credit overdue reminder failed:', error.message);
+      // Don't throw error - the next run will try again
+    }
+  }
+
+  async sendQuoteRequested(quoteData) {
+    try {
+      const adminEmail = process.env.ADMIN_EMAIL || process.env.SMTP_USER;
+
+      if (!adminEmail || !this.isValidEmail(adminEmail)) {
+        throw new Error(`Invalid admin email address: ${adminEmail}`);
+      }
+
+      const template = emailTemplates.quoteRequested(quoteData);
+
+      return await emailService.sendEmail({
+        to: adminEmail,
+        subject: template.subject,
+        html: template.html,
+        text: template.text
+      });
+
+    } catch (error) {
+      console.error('❌ Quote request email failed:', error.message);
+      // Don't throw error - the quote request is already saved
+    }
+  }
+
+  async sendQuoteUpdate(quoteData) {
+    try {
+      if (!quoteData?.email || !this.isValidEmail(quoteData.email)) {
+        return;
+      }
+
+      const template = emailTemplates.quoteUpdate(quoteData);
+
+      return await emailService.sendEmail({
+        to: quoteData.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text
+      });
+
+    } catch (error) {
+      console.error('❌ Quote update email failed:', error.message);
+      // Don't throw error - the quote is already updated
+    }
+  }
+
   async sendCustomNotification(to, subject, content) {
     try {
       const result = await emailService.sendEmail({
@@ -19,7 +19,7 @@ class EmailService {
     });
   }
 
-  async sendEmail({ to, subject, html, text, from }) {
+  async sendEmail({ to, subject, html, text, from, attachments }) {
     try {
       const mailOptions = {
         from: from || `"hanger garments" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
@@ -28,6 +28,7 @@ class EmailService {
         html: html,
         text: text || this.htmlToText(html),
         replyTo: process.env.SMTP_REPLY_TO || process.env.SMTP_FROM || process.env.SMTP_USER,
+        ...(attachments && { attachments }),
         
         // ✅ Anti-spam headers
         headers: {
@@ -14,6 +14,24 @@ import analyticsService from './analyticsService.js';
 import customizationService from './customizationService.js';
 import designService from './designService.js';
 import s3UploadService from './s3UploadService.js';
+import cartService from './cartService.js';
+import wishlistService from './wishlistService.js';
+import stockReservationService from './stockReservationService.js';
+import inventoryService from './inventoryService.js';
+import refundService from './refundService.js';
+import returnService from './returnService.js';
+import invoiceService from './invoiceService.js';
+import orderStatusService from './orderStatusService.js';
+import smsService from './smsService.js';
+import twoFactorService from './twoFactorService.js';
+import auditLogService from './auditLogService.js';
+import wholesalerKycService from './wholesalerKycService.js';
+import creditService from './creditService.js';
+import wholesaleRuleService from './wholesaleRuleService.js';
+import quoteService from './quoteService.js';
+import priceListService from './priceListService.js';
+import pricingService from './pricingService.js';
+import promotionService from './promotionService.js';
 
 export {
   authService,
@@ -30,5 +48,23 @@ export {
   analyticsService,
   customizationService,
   designService,
-  s3UploadService
+  s3UploadService,
+  cartService,
+  wishlistService,
+  stockReservationService,
+  inventoryService,
+  refundService,
+  returnService,
+  invoiceService,
+  orderStatusService,
+  smsService,
+  twoFactorService,
+  auditLogService,
+  wholesalerKycService,
+  creditService,
+  wholesaleRuleService,
+  quoteService,
+  priceListService,
+  pricingService,
+  promotionService
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+// services/inventoryService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { INVENTORY_MOVEMENT_REASON } from '../utils/constants.js';
+
+// Copied onto each movement so the ledger still reads after the variant is deleted
+const variantSnapshotSelect = {
+  productId: true,
+  sku: true,
+  color: true,
+  size: true
+};
+
+const toVariantSnapshot = (variant) => ({
+  productId: variant?.productId || null,
+  sku: variant?.sku || null,
+  color: variant?.color || null,
+  size: variant?.size || null
+});
+
+class InventoryService {
+
+  // Apply a stock delta and write the matching ledger row in one transaction
+  async adjustStock(productVariantId, delta, { reason, actorId = null, orderId = null, note = null }) {
+    return await prisma.$transaction(async (tx) => {
+      const variant = await tx.productVariant.update({
+        where: { id: productVariantId },
+        data: {
+          stock: { increment: delta }
+        }
+      });
+
+      await tx.inventoryMovement.create({
+        data: {
+          productVariantId,
+          ...toVariantSnapshot(variant),
+          delta,
+          stockAfter: variant.stock,
+          reason,
+          actorId,
+          orderId,
+          note
+        }
+      });
+
+      return variant;
+    });
+  }
+
+  // Record a change that was already applied (e.g. an absolute stock set)
+  async recordMovement({ productVariantId, previousStock = 0, stockAfter, reason, actorId = null, orderId = null, note = null }) {
+    const delta = stockAfter - previousStock;
+
+    if (delta === 0) {
+      return null;
+    }
+
+    try {
+      const variant = await prisma.productVariant.findUnique({
+        where: { id: productVariantId },
+        select: variantSnapshotSelect
+      });
+
+      return await prisma.inventoryMovement.create({
+        data: {
+          productVariantId,
+          ...toVariantSnapshot(variant),
+          delta,
+          stockAfter,
+          reason,
+          actorId,
+          orderId,
+          note
+        }
+      });
+    } catch (error) {
+      // The stock change already happened - don't fail the request over the ledger
+      logger.error('Failed to record inventory movement:', {
+        productVariantId,
+        delta,
+        reason,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async getStockHistory(productId, variantId, { page = 1, limit = 20, reason, from, to }) {
+    const variant = await prisma.productVariant.findUnique({
+      where: { id: variantId },
+      select: {
+        id: true,
+        productId: true,
+        color: true,
+        size: true,
+        sku: true,
+        stock: true
+      }
+    });
+
+    if (!variant || variant.productId !== productId) {
+      throw new Error('Product variant not found');
+    }
+
+    const skip = (page - 1) * limit;
+
+    const where = { productVariantId: variantId };
+
+    if (reason) {
+      const movementReason = reason.toUpperCase();
+
+      if (!Object.values(INVENTORY_MOVEMENT_REASON).includes(movementReason)) {
+        const error = new Error(`Invalid reason. Must be one of: ${Object.values(INVENTORY_MOVEMENT_REASON).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      where.reason = movementReason;
+    }
+
+    if (from || to) {
+      where.createdAt = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      };
+    }
+
+    const [movements, total, totals] = await Promise.all([
+      prisma.inventoryMovement.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          order: {
+            select: {
+              id: true,
+              orderNumber: true
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.inventoryMovement.count({ where }),
+      prisma.inventoryMovement.groupBy({
+        by: ['reason'],
+        where,
+        _sum: {
+          delta: true
+        }
+      })
+    ]);
+
+    return {
+      variant,
+      movements,
+      summary: totals.reduce((acc, row) => {
+        acc[row.reason] = row._sum.delta || 0;
+        return acc;
+      }, {}),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default new InventoryService();
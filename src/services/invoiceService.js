@@ -0,0 +1,421 @@
+// services/invoiceService.js
+import PDFDocument from 'pdfkit';
+import prisma from '../config/database.js';
+import {
+  SELLER_NAME,
+  SELLER_ADDRESS,
+  SELLER_GSTIN,
+  SELLER_STATE,
+  INVOICE_PREFIX,
+  DEFAULT_HSN_CODE,
+  DEFAULT_GST_RATE
+} from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getNetLineAmounts } from '../utils/helpers.js';
+
+// Freight charged with the goods is taxed at the rate of the goods (composite supply)
+const SHIPPING_SAC_CODE = '9968';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeState = (state = '') => state.trim().toLowerCase().replace(/\s+/g, ' ');
+
+class InvoiceService {
+
+  // Indian financial year runs April to March, e.g. "2026-27"
+  getFinancialYear(date = new Date()) {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String(startYear + 1).slice(2)}`;
+  }
+
+  formatInvoiceNumber(financialYear, sequence) {
+    return `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+  }
+
+  async getOrderForInvoice(orderId) {
+    return await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: {
+                id: true,
+                name: true,
+                subcategory: {
+                  select: {
+                    hsnCode: true,
+                    gstRate: true
+                  }
+                }
+              }
+            },
+            productVariant: {
+              select: {
+                color: true,
+                size: true,
+                sku: true
+              }
+            }
+          }
+        },
+        user: {
+          select: {
+            id: true,
+            role: true,
+            wholesalerProfile: {
+              select: {
+                companyName: true,
+                gstNumber: true
+              }
+            }
+          }
+        },
+        invoice: {
+          include: {
+            lines: {
+              orderBy: { position: 'asc' }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Split each line into taxable value and GST. Order prices are GST-inclusive
+   * and each line is taxed on what it was charged (getNetLineAmounts), so the
+   * invoice adds up to the order total.
+   */
+  calculateTaxLines(order) {
+    const isInterState = normalizeState(order.state) !== normalizeState(SELLER_STATE);
+    const netAmounts = getNetLineAmounts(order);
+
+    const buildLine = ({ description, hsnCode, quantity, grossAmount, gstRate }) => {
+      const taxableAmount = round(grossAmount / (1 + gstRate / 100));
+      const taxAmount = round(grossAmount - taxableAmount);
+      const cgst = isInterState ? 0 : round(taxAmount / 2);
+
+      return {
+        description,
+        hsnCode,
+        quantity,
+        unitPrice: round(taxableAmount / quantity),
+        taxableAmount,
+        gstRate,
+        cgst,
+        sgst: isInterState ? 0 : round(taxAmount - cgst),
+        igst: isInterState ? taxAmount : 0,
+        totalAmount: round(grossAmount)
+      };
+    };
+
+    const lines = order.orderItems.map(item => {
+      const variant = item.productVariant ? ` (${item.productVariant.color} / ${item.productVariant.size})` : '';
+
+      return buildLine({
+        description: `${item.product?.name || 'Product'}${variant}`,
+        hsnCode: item.product?.subcategory?.hsnCode || DEFAULT_HSN_CODE,
+        quantity: item.quantity,
+        grossAmount: netAmounts.get(item.id),
+        gstRate: item.product?.subcategory?.gstRate ?? DEFAULT_GST_RATE
+      });
+    });
+
+    if (order.shippingCost > 0) {
+      lines.push(buildLine({
+        description: 'Shipping charges',
+        hsnCode: SHIPPING_SAC_CODE,
+        quantity: 1,
+        grossAmount: order.shippingCost,
+        gstRate: Math.max(...lines.map(line => line.gstRate), DEFAULT_GST_RATE)
+      }));
+    }
+
+    const sum = (key) => round(lines.reduce((total, line) => total + line[key], 0));
+
+    return {
+      isInterState,
+      lines,
+      taxableAmount: sum('taxableAmount'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      totalAmount: sum('totalAmount')
+    };
+  }
+
+  toInvoiceLines(lines) {
+    return lines.map((line, index) => ({
+      position: index + 1,
+      description: line.description,
+      hsnCode: line.hsnCode,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      taxableAmount: line.taxableAmount,
+      gstRate: line.gstRate,
+      cgst: line.cgst,
+      sgst: line.sgst,
+      igst: line.igst,
+      totalAmount: line.totalAmount
+    }));
+  }
+
+  // The stored invoice is the source of truth once issued
+  getInvoiceTaxes(invoice) {
+    return {
+      isInterState: invoice.isInterState,
+      lines: invoice.lines,
+      taxableAmount: invoice.taxableAmount,
+      cgst: invoice.cgst,
+      sgst: invoice.sgst,
+      igst: invoice.igst,
+      totalAmount: invoice.totalAmount
+    };
+  }
+
+  // Invoices issued before lines were stored get theirs saved on first use
+  async ensureInvoiceLines(order) {
+    if (order.invoice.lines.length > 0) {
+      return order.invoice;
+    }
+
+    const taxes = this.calculateTaxLines(order);
+
+    try {
+      await prisma.invoiceLine.createMany({
+        data: this.toInvoiceLines(taxes.lines).map(line => ({ ...line, invoiceId: order.invoice.id }))
+      });
+    } catch (error) {
+      // A concurrent request saved them first
+      if (error.code !== 'P2002') throw error;
+    }
+
+    return await prisma.invoice.findUnique({
+      where: { id: order.invoice.id },
+      include: {
+        lines: {
+          orderBy: { position: 'asc' }
+        }
+      }
+    });
+  }
+
+  // Issue the invoice once per order; later calls return the same number
+  async getOrCreateInvoice(orderId) {
+    const order = await this.getOrderForInvoice(orderId);
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (['PENDING', 'CANCELLED'].includes(order.status)) {
+      throw new Error('Invoice is not available for this order');
+    }
+
+    if (order.totalAmount <= 0) {
+      throw new Error('Invoice is not available for replacement orders');
+    }
+
+    if (order.invoice) {
+      const invoice = await this.ensureInvoiceLines(order);
+      return { order, invoice, taxes: this.getInvoiceTaxes(invoice) };
+    }
+
+    const taxes = this.calculateTaxLines(order);
+
+    const issuedAt = new Date();
+    const financialYear = this.getFinancialYear(issuedAt);
+
+    try {
+      const invoice = await prisma.$transaction(async (tx) => {
+        const counter = await tx.invoiceSequence.upsert({
+          where: { financialYear },
+          create: { financialYear, lastNumber: 1 },
+          update: { lastNumber: { increment: 1 } }
+        });
+
+        return await tx.invoice.create({
+          data: {
+            invoiceNumber: this.formatInvoiceNumber(financialYear, counter.lastNumber),
+            financialYear,
+            sequence: counter.lastNumber,
+            orderId,
+            buyerGstin: order.user?.wholesalerProfile?.gstNumber || null,
+            placeOfSupply: order.state,
+            isInterState: taxes.isInterState,
+            taxableAmount: taxes.taxableAmount,
+            cgst: taxes.cgst,
+            sgst: taxes.sgst,
+            igst: taxes.igst,
+            totalAmount: taxes.totalAmount,
+            issuedAt,
+            lines: {
+              create: this.toInvoiceLines(taxes.lines)
+            }
+          },
+          include: {
+            lines: {
+              orderBy: { position: 'asc' }
+            }
+          }
+        });
+      });
+
+      logger.info(`Invoice ${invoice.invoiceNumber} issued for order ${order.orderNumber}`);
+      return { order, invoice, taxes };
+    } catch (error) {
+      // Another request issued it first - the rolled back transaction didn't consume a number
+      if (error.code === 'P2002') {
+        const invoice = await prisma.invoice.findUnique({
+          where: { orderId },
+          include: {
+            lines: {
+              orderBy: { position: 'asc' }
+            }
+          }
+        });
+        if (invoice) {
+          return { order, invoice, taxes: this.getInvoiceTaxes(invoice) };
+        }
+      }
+      throw error;
+    }
+  }
+
+  renderPdf({ order, invoice, taxes }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // The built-in fonts have no rupee glyph
+      const money = (value) => `Rs. ${value.toFixed(2)}`;
+
+      // Seller
+      doc.fontSize(18).font('Helvetica-Bold').text(SELLER_NAME);
+      doc.fontSize(9).font('Helvetica');
+      if (SELLER_ADDRESS) doc.text(SELLER_ADDRESS);
+      doc.text(`State: ${SELLER_STATE}`);
+      if (SELLER_GSTIN) doc.text(`GSTIN: ${SELLER_GSTIN}`);
+
+      doc.moveDown();
+      doc.fontSize(14).font('Helvetica-Bold').text('TAX INVOICE', { align: 'center' });
+      doc.moveDown(0.5);
+
+      // Invoice and buyer details
+      const detailsTop = doc.y;
+      doc.fontSize(9).font('Helvetica');
+      doc.text(`Invoice No: ${invoice.invoiceNumber}`, 40, detailsTop);
+      doc.text(`Invoice Date: ${invoice.issuedAt.toLocaleDateString('en-IN')}`);
+      doc.text(`Order No: ${order.orderNumber}`);
+      doc.text(`Order Date: ${order.createdAt.toLocaleDateString('en-IN')}`);
+      doc.text(`Payment: ${order.paymentMethod}`);
+
+      doc.font('Helvetica-Bold').text('Bill To:', 320, detailsTop);
+      doc.font('Helvetica');
+      doc.text(order.user?.wholesalerProfile?.companyName || order.name, 320);
+      doc.text(`${order.address}, ${order.city}`, 320, doc.y, { width: 235 });
+      doc.text(`${order.state} - ${order.pincode}`, 320);
+      doc.text(`Phone: ${order.phone}`, 320);
+      if (invoice.buyerGstin) doc.text(`GSTIN: ${invoice.buyerGstin}`, 320);
+      doc.text(`Place of Supply: ${invoice.placeOfSupply}`, 320);
+
+      doc.moveDown(1.5);
+
+      // Line items
+      const columns = taxes.isInterState
+        ? [
+            { label: 'Description', x: 40, width: 152 },
+            { label: 'HSN/SAC', x: 200, width: 50 },
+            { label: 'Qty', x: 250, width: 30, align: 'right' },
+            { label: 'Rate', x: 280, width: 55, align: 'right' },
+            { label: 'Taxable', x: 335, width: 65, align: 'right' },
+            { label: 'IGST', x: 400, width: 75, align: 'right' },
+            { label: 'Total', x: 475, width: 80, align: 'right' }
+          ]
+        : [
+            { label: 'Description', x: 40, width: 132 },
+            { label: 'HSN/SAC', x: 180, width: 45 },
+            { label: 'Qty', x: 225, width: 25, align: 'right' },
+            { label: 'Rate', x: 250, width: 55, align: 'right' },
+            { label: 'Taxable', x: 305, width: 60, align: 'right' },
+            { label: 'CGST', x: 365, width: 60, align: 'right' },
+            { label: 'SGST', x: 425, width: 60, align: 'right' },
+            { label: 'Total', x: 485, width: 70, align: 'right' }
+          ];
+
+      const drawRow = (values, bold = false) => {
+        const rowTop = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+        let rowBottom = rowTop;
+        columns.forEach((column, index) => {
+          doc.text(values[index], column.x, rowTop, { width: column.width, align: column.align || 'left' });
+          rowBottom = Math.max(rowBottom, doc.y);
+        });
+
+        doc.y = rowBottom + 4;
+        doc.moveTo(40, doc.y - 2).lineTo(555, doc.y - 2).strokeColor('#dddddd').stroke();
+      };
+
+      drawRow(columns.map(column => column.label), true);
+
+      taxes.lines.forEach(line => {
+        const taxCells = taxes.isInterState
+          ? [`${line.igst.toFixed(2)} (${line.gstRate}%)`]
+          : [`${line.cgst.toFixed(2)} (${line.gstRate / 2}%)`, `${line.sgst.toFixed(2)} (${line.gstRate / 2}%)`];
+
+        drawRow([
+          line.description,
+          line.hsnCode,
+          String(line.quantity),
+          line.unitPrice.toFixed(2),
+          line.taxableAmount.toFixed(2),
+          ...taxCells,
+          line.totalAmount.toFixed(2)
+        ]);
+      });
+
+      // Totals
+      doc.moveDown();
+      const totals = [
+        ['Taxable Value', money(invoice.taxableAmount)],
+        ...(taxes.isInterState
+          ? [['IGST', money(invoice.igst)]]
+          : [['CGST', money(invoice.cgst)], ['SGST', money(invoice.sgst)]]),
+        ['Invoice Total', money(invoice.totalAmount)]
+      ];
+
+      totals.forEach(([label, value], index) => {
+        const rowTop = doc.y;
+        const isLast = index === totals.length - 1;
+        doc.font(isLast ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        doc.text(label, 355, rowTop, { width: 100 });
+        doc.text(value, 455, rowTop, { width: 100, align: 'right' });
+      });
+
+      doc.moveDown(2);
+      doc.font('Helvetica').fontSize(8).fillColor('#666666')
+        .text('Prices are inclusive of GST. This is a computer generated invoice and does not require a signature.', 40, doc.y, { width: 515 });
+
+      doc.end();
+    });
+  }
+
+  async generateInvoicePdf(orderId) {
+    const invoiceData = await this.getOrCreateInvoice(orderId);
+    const buffer = await this.renderPdf(invoiceData);
+
+    return {
+      invoice: invoiceData.invoice,
+      filename: `invoice-${invoiceData.invoice.invoiceNumber.replace(/\//g, '-')}.pdf`,
+      buffer
+    };
+  }
+}
+
+export default new InvoiceService();
@@ -3,6 +3,23 @@ import emailNotificationService from './emailNotificationService.js';
 import phonepeService from './phonepeService.js';
 import logger from '../utils/logger.js';
 import razorpayService from './razorpayService.js';
+import stockReservationService from './stockReservationService.js';
+import inventoryService from './inventoryService.js';
+import refundService from './refundService.js';
+import couponService from './couponService.js';
+import orderStatusService from './orderStatusService.js';
+import creditService from './creditService.js';
+import wholesaleRuleService from './wholesaleRuleService.js';
+import priceListService from './priceListService.js';
+import pricingService from './pricingService.js';
+
+// A paid checkout that was refused for good - retrying the same payment won't change the outcome
+const paymentRejection = (message) => {
+  const error = new Error(message);
+  error.statusCode = 422;
+  error.paymentRejected = true;
+  return error;
+};
 
 class OrderService {
 
@@ -12,229 +29,106 @@ class OrderService {
     return `ORD-${timestamp}-${random}`;
   }
 
-  // Calculate quantity price for a single item - FIXED
-  async calculateItemQuantityPrice(productId, subcategoryId, basePrice, quantity, isWholesaleUser = false) {
-      // If no subcategory, return regular pricing
-      if (!subcategoryId) {
-          return {
-              originalPrice: basePrice * quantity,
-              finalPrice: basePrice * quantity,
-              totalSavings: 0,
-              pricePerItem: basePrice,
-              hasDiscount: false,
-              isWholesalePrice: isWholesaleUser
-          };
-      }
-
-      // Get quantity prices for the subcategory
-      const quantityPrices = await prisma.subcategoryQuantityPrice.findMany({
-          where: { 
-              subcategoryId: subcategoryId,
-              isActive: true,
-              quantity: { lte: quantity }
-          },
-          orderBy: { 
-              quantity: 'desc'
-          }
-      });
-
-      let bestTotal = basePrice * quantity;
-      let appliedDiscount = null;
-
-      // Find the best applicable discount
-      for (const priceRule of quantityPrices) {
-          if (quantity >= priceRule.quantity) {
-              let finalPriceForRule = 0;
-
-              if (priceRule.priceType === 'PERCENTAGE') {
-                  // Calculate percentage discount
-                  finalPriceForRule = (basePrice * quantity) * (1 - priceRule.value / 100);
-              } else {
-                  // Fixed amount
-                  finalPriceForRule = priceRule.value;
-              }
-
-              // If this rule gives a better price, use it
-              if (finalPriceForRule < bestTotal) {
-                  bestTotal = finalPriceForRule;
-                  appliedDiscount = {
-                      quantity: priceRule.quantity,
-                      priceType: priceRule.priceType,
-                      value: priceRule.value,
-                      message: priceRule.priceType === 'PERCENTAGE' 
-                          ? `${priceRule.value}% off for ${priceRule.quantity}+ items` 
-                          : `₹${priceRule.value} for ${priceRule.quantity} items`
-                  };
-              }
-          }
-      }
-
-      const totalSavings = (basePrice * quantity) - bestTotal;
-      
-      return {
-          originalPrice: basePrice * quantity,
-          finalPrice: bestTotal,
-          totalSavings: totalSavings,
-          pricePerItem: bestTotal / quantity,
-          hasDiscount: appliedDiscount !== null,
-          isWholesalePrice: isWholesaleUser,
-          appliedDiscount
-      };
-  }
-
-  // Enhanced order totals calculation with quantity pricing - FIXED VERSION
-  async calculateOrderTotals(orderItems, couponCode = null, isWholesaleUser = false) {
-      let subtotal = 0;
-      let quantitySavings = 0;
-      
+  // Order totals through the shared pricing engine (pricingService)
+  // excludeRazorpayOrderId: ignore the stock this checkout already reserved
+  // priceOverrides: Map of pricingService.priceLineKey -> negotiated unit price (e.g. an accepted quote).
+  // Overridden lines skip quantity tiers and wholesale minimums; the price was agreed for that quantity.
+  // priceList: the buyer's customer-group price list (priceListService.getPriceListForUser)
+  // userId: the buyer, for first-order and per-customer coupon limits
+  async calculateOrderTotals(orderItems, couponCode = null, isWholesaleUser = false, { excludeRazorpayOrderId = null, priceOverrides = null, priceList = null, userId = null } = {}) {
       if (!orderItems || !Array.isArray(orderItems) || orderItems.length === 0) {
           throw new Error('Order items are required and must be a non-empty array');
       }
 
-      const itemsWithPricing = [];
-
-      // Calculate subtotal with quantity pricing
       for (const item of orderItems) {
           if (!item.productId || !item.quantity || item.quantity <= 0) {
               throw new Error('Invalid order item: productId and quantity are required');
           }
+      }
 
-          // Get product details
-          const product = await prisma.product.findUnique({
-              where: { id: item.productId },
-              select: {
-                  id: true,
-                  name: true,
-                  normalPrice: true,
-                  offerPrice: true,
-                  wholesalePrice: true,
-                  status: true,
-                  subcategoryId: true
-              }
-          });
+      const lines = await pricingService.priceLines(orderItems, { isWholesaleUser, priceList, priceOverrides });
+      const variants = [];
 
-          if (!product) {
-              throw new Error(`Product not found: ${item.productId}`);
+      for (const line of lines) {
+          if (line.error) {
+              throw new Error(`Product not found: ${line.productId}`);
           }
 
-          if (product.status !== 'ACTIVE') {
-              throw new Error(`Product ${product.id} is not available for purchase`);
+          if (line.product.status !== 'ACTIVE') {
+              throw new Error(`Product ${line.product.id} is not available for purchase`);
           }
 
           // Check variant stock if provided
           let variant = null;
-          if (item.productVariantId) {
+          if (line.productVariantId) {
               variant = await prisma.productVariant.findUnique({
-                  where: { id: item.productVariantId },
+                  where: { id: line.productVariantId },
                   select: { 
                       id: true,
                       stock: true,
                       color: true,
                       size: true
-                      // Note: Variant doesn't have price fields
                   }
               });
 
               if (!variant) {
-                  throw new Error(`Product variant not found: ${item.productVariantId}`);
+                  throw new Error(`Product variant not found: ${line.productVariantId}`);
               }
 
-              if (variant.stock < item.quantity) {
-                  throw new Error(`Insufficient stock for variant ${item.productVariantId}. Available: ${variant.stock}, Requested: ${item.quantity}`);
-              }
-          }
+              // Units held by other checkouts are not available
+              const availableStock = await stockReservationService.getAvailableStock(variant.id, { excludeRazorpayOrderId });
 
-          // DETERMINE BASE PRICE BASED ON USER TYPE
-          // ALL PRICES COME FROM PRODUCT, NOT VARIANT
-          let basePrice;
-          if (isWholesaleUser) {
-              // FOR WHOLESALE USERS: Use wholesale price ONLY
-              if (product.wholesalePrice !== null && product.wholesalePrice !== undefined) {
-                  basePrice = Number(product.wholesalePrice);
-              } else {
-                  // For wholesale users without wholesale price, use normal price
-                  basePrice = Number(product.normalPrice);
+              if (availableStock < line.quantity) {
+                  throw new Error(`Insufficient stock for variant ${line.productVariantId}. Available: ${Math.max(0, availableStock)}, Requested: ${line.quantity}`);
               }
-          } else {
-              // FOR REGULAR USERS: Use offer price if available, otherwise normal price
-              basePrice = Number(product.offerPrice || product.normalPrice);
           }
 
-          // Calculate price with quantity discounts
-          const quantityPriceCalculation = await this.calculateItemQuantityPrice(
-              product.id,
-              product.subcategoryId,
-              basePrice,
-              item.quantity,
-              isWholesaleUser
-          );
-
-          const itemTotal = quantityPriceCalculation.finalPrice;
-          const itemSavings = quantityPriceCalculation.totalSavings;
-
-          subtotal += itemTotal;
-          quantitySavings += itemSavings;
-
-          itemsWithPricing.push({
-              ...item,
-              product,
-              variant,
-              basePrice, // The actual price charged (wholesale or regular)
-              normalPrice: Number(product.normalPrice),
-              offerPrice: Number(product.offerPrice || product.normalPrice),
-              wholesalePrice: product.wholesalePrice ? Number(product.wholesalePrice) : null,
-              quantityPricing: quantityPriceCalculation,
-              itemTotal,
-              itemSavings,
-              isWholesalePrice: isWholesaleUser // Flag to identify wholesale pricing
-          });
+          variants.push(variant);
       }
 
-      // Calculate coupon discount
-      let couponDiscount = 0;
-      let coupon = null;
-      
-      if (couponCode) {
-          coupon = await prisma.coupon.findFirst({
-              where: {
-                  code: couponCode,
-                  isActive: true,
-                  validFrom: { lte: new Date() },
-                  validUntil: { gte: new Date() },
-                  OR: [
-                      { usageLimit: null },
-                      { usageLimit: { gt: prisma.coupon.fields.usedCount } }
-                  ]
-              }
-          });
-
-          if (coupon) {
-              if (subtotal >= (coupon.minOrderAmount || 0)) {
-                  if (coupon.discountType === 'PERCENTAGE') {
-                      couponDiscount = (subtotal * coupon.discountValue) / 100;
-                      if (coupon.maxDiscount && couponDiscount > coupon.maxDiscount) {
-                          couponDiscount = coupon.maxDiscount;
-                      }
-                  } else {
-                      couponDiscount = coupon.discountValue;
-                  }
-              }
-          }
+      // Minimum quantities and pack multiples only apply at wholesale prices
+      if (isWholesaleUser) {
+          await wholesaleRuleService.assertItems(
+              priceOverrides ? orderItems.filter(item => !priceOverrides.has(pricingService.priceLineKey(item))) : orderItems
+          );
       }
 
-      // Free shipping for all orders
-      const shippingCost = 0;
-      const totalAmount = subtotal - couponDiscount + shippingCost;
+      const summary = await pricingService.summarize(lines, { couponCode, userId, isWholesaleUser });
+
+      const itemsWithPricing = summary.lines.map((line, index) => ({
+          ...line,
+          variant: variants[index],
+          normalPrice: line.unitPrices.normal,
+          offerPrice: line.unitPrices.offer,
+          wholesalePrice: line.unitPrices.wholesale,
+          quantityPricing: {
+              originalPrice: line.originalTotal,
+              finalPrice: line.itemsTotal,
+              totalSavings: line.tierDiscount,
+              pricePerItem: line.itemsTotal / line.quantity,
+              hasDiscount: line.appliedTier !== null,
+              isWholesalePrice: isWholesaleUser,
+              isNegotiatedPrice: line.isNegotiatedPrice,
+              appliedDiscount: line.appliedTier
+          },
+          itemTotal: line.lineTotal,
+          itemSavings: parseFloat((line.tierDiscount + line.promotionDiscount).toFixed(2))
+      }));
 
       return {
-          subtotal: parseFloat(subtotal.toFixed(2)),
-          quantitySavings: parseFloat(quantitySavings.toFixed(2)),
-          couponDiscount: parseFloat(couponDiscount.toFixed(2)),
-          shippingCost: parseFloat(shippingCost.toFixed(2)),
-          totalAmount: parseFloat(totalAmount.toFixed(2)),
-          coupon,
+          subtotal: summary.subtotal,
+          quantitySavings: summary.tierDiscount,
+          promotionDiscount: summary.promotionDiscount,
+          promotions: summary.promotions,
+          customizationTotal: summary.customizationTotal,
+          couponDiscount: summary.couponDiscount,
+          couponError: summary.couponError,
+          shippingCost: summary.shippingCost,
+          totalAmount: summary.total,
+          coupon: summary.coupon,
           items: itemsWithPricing,
-          hasQuantityDiscounts: quantitySavings > 0,
+          breakdown: summary.breakdown,
+          hasQuantityDiscounts: summary.tierDiscount > 0,
           isWholesalePricing: isWholesaleUser
       };
   }
@@ -286,7 +180,10 @@ async initiateRazorpayPayment(orderData) {
 
         // Calculate totals with quantity pricing
         logger.info('Calculating order totals...');
-        const totals = await this.calculateOrderTotals(orderItems, couponCode, finalIsWholesaleUser);
+        const totals = await this.calculateOrderTotals(orderItems, couponCode, finalIsWholesaleUser, {
+            priceList: await priceListService.getPriceListForUser(userId),
+            userId
+        });
         
         // Log the calculated totals for debugging
         logger.info('Order totals calculated:', {
@@ -321,6 +218,34 @@ async initiateRazorpayPayment(orderData) {
             throw new Error('Failed to create Razorpay order - no order ID returned');
         }
 
+        // Hold the stock until the payment is verified, fails or the window expires
+        const reservation = await stockReservationService.reserve(razorpayOrder.id, orderItems, userId);
+
+        // Keep the checkout server-side so the webhook can still create the order
+        // if the customer closes the tab before /verify-payment is called
+        await prisma.checkoutSession.create({
+            data: {
+                razorpayOrderId: razorpayOrder.id,
+                userId,
+                orderData: {
+                    userId,
+                    name,
+                    email,
+                    phone,
+                    address,
+                    city,
+                    state,
+                    pincode,
+                    orderItems,
+                    couponCode,
+                    customImages,
+                    preferredCourier,
+                    courierInstructions,
+                    isWholesaleUser: finalIsWholesaleUser
+                }
+            }
+        });
+
         // Store temporary order data
         const tempOrderData = {
             userId,
@@ -345,6 +270,7 @@ async initiateRazorpayPayment(orderData) {
 
         return {
             razorpayOrder,
+            reservationExpiresAt: reservation.expiresAt,
             tempOrderData: {
                 ...tempOrderData,
                 orderNumber: this.generateOrderNumber()
@@ -366,28 +292,96 @@ async initiateRazorpayPayment(orderData) {
     }
 }
 
-  async verifyAndCreateOrder(paymentData) {
+  /**
+   * Creates the order for a Razorpay payment from the checkout session stored
+   * at initiation, never from client data. userId is the caller on the browser
+   * path. The webhook passes the captured payment and signatureVerified, its
+   * payload having been checked against the webhook secret.
+   */
+  async verifyAndCreateOrder(paymentData, { signatureVerified = false, userId = null, payment = null } = {}) {
       const {
           razorpay_order_id,
           razorpay_payment_id,
-          razorpay_signature,
-          orderData
+          razorpay_signature = null
       } = paymentData;
 
-      // Verify payment signature
-      const isValid = razorpayService.verifyPayment(
-          razorpay_order_id,
-          razorpay_payment_id,
-          razorpay_signature
-      );
+      if (!signatureVerified) {
+          // Verify payment signature
+          const isValid = razorpayService.verifyPayment(
+              razorpay_order_id,
+              razorpay_payment_id,
+              razorpay_signature
+          );
+
+          if (!isValid) {
+              throw new Error('Payment verification failed');
+          }
+      }
+
+      const checkoutSession = await prisma.checkoutSession.findUnique({
+          where: { razorpayOrderId: razorpay_order_id }
+      });
+
+      if (!checkoutSession) {
+          const error = new Error('Checkout session not found for this payment');
+          error.statusCode = 404;
+          throw error;
+      }
+
+      if (userId && checkoutSession.userId !== userId) {
+          const error = new Error('This payment does not belong to you');
+          error.statusCode = 403;
+          throw error;
+      }
 
-      if (!isValid) {
-          throw new Error('Payment verification failed');
+      // The browser callback and the webhook can both arrive for the same payment
+      const existingOrder = await prisma.order.findUnique({
+          where: { razorpayOrderId: razorpay_order_id }
+      });
+
+      if (existingOrder) {
+          logger.info(`Order already exists for Razorpay order ${razorpay_order_id}: ${existingOrder.orderNumber}`);
+          return await this.getOrderById(existingOrder.id);
       }
 
-      // Calculate totals again to ensure consistency
+      const orderData = checkoutSession.orderData;
       const isWholesaleUser = orderData.isWholesaleUser || false;
-      const totals = await this.calculateOrderTotals(orderData.orderItems, orderData.couponCode, isWholesaleUser);
+      const capturedPayment = payment || await razorpayService.fetchPayment(razorpay_payment_id);
+
+      if (capturedPayment.order_id !== razorpay_order_id) {
+          throw new Error('Payment does not belong to this checkout');
+      }
+
+      // Only a rejected capture fails the session; anything paid against it afterwards goes back too
+      if (checkoutSession.status === 'FAILED') {
+          const reason = 'This checkout has failed and the payment was not accepted';
+          await this.rejectCapturedPayment(razorpay_order_id, capturedPayment, reason);
+          throw paymentRejection(reason);
+      }
+
+      // Prices, stock and coupon are checked again; the order only stands if it costs what was paid
+      let totals;
+      try {
+          totals = await this.calculateOrderTotals(orderData.orderItems, orderData.couponCode, isWholesaleUser, {
+              excludeRazorpayOrderId: razorpay_order_id,
+              priceList: await priceListService.getPriceListForUser(orderData.userId),
+              userId: orderData.userId
+          });
+
+          if (Math.round(totals.totalAmount * 100) !== capturedPayment.amount) {
+              throw paymentRejection(`Order total ₹${totals.totalAmount} does not match the amount paid ₹${capturedPayment.amount / 100}`);
+          }
+      } catch (error) {
+          // Database trouble is worth a retry, not a refund
+          if (error.name?.startsWith('PrismaClient')) {
+              throw error;
+          }
+
+          await this.rejectCapturedPayment(razorpay_order_id, capturedPayment, error.message);
+          error.statusCode = error.statusCode || 422;
+          error.paymentRejected = true;
+          throw error;
+      }
 
       // Prepare custom images data
       const customImages = orderData.customImages || [];
@@ -411,6 +405,8 @@ async initiateRazorpayPayment(orderData) {
           totalAmount: totals.totalAmount,
           subtotal: totals.subtotal,
           discount: totals.couponDiscount,
+          promotionDiscount: totals.promotionDiscount,
+          ...(totals.promotions.length > 0 && { appliedPromotions: totals.promotions }),
           shippingCost: totals.shippingCost,
           paymentStatus: 'PAID',
           paymentMethod: 'ONLINE',
@@ -448,7 +444,10 @@ async initiateRazorpayPayment(orderData) {
                           productId: item.productId,
                           productVariantId: item.productVariantId || null,
                           quantity: item.quantity,
-                          price: item.basePrice // This is the actual charged price (wholesale if applicable)
+                          price: item.basePrice, // This is the actual charged price (wholesale if applicable)
+                          customDesignId: item.customDesignId || null,
+                          customizationPrice: item.customizationPrice,
+                          netAmount: parseFloat((item.lineTotal - item.couponDiscount).toFixed(2))
                       };
                   })
               )
@@ -456,64 +455,94 @@ async initiateRazorpayPayment(orderData) {
       };
 
       // Create the actual order in database
-      const order = await prisma.order.create({
-          data: orderCreateData,
-          include: {
-              orderItems: {
-                  include: {
-                      product: {
-                          include: {
-                              images: {
-                                  take: 1,
-                                  select: {
-                                      imageUrl: true
+      let order;
+      try {
+          order = await prisma.order.create({
+              data: orderCreateData,
+              include: {
+                  orderItems: {
+                      include: {
+                          product: {
+                              include: {
+                                  images: {
+                                      take: 1,
+                                      select: {
+                                          imageUrl: true
+                                      }
                                   }
                               }
-                          }
-                      },
-                      productVariant: {
-                          include: {
-                              variantImages: {
-                                  select: {
-                                      imageUrl: true,
-                                      color: true
+                          },
+                          productVariant: {
+                              include: {
+                                  variantImages: {
+                                      select: {
+                                          imageUrl: true,
+                                          color: true
+                                      }
                                   }
                               }
                           }
                       }
-                  }
-              },
-              customImages: true,
-              user: {
-                  select: {
-                      id: true,
-                      name: true,
-                      email: true
-                  }
-              },
-              coupon: true
+                  },
+                  customImages: true,
+                  user: {
+                      select: {
+                          id: true,
+                          name: true,
+                          email: true
+                      }
+                  },
+                  coupon: true
+              }
+          });
+      } catch (error) {
+          // Lost the race against a concurrent callback for the same payment
+          if (error.code === 'P2002') {
+              const concurrentOrder = await prisma.order.findUnique({
+                  where: { razorpayOrderId: razorpay_order_id }
+              });
+
+              if (concurrentOrder) {
+                  return await this.getOrderById(concurrentOrder.id);
+              }
           }
-      });
+          throw error;
+      }
 
       // Update stock for variants
       for (const item of orderData.orderItems) {
           if (item.productVariantId) {
-              await prisma.productVariant.update({
-                  where: { id: item.productVariantId },
-                  data: {
-                      stock: { decrement: item.quantity }
-                  }
+              await inventoryService.adjustStock(item.productVariantId, -item.quantity, {
+                  reason: 'SALE',
+                  actorId: orderData.userId,
+                  orderId: order.id
               });
           }
       }
 
+      // The decrement above consumes the reserved units
+      await stockReservationService.convert(razorpay_order_id);
+
+      await orderStatusService.recordCreation(order, {
+          source: signatureVerified ? 'WEBHOOK' : 'CUSTOMER',
+          changedById: signatureVerified ? null : orderData.userId,
+          note: `Razorpay payment ${razorpay_payment_id}`
+      });
+
+      await prisma.checkoutSession.updateMany({
+          where: { razorpayOrderId: razorpay_order_id },
+          data: {
+              status: 'COMPLETED',
+              orderId: order.id
+          }
+      });
+
       // Increment coupon usage
       if (totals.coupon) {
-          await prisma.coupon.update({
-              where: { id: totals.coupon.id },
-              data: {
-                  usedCount: { increment: 1 }
-              }
+          await couponService.recordRedemption(totals.coupon.id, {
+              userId: orderData.userId,
+              orderId: order.id,
+              discount: totals.couponDiscount
           });
       }
 
@@ -584,7 +613,161 @@ async initiateRazorpayPayment(orderData) {
       return enhancedOrder;
   }
 
+  // A paid checkout that can't become an order: fail the session, free the stock and give the money back
+  async rejectCapturedPayment(razorpayOrderId, payment, reason) {
+    const { count } = await prisma.checkoutSession.updateMany({
+      where: {
+        razorpayOrderId,
+        status: 'PENDING'
+      },
+      data: { status: 'FAILED' }
+    });
+
+    if (count > 0) {
+      await stockReservationService.release(razorpayOrderId);
+    }
+
+    logger.error(`Rejected Razorpay payment ${payment.id} for order ${razorpayOrderId}: ${reason}`);
+
+    // Authorized payments that are never captured are returned by Razorpay itself
+    if (payment.status !== 'captured') {
+      return;
+    }
+
+    // The browser and webhook both reject the same payment; whoever sees it unrefunded refunds it
+    const latest = count > 0 ? payment : await razorpayService.fetchPayment(payment.id);
+    if (latest.amount_refunded > 0) {
+      return;
+    }
+
+    try {
+      await razorpayService.refundPayment(payment.id, payment.amount / 100, {
+        razorpayOrderId,
+        reason: 'Order could not be created'
+      });
+    } catch (error) {
+      logger.error(`Refund failed for rejected Razorpay payment ${payment.id}:`, error);
+    }
+  }
+
+  // Release reserved stock when the customer abandons or fails a Razorpay payment
+  async releasePaymentReservation(razorpayOrderId, userId) {
+    if (!razorpayOrderId) {
+      throw new Error('Razorpay order ID is required');
+    }
+
+    const released = await stockReservationService.release(razorpayOrderId, userId);
+    return { razorpayOrderId, released };
+  }
+
+  // Razorpay webhook events - each delivery is applied at most once
+  async handleRazorpayWebhook(eventId, event, payload) {
+    if (eventId) {
+      const processed = await prisma.paymentWebhookEvent.findUnique({
+        where: { eventId }
+      });
+
+      if (processed) {
+        logger.info(`Razorpay webhook ${eventId} already processed, skipping`);
+        return { event, duplicate: true };
+      }
+    }
+
+    let result;
+
+    try {
+      switch (event) {
+        case 'payment.captured':
+          result = await this.handlePaymentCaptured(payload.payment.entity);
+          break;
+        case 'payment.failed':
+          result = await this.handlePaymentFailed(payload.payment.entity);
+          break;
+        case 'refund.processed':
+          result = await refundService.recordGatewayRefund(payload.refund.entity);
+          break;
+        default:
+          logger.info(`Ignoring Razorpay webhook event: ${event}`);
+          return { event, ignored: true };
+      }
+    } catch (error) {
+      // A refused payment has been dealt with (refunded); don't run it again on redelivery
+      if (error.paymentRejected) {
+        await this.markWebhookProcessed(eventId, event);
+      }
+      throw error;
+    }
+
+    await this.markWebhookProcessed(eventId, event);
+
+    return { event, ...result };
+  }
+
+  async markWebhookProcessed(eventId, event) {
+    if (!eventId) {
+      return;
+    }
+
+    try {
+      await prisma.paymentWebhookEvent.create({
+        data: { eventId, event }
+      });
+    } catch (error) {
+      // A concurrent delivery of the same event got there first - the handlers are idempotent
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+
+  async handlePaymentCaptured(payment) {
+    const checkoutSession = await prisma.checkoutSession.findUnique({
+      where: { razorpayOrderId: payment.order_id }
+    });
+
+    if (!checkoutSession) {
+      logger.warn(`No checkout session for captured Razorpay order ${payment.order_id}`);
+      return { ignored: true };
+    }
+
+    const order = await this.verifyAndCreateOrder({
+      razorpay_order_id: payment.order_id,
+      razorpay_payment_id: payment.id
+    }, { signatureVerified: true, payment });
+
+    return { orderId: order.id, orderNumber: order.orderNumber };
+  }
+
+  // The session stays open: Razorpay lets the buyer retry on the same order, and a
+  // captured retry is re-checked (stock included) before it becomes an order
+  async handlePaymentFailed(payment) {
+    const released = await stockReservationService.release(payment.order_id);
+
+    logger.warn(`Razorpay payment failed for order ${payment.order_id}: ${payment.error_description || 'no reason given'}`);
+
+    return { razorpayOrderId: payment.order_id, released };
+  }
+
   async createCODOrder(orderData) {
+    return this.createOfflineOrder({ ...orderData, isWholesaleUser: false }, {
+      paymentMethod: 'COD',
+      note: 'Cash on delivery order'
+    });
+  }
+
+  // Pay-later for approved wholesalers: the order and its credit invoice are created together
+  async createCreditOrder(orderData) {
+    return this.createOfflineOrder({ ...orderData, isWholesaleUser: true }, {
+      paymentMethod: 'CREDIT',
+      note: 'Pay-later credit order',
+      beforeCreate: (totals) => creditService.assertCanCharge(orderData.userId, totals.totalAmount),
+      onCreate: async (tx, order) => ({
+        creditInvoice: await creditService.recordInvoice(tx, order)
+      })
+    });
+  }
+
+  // Orders confirmed without an online payment. `onCreate` runs in the same transaction as the
+  // order insert, so anything it throws rolls the order back.
+  async createOfflineOrder(orderData, { paymentMethod, note, beforeCreate, onCreate, priceOverrides = null }) {
     const {
       userId,
       name,
@@ -598,7 +781,8 @@ async initiateRazorpayPayment(orderData) {
       couponCode,
       customImages = [],
       preferredCourier,  // Add this
-      courierInstructions  // Add this
+      courierInstructions,  // Add this
+      isWholesaleUser = false
     } = orderData;
 
     // Validate required fields
@@ -607,7 +791,15 @@ async initiateRazorpayPayment(orderData) {
     }
 
     // Calculate totals with quantity pricing
-    const totals = await this.calculateOrderTotals(orderItems, couponCode);
+    const totals = await this.calculateOrderTotals(orderItems, couponCode, isWholesaleUser, {
+      priceOverrides,
+      priceList: await priceListService.getPriceListForUser(userId),
+      userId
+    });
+
+    if (beforeCreate) {
+      await beforeCreate(totals);
+    }
 
     // Prepare order data - FIXED: Use coupon relation instead of couponId
     const orderCreateData = {
@@ -628,9 +820,11 @@ async initiateRazorpayPayment(orderData) {
       totalAmount: totals.totalAmount,
       subtotal: totals.subtotal,
       discount: totals.couponDiscount,
+      promotionDiscount: totals.promotionDiscount,
+      ...(totals.promotions.length > 0 && { appliedPromotions: totals.promotions }),
       shippingCost: totals.shippingCost,
       paymentStatus: 'PENDING',
-      paymentMethod: 'COD',
+      paymentMethod,
       
       // Add courier preferences
       preferredCourier: preferredCourier || null,
@@ -662,81 +856,95 @@ async initiateRazorpayPayment(orderData) {
               productVariantId: item.productVariantId || null,
               quantity: item.quantity,
               price: item.basePrice,
+              customDesignId: item.customDesignId || null,
+              customizationPrice: item.customizationPrice,
+              netAmount: parseFloat((item.lineTotal - item.couponDiscount).toFixed(2))
             };
           })
         )
       }
     };
 
-    // Create order with COD status
-    const order = await prisma.order.create({
-      data: orderCreateData,
-      include: {
-        orderItems: {
-          include: {
-            product: {
-              include: {
-                images: {
-                  take: 1,
-                  select: {
-                    imageUrl: true
+    const { order, extra } = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.create({
+        data: orderCreateData,
+        include: {
+          orderItems: {
+            include: {
+              product: {
+                include: {
+                  images: {
+                    take: 1,
+                    select: {
+                      imageUrl: true
+                    }
                   }
                 }
-              }
-            },
-            productVariant: {
-              include: {
-                variantImages: {
-                  take: 1,
-                  select: {
-                    imageUrl: true,
-                    color: true
+              },
+              productVariant: {
+                include: {
+                  variantImages: {
+                    take: 1,
+                    select: {
+                      imageUrl: true,
+                      color: true
+                    }
                   }
                 }
               }
             }
-          }
-        },
-        customImages: true,
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        },
-        coupon: true
-      }
+          },
+          customImages: true,
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          coupon: true
+        }
+      });
+
+      return {
+        order,
+        extra: onCreate ? await onCreate(tx, order, totals) : null
+      };
     });
 
     // Update stock for variants
     for (const item of orderItems) {
       if (item.productVariantId) {
-        await prisma.productVariant.update({
-          where: { id: item.productVariantId },
-          data: {
-            stock: { decrement: item.quantity }
-          }
+        await inventoryService.adjustStock(item.productVariantId, -item.quantity, {
+          reason: 'SALE',
+          actorId: userId,
+          orderId: order.id,
+          note: `${paymentMethod} order`
         });
       }
     }
 
     // Increment coupon usage
     if (totals.coupon) {
-      await prisma.coupon.update({
-        where: { id: totals.coupon.id },
-        data: {
-          usedCount: { increment: 1 }
-        }
+      await couponService.recordRedemption(totals.coupon.id, {
+        userId,
+        orderId: order.id,
+        discount: totals.couponDiscount
       });
     }
 
+    await orderStatusService.recordCreation(order, {
+      source: 'CUSTOMER',
+      changedById: userId,
+      note
+    });
+
     // Create tracking history
     await prisma.trackingHistory.create({
       data: {
         orderId: order.id,
         status: 'CONFIRMED',
-        description: `COD order confirmed. Quantity savings: ₹${totals.quantitySavings}`,
+        description: `${paymentMethod} order confirmed. Quantity savings: ₹${totals.quantitySavings}`,
         location: `${order.city}, ${order.state}`
       }
     });
@@ -745,14 +953,15 @@ async initiateRazorpayPayment(orderData) {
     try {
       await emailNotificationService.sendOrderNotifications(order);
     } catch (emailError) {
-      logger.error('Failed to send COD order confirmation email:', emailError);
+      logger.error(`Failed to send ${paymentMethod} order confirmation email:`, emailError);
     }
 
-    logger.info(`COD order created successfully with quantity discounts. Savings: ₹${totals.quantitySavings}`);
+    logger.info(`${paymentMethod} order created successfully with quantity discounts. Savings: ₹${totals.quantitySavings}`);
     
     // Return order with quantity discount info
     return {
       ...order,
+      ...extra,
       quantitySavings: totals.quantitySavings,
       hasQuantityDiscounts: totals.hasQuantityDiscounts
     };
@@ -891,6 +1100,14 @@ async getOrderById(orderId) {
         orderBy: {
           createdAt: 'desc'
         }
+      },
+      refunds: {
+        include: {
+          items: true
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
       }
     }
   });
@@ -957,7 +1174,7 @@ async getOrderById(orderId) {
   }
 
   async updateOrderStatus(orderId, statusData) {
-    const { status, adminNotes } = statusData;
+    const { status, paymentStatus, adminNotes, adminId = null } = statusData;
     
     const order = await prisma.order.findUnique({
       where: { id: orderId }
@@ -966,17 +1183,23 @@ async getOrderById(orderId) {
     if (!order) {
       throw new Error('Order not found');
     }
-    
-    const validStatuses = ['PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'];
-    if (!validStatuses.includes(status)) {
-      throw new Error('Invalid status');
+
+    if (!status && !paymentStatus) {
+      throw new Error('Status or payment status is required');
     }
+
+    // The credit ledger marks these paid when their invoice is settled
+    if (order.paymentMethod === 'CREDIT' && paymentStatus && paymentStatus !== order.paymentStatus) {
+      throw new Error('Payment status of pay-later orders is updated by recording wholesaler payments');
+    }
+    
+    orderStatusService.assertTransitions(order, { status, paymentStatus });
     
     const oldStatus = order.status;
     
     const updateData = {
-      status,
-      ...(adminNotes && { adminNotes })
+      ...(status && { status }),
+      ...(paymentStatus && { paymentStatus })
     };
 
     // Set timestamps for specific status changes
@@ -1024,8 +1247,24 @@ async getOrderById(orderId) {
       }
     });
     
+    await orderStatusService.recordChange(order, { status, paymentStatus }, {
+      source: 'ADMIN',
+      changedById: adminId,
+      note: adminNotes || null
+    });
+
+    if (status === 'CANCELLED' && order.status !== 'CANCELLED') {
+      await creditService.creditOrder(order, {
+        note: adminNotes || 'Order cancelled by admin',
+        recordedById: adminId
+      });
 
-    if (status !== order.status) {
+      if (order.couponId) {
+        await couponService.reverseCouponUsage(order.couponId, order.discount, orderId);
+      }
+    }
+
+    if (status && status !== order.status) {
       await prisma.trackingHistory.create({
         data: {
           orderId,
@@ -1042,31 +1281,93 @@ async getOrderById(orderId) {
       }
     }
     
-    logger.info(`Order status updated: ${orderId} -> ${status}`);
+    logger.info(`Order status updated: ${orderId} -> ${status || order.status} / ${paymentStatus || order.paymentStatus}`);
     return updatedOrder;
   }
 
-  async updateTrackingInfo(orderId, trackingData) {
-    const { trackingNumber, carrier, trackingUrl, estimatedDelivery } = trackingData;
-    
+  // Customer cancellation - only before the order leaves the warehouse
+  async cancelOrder(orderId, userId, reason = null) {
+    const cancellableStatuses = ['PENDING', 'CONFIRMED', 'PROCESSING'];
+
     const order = await prisma.order.findUnique({
-      where: { id: orderId }
+      where: { id: orderId },
+      include: {
+        orderItems: true
+      }
     });
-    
-    if (!order) {
+
+    if (!order || order.userId !== userId) {
       throw new Error('Order not found');
     }
-    
-    const updatedOrder = await prisma.order.update({
-      where: { id: orderId },
-      data: {
-        trackingNumber,
-        carrier,
-        trackingUrl,
-        estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : null,
-        status: 'SHIPPED',
-        shippedAt: new Date()
+
+    if (!cancellableStatuses.includes(order.status)) {
+      throw new Error(`Order cannot be cancelled once it is ${order.status.toLowerCase()}`);
+    }
+
+    orderStatusService.assertOrderTransition(order.status, 'CANCELLED');
+
+    // Claim the cancellation first so a double submit can't restock or refund twice
+    const claimed = await prisma.order.updateMany({
+      where: {
+        id: orderId,
+        status: { in: cancellableStatuses }
       },
+      data: { status: 'CANCELLED' }
+    });
+
+    if (claimed.count === 0) {
+      throw new Error('Order has already been cancelled or updated');
+    }
+
+    await orderStatusService.recordChange(order, { status: 'CANCELLED' }, {
+      source: 'CUSTOMER',
+      changedById: userId,
+      note: reason || null
+    });
+
+    const cancelReason = reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer';
+
+    if (order.paymentStatus === 'PAID' && order.razorpayPaymentId) {
+      try {
+        await refundService.createRefund(orderId, {
+          reason: cancelReason,
+          restock: false
+        });
+      } catch (error) {
+        await prisma.order.update({
+          where: { id: orderId },
+          data: { status: order.status }
+        });
+        await orderStatusService.recordChange({ ...order, status: 'CANCELLED' }, { status: order.status }, {
+          source: 'SYSTEM',
+          note: `Cancellation rolled back: ${error.message}`
+        });
+        throw error;
+      }
+    }
+
+    await creditService.creditOrder(order, {
+      note: cancelReason,
+      recordedById: userId
+    });
+
+    for (const item of order.orderItems) {
+      if (item.productVariantId) {
+        await inventoryService.adjustStock(item.productVariantId, item.quantity, {
+          reason: 'CANCELLATION_RESTOCK',
+          actorId: userId,
+          orderId,
+          note: reason || null
+        });
+      }
+    }
+
+    if (order.couponId) {
+      await couponService.reverseCouponUsage(order.couponId, order.discount, orderId);
+    }
+
+    const updatedOrder = await prisma.order.findUnique({
+      where: { id: orderId },
       include: {
         orderItems: {
           include: {
@@ -1089,7 +1390,7 @@ async getOrderById(orderId) {
             }
           }
         },
-        customImages: true, // Include custom images
+        customImages: true,
         user: {
           select: {
             id: true,
@@ -1099,91 +1400,49 @@ async getOrderById(orderId) {
         }
       }
     });
-    
+
     await prisma.trackingHistory.create({
       data: {
         orderId,
-        status: 'SHIPPED',
-        description: `Order shipped via ${carrier}. Tracking number: ${trackingNumber}`,
+        status: 'CANCELLED',
+        description: `Order cancelled by customer.${reason ? ` Reason: ${reason}` : ''}`,
         location: `${order.city}, ${order.state}`
       }
     });
 
     try {
-      await emailNotificationService.sendOrderStatusUpdate(updatedOrder, order.status, 'SHIPPED');
+      await emailNotificationService.sendOrderStatusUpdate(updatedOrder, order.status, 'CANCELLED');
     } catch (emailError) {
-      logger.error('Failed to send shipping notification email:', emailError);
+      logger.error('Failed to send cancellation email:', emailError);
     }
-    
-    logger.info(`Tracking info updated for order: ${orderId}`);
+
+    logger.info(`Order cancelled by customer: ${orderId}`);
     return updatedOrder;
   }
 
-  async processRefund(orderId, refundData) {
-    const { refundAmount, reason, adminNotes } = refundData;
+  async updateTrackingInfo(orderId, trackingData) {
+    const { trackingNumber, carrier, trackingUrl, estimatedDelivery, adminId = null } = trackingData;
     
     const order = await prisma.order.findUnique({
-      where: { id: orderId },
-      include: {
-        orderItems: {
-          include: {
-            product: {
-              include: {
-                images: {
-                  take: 1,
-                  select: {
-                    imageUrl: true
-                  }
-                }
-              }
-            },
-            productVariant: true
-          }
-        },
-        customImages: true // Include custom images
-      }
+      where: { id: orderId }
     });
     
     if (!order) {
       throw new Error('Order not found');
     }
-    
-    if (order.paymentStatus !== 'PAID') {
-      throw new Error('Cannot refund order that is not paid');
-    }
-    
-    if (order.status === 'REFUNDED') {
-      throw new Error('Order is already refunded');
-    }
 
-    if (!order.phonepeTransactionId) {
-      throw new Error('Original transaction ID not found for refund');
-    }
-    
-    let phonepeRefundId = null;
-    try {
-      const refundResponse = await phonepeService.processRefund(
-        order.phonepeTransactionId,
-        refundAmount || order.totalAmount,
-        `REFUND_${order.id}`
-      );
-      
-      if (refundResponse.success) {
-        phonepeRefundId = refundResponse.data.merchantRefundId;
-      } else {
-        throw new Error(refundResponse.message || 'Refund failed');
-      }
-    } catch (phonepeError) {
-      logger.error('PhonePe refund failed:', phonepeError);
-      throw new Error('Refund processing failed: ' + phonepeError.message);
-    }
+    // Adding tracking ships the order; correcting it later keeps it SHIPPED
+    orderStatusService.assertOrderTransition(order.status, 'SHIPPED');
     
     const updatedOrder = await prisma.order.update({
       where: { id: orderId },
       data: {
-        status: 'REFUNDED',
-        paymentStatus: 'REFUNDED',
-        ...(adminNotes && { adminNotes })
+        trackingNumber,
+        carrier,
+        trackingUrl,
+        estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : null,
+        status: 'SHIPPED',
+        ...(order.status !== 'SHIPPED' && { shippedAt: new Date() })
       },
       include: {
         orderItems: {
@@ -1218,43 +1477,33 @@ async getOrderById(orderId) {
       }
     });
     
+    await orderStatusService.recordChange(order, { status: 'SHIPPED' }, {
+      source: 'ADMIN',
+      changedById: adminId,
+      note: `Tracking added: ${carrier} ${trackingNumber}`
+    });
+    
     await prisma.trackingHistory.create({
       data: {
         orderId,
-        status: 'REFUNDED',
-        description: `Order refunded. Amount: ₹${refundAmount || order.totalAmount}. Reason: ${reason}. Refund ID: ${phonepeRefundId}`,
-        location: 'System'
+        status: 'SHIPPED',
+        description: `Order shipped via ${carrier}. Tracking number: ${trackingNumber}`,
+        location: `${order.city}, ${order.state}`
       }
     });
-    
-    // Restore stock for refunded items
-    for (const item of order.orderItems) {
-      if (item.productVariantId) {
-        await prisma.productVariant.update({
-          where: { id: item.productVariantId },
-          data: {
-            stock: { increment: item.quantity }
-          }
-        });
-      }
-    }
 
     try {
-      await emailNotificationService.sendOrderRefundNotification(updatedOrder, {
-        refundAmount: refundAmount || order.totalAmount,
-        reason,
-        phonepeRefundId
-      });
+      await emailNotificationService.sendOrderStatusUpdate(updatedOrder, order.status, 'SHIPPED');
     } catch (emailError) {
-      logger.error('Failed to send refund notification email:', emailError);
+      logger.error('Failed to send shipping notification email:', emailError);
     }
     
-    logger.info(`Order refunded: ${orderId}, PhonePe Refund ID: ${phonepeRefundId}`);
-    return {
-      ...updatedOrder,
-      phonepeRefundId,
-      refundAmount: refundAmount || order.totalAmount
-    };
+    logger.info(`Tracking info updated for order: ${orderId}`);
+    return updatedOrder;
+  }
+
+  async processRefund(orderId, refundData) {
+    return await refundService.createRefund(orderId, refundData);
   }
 
   async getUserOrders(userId, { page, limit, status }) {
@@ -1463,6 +1712,7 @@ async getOrderById(orderId) {
       SHIPPED: 'Order has been shipped',
       DELIVERED: 'Order has been delivered successfully',
       CANCELLED: 'Order has been cancelled',
+      PARTIALLY_REFUNDED: 'Part of the order has been refunded',
       REFUNDED: 'Order has been refunded'
     };
     return descriptions[status] || 'Order status updated';
@@ -1502,11 +1752,19 @@ async getOrderById(orderId) {
         where: { id: order.id },
         data: {
           status: 'CANCELLED',
-          paymentStatus: 'FAILED',
-          phonepeResponseMessage: 'Payment not completed within 24 hours'
+          paymentStatus: 'FAILED'
         }
       });
 
+      await orderStatusService.recordChange(order, { status: 'CANCELLED', paymentStatus: 'FAILED' }, {
+        source: 'SYSTEM',
+        note: 'Payment not completed within 24 hours'
+      });
+
+      if (order.couponId) {
+        await couponService.reverseCouponUsage(order.couponId, order.discount, order.id);
+      }
+
       await prisma.trackingHistory.create({
         data: {
           orderId: order.id,
@@ -0,0 +1,110 @@
+// services/orderStatusService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import { ORDER_STATUS_TRANSITIONS, PAYMENT_STATUS_TRANSITIONS } from '../utils/constants.js';
+
+class OrderStatusService {
+
+  canTransition(table, from, to) {
+    if (from === to) return true;
+    return (table[from] || []).includes(to);
+  }
+
+  assertTransition(table, label, from, to) {
+    if (!(to in table)) {
+      throw new Error(`Invalid ${label}: ${to}`);
+    }
+
+    if (!this.canTransition(table, from, to)) {
+      const allowed = table[from] || [];
+      throw new Error(
+        allowed.length > 0
+          ? `Cannot change ${label} from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+          : `Cannot change ${label} from ${from} - it is final`
+      );
+    }
+  }
+
+  assertOrderTransition(from, to) {
+    this.assertTransition(ORDER_STATUS_TRANSITIONS, 'order status', from, to);
+  }
+
+  assertPaymentTransition(from, to) {
+    this.assertTransition(PAYMENT_STATUS_TRANSITIONS, 'payment status', from, to);
+  }
+
+  /**
+   * Validate both transitions at once. Pass undefined for a status that isn't changing.
+   */
+  assertTransitions(order, { status, paymentStatus }) {
+    if (status !== undefined) {
+      this.assertOrderTransition(order.status, status);
+    }
+
+    if (paymentStatus !== undefined) {
+      this.assertPaymentTransition(order.paymentStatus, paymentStatus);
+    }
+  }
+
+  // Write an audit row for whatever actually changed; no-op transitions are skipped
+  async recordChange(order, { status, paymentStatus }, { source, changedById = null, note = null, tx = prisma }) {
+    const statusChanged = status !== undefined && status !== order.status;
+    const paymentChanged = paymentStatus !== undefined && paymentStatus !== order.paymentStatus;
+
+    if (!statusChanged && !paymentChanged) {
+      return null;
+    }
+
+    try {
+      return await tx.orderStatusAudit.create({
+        data: {
+          orderId: order.id,
+          ...(statusChanged && { fromStatus: order.status, toStatus: status }),
+          ...(paymentChanged && { fromPaymentStatus: order.paymentStatus, toPaymentStatus: paymentStatus }),
+          source,
+          changedById,
+          note
+        }
+      });
+    } catch (error) {
+      // The status change itself already succeeded
+      logger.error('Failed to record order status audit:', {
+        orderId: order.id,
+        status,
+        paymentStatus,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Orders are created directly in their first state - log that as the initial entry
+  async recordCreation(order, { source, changedById = null, note = null }) {
+    return await this.recordChange(
+      { id: order.id, status: null, paymentStatus: null },
+      { status: order.status, paymentStatus: order.paymentStatus },
+      { source, changedById, note }
+    );
+  }
+
+  async getAuditTrail(orderId) {
+    return await prisma.orderStatusAudit.findMany({
+      where: { orderId },
+      include: {
+        changedBy: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            role: true
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+  }
+}
+
+export default new OrderStatusService();
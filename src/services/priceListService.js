@@ -0,0 +1,412 @@
+// services/priceListService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const ADJUSTMENTS = ['FIXED_PRICE', 'PERCENT_OFF'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const priceListInclude = {
+  entries: {
+    include: {
+      product: {
+        select: { id: true, name: true, productCode: true, normalPrice: true, offerPrice: true, wholesalePrice: true }
+      },
+      subcategory: {
+        select: { id: true, name: true }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  },
+  customerGroups: {
+    select: { id: true, name: true, isActive: true }
+  }
+};
+
+const customerGroupInclude = {
+  priceList: {
+    select: { id: true, name: true, isActive: true, startsAt: true, endsAt: true }
+  },
+  _count: {
+    select: { users: true }
+  }
+};
+
+/**
+ * Customer groups and their price lists, plus the one place that decides a
+ * buyer's unit price before quantity tiers. Order totals, cart pricing and
+ * product responses all go through `resolveBasePrice`.
+ */
+class PriceListService {
+
+  // The active price list for a user, with entries keyed for lookup, or null
+  async getPriceListForUser(userId) {
+    if (!userId) {
+      return null;
+    }
+
+    const now = new Date();
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        customerGroup: {
+          select: {
+            isActive: true,
+            priceList: {
+              include: {
+                entries: {
+                  select: { productId: true, subcategoryId: true, adjustment: true, value: true }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    const priceList = user?.customerGroup?.isActive ? user.customerGroup.priceList : null;
+
+    if (!priceList || !priceList.isActive ||
+      (priceList.startsAt && priceList.startsAt > now) ||
+      (priceList.endsAt && priceList.endsAt < now)) {
+      return null;
+    }
+
+    return {
+      id: priceList.id,
+      name: priceList.name,
+      productEntries: new Map(priceList.entries.filter(entry => entry.productId).map(entry => [entry.productId, entry])),
+      subcategoryEntries: new Map(priceList.entries.filter(entry => entry.subcategoryId).map(entry => [entry.subcategoryId, entry]))
+    };
+  }
+
+  // `user` is req.user (or anything with id and role); guests get retail pricing
+  async getPricingContext(user) {
+    return {
+      isWholesaleUser: user?.role === 'WHOLESALER',
+      priceList: await this.getPriceListForUser(user?.id)
+    };
+  }
+
+  /**
+   * Unit price before quantity tiers. `product` needs id, subcategoryId,
+   * normalPrice, offerPrice and wholesalePrice.
+   */
+  resolveBasePrice(product, { isWholesaleUser = false, priceList = null } = {}) {
+    const standardPrice = isWholesaleUser
+      ? Number(product.wholesalePrice ?? product.normalPrice)
+      : Number(product.offerPrice || product.normalPrice);
+
+    const entry = priceList && (
+      priceList.productEntries.get(product.id) ||
+      (product.subcategoryId && priceList.subcategoryEntries.get(product.subcategoryId))
+    );
+
+    if (!entry) {
+      return {
+        price: standardPrice,
+        standardPrice,
+        source: isWholesaleUser ? 'WHOLESALE' : 'RETAIL',
+        priceList: null
+      };
+    }
+
+    const price = entry.adjustment === 'FIXED_PRICE'
+      ? entry.value
+      : standardPrice * (1 - entry.value / 100);
+
+    return {
+      price: roundMoney(Math.max(0, price)),
+      standardPrice,
+      source: 'PRICE_LIST',
+      priceList: { id: priceList.id, name: priceList.name }
+    };
+  }
+
+  async getPriceLists() {
+    return prisma.priceList.findMany({
+      include: {
+        customerGroups: { select: { id: true, name: true } },
+        _count: { select: { entries: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  async getPriceList(priceListId) {
+    const priceList = await prisma.priceList.findUnique({
+      where: { id: priceListId },
+      include: priceListInclude
+    });
+
+    if (!priceList) {
+      throw new Error('Price list not found');
+    }
+
+    return priceList;
+  }
+
+  parseWindow({ startsAt, endsAt }, existing = {}) {
+    const data = {};
+
+    if (startsAt !== undefined) data.startsAt = startsAt ? new Date(startsAt) : null;
+    if (endsAt !== undefined) data.endsAt = endsAt ? new Date(endsAt) : null;
+
+    if ([data.startsAt, data.endsAt].some(date => date && isNaN(date.getTime()))) {
+      throw new Error('Invalid start or end date');
+    }
+
+    const start = data.startsAt !== undefined ? data.startsAt : existing.startsAt;
+    const end = data.endsAt !== undefined ? data.endsAt : existing.endsAt;
+    if (start && end && start >= end) {
+      throw new Error('End date must be after the start date');
+    }
+
+    return data;
+  }
+
+  async createPriceList({ name, description, isActive = true, startsAt, endsAt }) {
+    if (!name?.trim()) {
+      throw new Error('Price list name is required');
+    }
+
+    try {
+      const priceList = await prisma.priceList.create({
+        data: {
+          name: name.trim(),
+          description: description?.trim() || null,
+          isActive: isActive === true || isActive === 'true',
+          ...this.parseWindow({ startsAt, endsAt })
+        },
+        include: priceListInclude
+      });
+
+      logger.info(`Price list created: ${priceList.id}`);
+      return priceList;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('A price list with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  async updatePriceList(priceListId, { name, description, isActive, startsAt, endsAt }) {
+    const existing = await this.getPriceList(priceListId);
+
+    try {
+      return await prisma.priceList.update({
+        where: { id: priceListId },
+        data: {
+          ...(name !== undefined && { name: name.trim() }),
+          ...(description !== undefined && { description: description?.trim() || null }),
+          ...(isActive !== undefined && { isActive: isActive === true || isActive === 'true' }),
+          ...this.parseWindow({ startsAt, endsAt }, existing)
+        },
+        include: priceListInclude
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('A price list with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  // Groups using the list fall back to standard pricing
+  async deletePriceList(priceListId) {
+    await this.getPriceList(priceListId);
+
+    await prisma.priceList.delete({
+      where: { id: priceListId }
+    });
+
+    logger.info(`Price list deleted: ${priceListId}`);
+  }
+
+  // Adds or replaces the entry for one product or one subcategory
+  async setEntry(priceListId, { productId, subcategoryId, adjustment, value }) {
+    await this.getPriceList(priceListId);
+
+    if (Boolean(productId) === Boolean(subcategoryId)) {
+      throw new Error('Provide either a productId or a subcategoryId');
+    }
+
+    if (!ADJUSTMENTS.includes(adjustment)) {
+      throw new Error(`Invalid adjustment. Must be one of: ${ADJUSTMENTS.join(', ')}`);
+    }
+
+    const numericValue = Number(value);
+    if (!Number.isFinite(numericValue) || numericValue < 0 ||
+      (adjustment === 'PERCENT_OFF' && numericValue > 100)) {
+      throw new Error(adjustment === 'PERCENT_OFF'
+        ? 'Percentage must be between 0 and 100'
+        : 'Price must be a non-negative number');
+    }
+
+    if (productId) {
+      const product = await prisma.product.findUnique({ where: { id: productId }, select: { id: true } });
+      if (!product) throw new Error('Product not found');
+    } else {
+      const subcategory = await prisma.subcategory.findUnique({ where: { id: subcategoryId }, select: { id: true } });
+      if (!subcategory) throw new Error('Subcategory not found');
+    }
+
+    const where = productId
+      ? { priceListId_productId: { priceListId, productId } }
+      : { priceListId_subcategoryId: { priceListId, subcategoryId } };
+
+    return prisma.priceListEntry.upsert({
+      where,
+      create: {
+        priceListId,
+        productId: productId || null,
+        subcategoryId: subcategoryId || null,
+        adjustment,
+        value: numericValue
+      },
+      update: {
+        adjustment,
+        value: numericValue
+      }
+    });
+  }
+
+  async removeEntry(priceListId, entryId) {
+    const { count } = await prisma.priceListEntry.deleteMany({
+      where: { id: entryId, priceListId }
+    });
+
+    if (count === 0) {
+      throw new Error('Price list entry not found');
+    }
+  }
+
+  async getCustomerGroups() {
+    return prisma.customerGroup.findMany({
+      include: customerGroupInclude,
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  async getCustomerGroup(groupId) {
+    const group = await prisma.customerGroup.findUnique({
+      where: { id: groupId },
+      include: {
+        ...customerGroupInclude,
+        users: {
+          select: { id: true, name: true, email: true, phone: true, role: true }
+        }
+      }
+    });
+
+    if (!group) {
+      throw new Error('Customer group not found');
+    }
+
+    return group;
+  }
+
+  async assertPriceListExists(priceListId) {
+    if (priceListId) {
+      await this.getPriceList(priceListId);
+    }
+  }
+
+  async createCustomerGroup({ name, description, priceListId, isActive = true }) {
+    if (!name?.trim()) {
+      throw new Error('Customer group name is required');
+    }
+
+    await this.assertPriceListExists(priceListId);
+
+    try {
+      const group = await prisma.customerGroup.create({
+        data: {
+          name: name.trim(),
+          description: description?.trim() || null,
+          priceListId: priceListId || null,
+          isActive: isActive === true || isActive === 'true'
+        },
+        include: customerGroupInclude
+      });
+
+      logger.info(`Customer group created: ${group.id}`);
+      return group;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('A customer group with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  async updateCustomerGroup(groupId, { name, description, priceListId, isActive }) {
+    await this.getCustomerGroup(groupId);
+    await this.assertPriceListExists(priceListId);
+
+    try {
+      return await prisma.customerGroup.update({
+        where: { id: groupId },
+        data: {
+          ...(name !== undefined && { name: name.trim() }),
+          ...(description !== undefined && { description: description?.trim() || null }),
+          ...(priceListId !== undefined && { priceListId: priceListId || null }),
+          ...(isActive !== undefined && { isActive: isActive === true || isActive === 'true' })
+        },
+        include: customerGroupInclude
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('A customer group with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  // Members go back to standard pricing
+  async deleteCustomerGroup(groupId) {
+    await this.getCustomerGroup(groupId);
+
+    await prisma.customerGroup.delete({
+      where: { id: groupId }
+    });
+
+    logger.info(`Customer group deleted: ${groupId}`);
+  }
+
+  // A user belongs to at most one group, so adding moves them out of any other
+  async addMembers(groupId, userIds) {
+    await this.getCustomerGroup(groupId);
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      throw new Error('At least one user ID is required');
+    }
+
+    const { count } = await prisma.user.updateMany({
+      where: { id: { in: userIds } },
+      data: { customerGroupId: groupId }
+    });
+
+    if (count !== new Set(userIds).size) {
+      logger.warn('Some users were not found when adding to customer group', { groupId, requested: userIds.length, updated: count });
+    }
+
+    return this.getCustomerGroup(groupId);
+  }
+
+  async removeMember(groupId, userId) {
+    const { count } = await prisma.user.updateMany({
+      where: { id: userId, customerGroupId: groupId },
+      data: { customerGroupId: null }
+    });
+
+    if (count === 0) {
+      throw new Error('User is not in this customer group');
+    }
+
+    return this.getCustomerGroup(groupId);
+  }
+}
+
+export default new PriceListService();
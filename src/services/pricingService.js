@@ -0,0 +1,306 @@
+// services/pricingService.js
+import prisma from '../config/database.js';
+import { SHIPPING_FEE } from '../config/index.js';
+import couponService from './couponService.js';
+import priceListService from './priceListService.js';
+import promotionService from './promotionService.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const productSelect = {
+  id: true,
+  name: true,
+  productCode: true,
+  status: true,
+  normalPrice: true,
+  offerPrice: true,
+  wholesalePrice: true,
+  categoryId: true,
+  subcategoryId: true,
+  baseCustomizationPrice: true,
+  subcategory: {
+    select: {
+      quantityPrices: {
+        where: { isActive: true },
+        select: { quantity: true, priceType: true, value: true },
+        orderBy: { quantity: 'asc' }
+      }
+    }
+  }
+};
+
+/**
+ * The one place a price is worked out. Product quantity quotes, the cart and
+ * checkout totals all call `priceLines`, so a buyer sees the same numbers at
+ * every step.
+ *
+ * A line is priced as: base unit price for the buyer (priceListService), then
+ * the best subcategory quantity tier, then any customization charge.
+ * `summarize` adds automatic promotions (promotionService), the coupon and
+ * shipping.
+ */
+class PricingService {
+
+  // Key for `priceOverrides`: one negotiated unit price per product/variant
+  priceLineKey(item) {
+    return `${item.productId}:${item.productVariantId || ''}`;
+  }
+
+  /**
+   * Best quantity tier for `quantity` units at `basePrice`. Once the tier
+   * quantity is reached, a PERCENTAGE tier takes that much off the whole line
+   * and a FIXED_AMOUNT tier's value is the price of the whole line.
+   */
+  getTierPrice(basePrice, quantity, tiers = []) {
+    const originalTotal = basePrice * quantity;
+    let total = originalTotal;
+    let appliedTier = null;
+
+    for (const tier of tiers) {
+      if (quantity < tier.quantity) continue;
+
+      const tierTotal = tier.priceType === 'PERCENTAGE'
+        ? originalTotal * (1 - tier.value / 100)
+        : tier.value;
+
+      if (tierTotal < total) {
+        total = tierTotal;
+        appliedTier = {
+          quantity: tier.quantity,
+          priceType: tier.priceType,
+          value: tier.value,
+          message: tier.priceType === 'PERCENTAGE'
+            ? `${tier.value}% off for ${tier.quantity}+ items`
+            : `₹${tier.value} for ${tier.quantity} items`
+        };
+      }
+    }
+
+    return {
+      originalTotal: roundMoney(originalTotal),
+      total: roundMoney(total),
+      discount: roundMoney(originalTotal - total),
+      appliedTier
+    };
+  }
+
+  async loadProducts(productIds) {
+    const products = await prisma.product.findMany({
+      where: { id: { in: productIds } },
+      select: productSelect
+    });
+
+    return new Map(products.map(product => [product.id, product]));
+  }
+
+  // Designs already on an order can't be bought again
+  async loadDesigns(designIds) {
+    if (designIds.length === 0) {
+      return new Map();
+    }
+
+    const designs = await prisma.customDesign.findMany({
+      where: { id: { in: designIds } },
+      select: {
+        id: true,
+        orderItem: { select: { id: true } },
+        customization: { select: { productId: true, basePrice: true } }
+      }
+    });
+
+    return new Map(designs.map(design => [design.id, design]));
+  }
+
+  // Per-unit customization charge for a line, or 0 when it isn't customized
+  getCustomizationPrice(product, item, designs) {
+    if (!item.customDesignId) {
+      return 0;
+    }
+
+    const design = designs.get(item.customDesignId);
+    if (!design || design.customization.productId !== product.id) {
+      throw new Error(`Custom design ${item.customDesignId} does not belong to ${product.name}`);
+    }
+
+    if (design.orderItem) {
+      throw new Error(`Custom design ${item.customDesignId} has already been ordered`);
+    }
+
+    return Number(design.customization.basePrice || product.baseCustomizationPrice || 0);
+  }
+
+  /**
+   * Prices each item ({ productId, productVariantId?, quantity, customDesignId? }).
+   * Lines for unknown products come back with `error` set so callers can decide
+   * whether that is fatal. Overridden lines (priceOverrides, keyed by
+   * priceLineKey) skip quantity tiers; the price was agreed for that quantity.
+   */
+  async priceLines(items, { isWholesaleUser = false, priceList = null, priceOverrides = null } = {}) {
+    const productsById = await this.loadProducts([...new Set(items.map(item => item.productId))]);
+    const designs = await this.loadDesigns(items.map(item => item.customDesignId).filter(Boolean));
+
+    return items.map(item => {
+      const product = productsById.get(item.productId);
+      const quantity = Number(item.quantity);
+
+      if (!product) {
+        return { ...item, quantity, error: 'Product not found' };
+      }
+
+      const resolvedPrice = priceListService.resolveBasePrice(product, { isWholesaleUser, priceList });
+      const overridePrice = priceOverrides?.get(this.priceLineKey(item));
+      const isNegotiatedPrice = overridePrice !== undefined && overridePrice !== null;
+      const basePrice = isNegotiatedPrice ? Number(overridePrice) : resolvedPrice.price;
+
+      const tierPrice = this.getTierPrice(
+        basePrice,
+        quantity,
+        isNegotiatedPrice ? [] : product.subcategory?.quantityPrices
+      );
+      const customizationPrice = this.getCustomizationPrice(product, item, designs);
+      const customizationTotal = roundMoney(customizationPrice * quantity);
+
+      return {
+        ...item,
+        quantity,
+        product,
+        unitPrices: {
+          normal: Number(product.normalPrice),
+          offer: Number(product.offerPrice || product.normalPrice),
+          wholesale: product.wholesalePrice ? Number(product.wholesalePrice) : null
+        },
+        basePrice,
+        priceSource: isNegotiatedPrice ? 'NEGOTIATED' : resolvedPrice.source,
+        priceList: isNegotiatedPrice ? null : resolvedPrice.priceList,
+        isNegotiatedPrice,
+        isWholesalePrice: isWholesaleUser,
+        originalTotal: tierPrice.originalTotal,
+        tierDiscount: tierPrice.discount,
+        appliedTier: tierPrice.appliedTier,
+        itemsTotal: tierPrice.total,
+        customizationPrice,
+        customizationTotal,
+        lineTotal: roundMoney(tierPrice.total + customizationTotal)
+      };
+    });
+  }
+
+  // Flat fee from SHIPPING_FEE; 0 keeps shipping free
+  calculateShipping() {
+    return roundMoney(SHIPPING_FEE);
+  }
+
+  /**
+   * Checks the code against who is buying and what (couponService.validateCoupon)
+   * and spreads the discount over the eligible lines as `couponDiscount`. A code
+   * that can't be used gives no discount, with the reason in `error`.
+   */
+  async applyCoupon(couponCode, lines, subtotal, { userId = null, isWholesaleUser = false } = {}) {
+    for (const line of lines) {
+      line.couponDiscount = 0;
+    }
+
+    if (!couponCode) {
+      return { coupon: null, discount: 0, error: null };
+    }
+
+    let coupon;
+    try {
+      coupon = await couponService.validateCoupon(couponCode, subtotal, { userId, isWholesaleUser, lines });
+    } catch (error) {
+      return { coupon: null, discount: 0, error: error.message };
+    }
+
+    const eligibleLines = lines.filter(line => couponService.isLineEligible(coupon, line));
+    const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.lineTotal, 0);
+    const discount = roundMoney(await couponService.calculateDiscount(coupon, eligibleSubtotal));
+
+    // Proportional shares; the last line takes the rounding remainder
+    let allocated = 0;
+    eligibleLines.forEach((line, index) => {
+      line.couponDiscount = index === eligibleLines.length - 1
+        ? roundMoney(discount - allocated)
+        : roundMoney(discount * line.lineTotal / eligibleSubtotal);
+      allocated = roundMoney(allocated + line.couponDiscount);
+    });
+
+    return { coupon, discount, error: null };
+  }
+
+  /**
+   * Order-level totals for priced lines (those without `error`). Returns the
+   * lines again with their promotions applied, and lineTotal reduced to match.
+   */
+  async summarize(lines, { couponCode = null, userId = null, isWholesaleUser = false } = {}) {
+    const activePromotions = await promotionService.getActivePromotions();
+    const promotedLines = promotionService.applyToLines(lines, activePromotions).map(line => ({
+      ...line,
+      lineTotal: roundMoney(line.itemsTotal - line.promotionDiscount + line.customizationTotal)
+    }));
+
+    const sum = (key) => roundMoney(promotedLines.reduce((total, line) => total + line[key], 0));
+
+    const originalTotal = sum('originalTotal');
+    const tierDiscount = sum('tierDiscount');
+    const promotionDiscount = sum('promotionDiscount');
+    const customizationTotal = sum('customizationTotal');
+    const subtotal = sum('lineTotal');
+    const { coupon, discount: couponDiscount, error: couponError } = await this.applyCoupon(
+      couponCode,
+      promotedLines,
+      subtotal,
+      { userId, isWholesaleUser }
+    );
+
+    const shippingFee = promotedLines.length > 0 ? this.calculateShipping(subtotal) : 0;
+    const freeShipping = shippingFee > 0 ? promotionService.getFreeShippingPromotion(activePromotions, subtotal) : null;
+    const shippingCost = freeShipping ? 0 : shippingFee;
+    const total = roundMoney(subtotal - couponDiscount + shippingCost);
+
+    // One entry per promotion that saved something, summed over its lines
+    const promotions = [];
+    for (const applied of promotedLines.flatMap(line => line.promotions)) {
+      const existing = promotions.find(entry => entry.promotionId === applied.promotionId);
+      if (existing) {
+        existing.discount = roundMoney(existing.discount + applied.discount);
+      } else {
+        promotions.push({ ...applied });
+      }
+    }
+    if (freeShipping) {
+      promotions.push({
+        promotionId: freeShipping.id,
+        name: freeShipping.name,
+        type: freeShipping.type,
+        discount: shippingFee
+      });
+    }
+
+    return {
+      lines: promotedLines,
+      subtotal,
+      tierDiscount,
+      promotionDiscount,
+      promotions,
+      customizationTotal,
+      coupon,
+      couponDiscount,
+      couponError,
+      shippingCost,
+      total,
+      breakdown: {
+        itemsTotal: originalTotal,
+        tierDiscount,
+        promotionDiscount,
+        customization: customizationTotal,
+        subtotal,
+        couponDiscount,
+        shipping: shippingCost,
+        shippingDiscount: freeShipping ? shippingFee : 0,
+        total
+      }
+    };
+  }
+}
+
+export default new PricingService();
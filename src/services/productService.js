@@ -1,6 +1,10 @@
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
 import s3UploadService from './s3UploadService.js';
+import inventoryService from './inventoryService.js';
+import wholesaleRuleService from './wholesaleRuleService.js';
+import priceListService from './priceListService.js';
+import pricingService from './pricingService.js';
 
 class ProductService {
 
@@ -13,7 +17,8 @@ class ProductService {
         search,
         minPrice,
         maxPrice,
-        includeVariants = true
+        includeVariants = true,
+        pricing = {}
     }) {
         const skip = (page - 1) * limit;
 
@@ -70,7 +75,9 @@ class ProductService {
                 select: {
                     id: true,
                     name: true,
-                    image: true
+                    image: true,
+                    wholesaleMinQuantity: true,
+                    wholesalePackSize: true
                 }
             },
             productDetails: true,
@@ -119,7 +126,9 @@ class ProductService {
             return {
                 ...product,
                 avgRating: Math.round(avgRating * 10) / 10,
-                totalRatings: ratings.length
+                totalRatings: ratings.length,
+                wholesaleRules: wholesaleRuleService.resolve(product),
+                customerPrice: priceListService.resolveBasePrice(product, pricing)
             };
         });
 
@@ -136,110 +145,51 @@ class ProductService {
 
 
     // services/productService.js
-    async calculateQuantityPrice(productId, quantity) {
+    // pricing: { isWholesaleUser, priceList } from priceListService.getPricingContext
+    async calculateQuantityPrice(productId, quantity, pricing = {}) {
         try {
 
             if (!productId || quantity < 1) {
                 throw new Error('Valid product ID and quantity are required');
             }
 
-            // First, check if product exists with basic query
-            const product = await prisma.product.findUnique({
-                where: {
-                    id: productId
-                },
-                select: {
-                    id: true,
-                    name: true,
-                    normalPrice: true,
-                    offerPrice: true,
-                    subcategoryId: true
-                }
-            });
-
+            // Same engine as cart and checkout totals
+            const [line] = await pricingService.priceLines([{ productId, quantity }], pricing);
 
-            if (!product) {
+            if (line.error) {
                 throw new Error('Product not found');
             }
 
-            // Get the effective price (offer price first, then normal price)
-            const normalPrice = product.offerPrice || product.normalPrice;
-
-            // If no subcategory, return regular pricing
-            if (!product.subcategoryId) {
-                return {
-                    originalPrice: normalPrice * quantity,
-                    quantity: quantity,
-                    applicableDiscount: null,
-                    finalPrice: normalPrice * quantity,
-                    totalSavings: 0,
-                    message: 'No quantity pricing available for this product'
-                };
-            }
-
-            // Get quantity prices for the subcategory
-            const quantityPrices = await prisma.subcategoryQuantityPrice.findMany({
-                where: {
-                    subcategoryId: product.subcategoryId,
-                    isActive: true,
-                    quantity: { lte: quantity } // Only offers where required quantity <= requested quantity
-                },
-                orderBy: {
-                    quantity: 'desc' // Get highest applicable quantity first
-                }
-            });
-
-
-            let bestTotal = normalPrice * quantity;
-            let appliedDiscount = null;
-
-            // Find the best applicable discount
-            for (const priceRule of quantityPrices) {
-                if (quantity >= priceRule.quantity) {
-                    let discountAmount = 0;
-                    let finalPriceForRule = 0;
-
-                    if (priceRule.priceType === 'PERCENTAGE') {
-                        // Calculate percentage discount
-                        discountAmount = (priceRule.value / 100) * normalPrice * quantity;
-                        finalPriceForRule = (normalPrice * quantity) - discountAmount;
-                    } else {
-                        // Fixed amount - this is total price for the quantity
-                        finalPriceForRule = priceRule.value;
-                        discountAmount = (normalPrice * quantity) - finalPriceForRule;
-                    }
-
-                    // If this rule gives a better price, use it
-                    if (finalPriceForRule < bestTotal) {
-                        bestTotal = finalPriceForRule;
-                        appliedDiscount = {
-                            quantity: priceRule.quantity,
-                            priceType: priceRule.priceType,
-                            value: priceRule.value,
-                            discountAmount: discountAmount
-                        };
-                    }
-                }
-            }
-
-            const totalSavings = appliedDiscount ? appliedDiscount.discountAmount : 0;
-
             let message = 'No quantity discount available';
-            if (appliedDiscount) {
-                if (appliedDiscount.priceType === 'PERCENTAGE') {
-                    message = `${appliedDiscount.value}% discount applied for buying ${appliedDiscount.quantity} or more items`;
-                } else {
-                    message = `Special price ₹${appliedDiscount.value} for buying ${appliedDiscount.quantity} items`;
-                }
+            if (!line.product.subcategoryId) {
+                message = 'No quantity pricing available for this product';
+            } else if (line.appliedTier) {
+                message = line.appliedTier.priceType === 'PERCENTAGE'
+                    ? `${line.appliedTier.value}% discount applied for buying ${line.appliedTier.quantity} or more items`
+                    : `Special price ₹${line.appliedTier.value} for buying ${line.appliedTier.quantity} items`;
             }
 
             return {
-                originalPrice: normalPrice * quantity,
+                originalPrice: line.originalTotal,
                 quantity: quantity,
-                applicableDiscount: appliedDiscount,
-                finalPrice: bestTotal,
-                totalSavings: totalSavings,
-                pricePerItem: bestTotal / quantity,
+                applicableDiscount: line.appliedTier && {
+                    quantity: line.appliedTier.quantity,
+                    priceType: line.appliedTier.priceType,
+                    value: line.appliedTier.value,
+                    discountAmount: line.tierDiscount
+                },
+                finalPrice: line.itemsTotal,
+                totalSavings: line.tierDiscount,
+                pricePerItem: line.itemsTotal / quantity,
+                priceSource: line.priceSource,
+                priceList: line.priceList,
+                breakdown: {
+                    unitPrices: line.unitPrices,
+                    basePrice: line.basePrice,
+                    originalTotal: line.originalTotal,
+                    tierDiscount: line.tierDiscount,
+                    total: line.itemsTotal
+                },
                 message: message
             };
 
@@ -332,7 +282,8 @@ class ProductService {
     }
 
     // Get product by ID - IMPROVED
-    async getProductById(productId, includeVariants = true) {
+    // pricing: priceListService.getPricingContext(req.user), for the buyer's own unit price
+    async getProductById(productId, includeVariants = true, pricing = {}) {
         // Validate input
         if (!productId || typeof productId !== 'string') {
             throw new Error('Valid product ID is required');
@@ -405,12 +356,14 @@ class ProductService {
             ...product,
             avgRating: Math.round(avgRating * 10) / 10,
             totalRatings: ratings.length,
-            hasQuantityPricing: product.subcategory?.quantityPrices?.length > 0
+            hasQuantityPricing: product.subcategory?.quantityPrices?.length > 0,
+            wholesaleRules: wholesaleRuleService.resolve(product),
+            customerPrice: priceListService.resolveBasePrice(product, pricing)
         };
     }
 
     // Get product by product code - IMPROVED
-    async getProductByCode(productCode, includeVariants = true) {
+    async getProductByCode(productCode, includeVariants = true, pricing = {}) {
         const include = {
             category: {
                 select: {
@@ -474,7 +427,9 @@ class ProductService {
             ...product,
             avgRating: Math.round(avgRating * 10) / 10,
             totalRatings: ratings.length,
-            hasQuantityPricing: product.subcategory?.quantityPrices?.length > 0
+            hasQuantityPricing: product.subcategory?.quantityPrices?.length > 0,
+            wholesaleRules: wholesaleRuleService.resolve(product),
+            customerPrice: priceListService.resolveBasePrice(product, pricing)
         };
     }
 
@@ -509,127 +464,92 @@ class ProductService {
         });
     }
 
-    async calculateCartPrices(cartItems) {
+    // Prices every line in one pass through the pricing engine; unknown products are reported per item
+    async calculateCartPrices(cartItems, pricing = {}) {
         try {
             // Ensure we have an array
             const itemsArray = Array.isArray(cartItems) ? cartItems : [];
 
-            const calculatedItems = await Promise.all(
-                itemsArray.map(async (item) => {
-                    // Normalize the item
-                    const normalizedItem = {
-                        productId: item?.productId || '',
-                        quantity: parseInt(item?.quantity) || 1,
-                        variantId: item?.variantId || null,
-                        originalItem: item // Keep original for reference
-                    };
-
-                    // Skip if no productId
-                    if (!normalizedItem.productId) {
-                        return {
-                            ...normalizedItem,
-                            priceCalculation: {
-                                totalPrice: 0,
-                                effectiveUnitPrice: 0,
-                                savings: 0,
-                                hasQuantityPricing: false,
-                                error: 'Missing productId'
-                            },
-                            finalPrice: 0,
-                            error: 'Missing productId'
-                        };
-                    }
-
-                    try {
-                        const priceCalculation = await this.calculateQuantityPrice(
-                            normalizedItem.productId,
-                            normalizedItem.quantity
-                        );
-
-                        return {
-                            ...normalizedItem,
-                            priceCalculation,
-                            finalPrice: priceCalculation.totalPrice,
-                            success: true
-                        };
-                    } catch (error) {
-                        logger.error(`Price calculation failed for ${normalizedItem.productId}:`, error);
-
-                        // Fallback to direct product lookup
-                        try {
-                            const product = await prisma.product.findFirst({
-                                where: {
-                                    OR: [
-                                        { id: normalizedItem.productId },
-                                        { productCode: normalizedItem.productId }
-                                    ],
-                                    status: 'ACTIVE'
-                                },
-                                select: {
-                                    id: true,
-                                    name: true,
-                                    normalPrice: true,
-                                    offerPrice: true,
-                                    productCode: true,
-                                    status: true
-                                }
-                            });
+            // Normalize the items
+            const normalizedItems = itemsArray.map(item => ({
+                productId: item?.productId || '',
+                quantity: parseInt(item?.quantity) || 1,
+                variantId: item?.variantId || null,
+                originalItem: item // Keep original for reference
+            }));
+
+            const lines = await pricingService.priceLines(
+                normalizedItems
+                    .filter(item => item.productId)
+                    .map(item => ({ productId: item.productId, productVariantId: item.variantId, quantity: item.quantity })),
+                pricing
+            );
 
-                            if (!product) {
-                                throw new Error(`Active product not found: ${normalizedItem.productId}`);
-                            }
+            // Promotions are worked out across all priced lines; summarize returns them in the same order
+            const summary = await pricingService.summarize(lines.filter(line => !line.error));
+            const promotedLines = summary.lines.values();
+
+            let lineIndex = 0;
+            const calculatedItems = normalizedItems.map(normalizedItem => {
+                const pricedLine = normalizedItem.productId ? lines[lineIndex++] : null;
+                const line = pricedLine && !pricedLine.error ? promotedLines.next().value : pricedLine;
+                const error = !normalizedItem.productId
+                    ? 'Missing productId'
+                    : line.error && `Product not found: ${normalizedItem.productId}`;
+
+                if (error) {
+                    return {
+                        ...normalizedItem,
+                        priceCalculation: {
+                            totalPrice: 0,
+                            effectiveUnitPrice: 0,
+                            savings: 0,
+                            hasQuantityPricing: false,
+                            error
+                        },
+                        finalPrice: 0,
+                        success: false,
+                        error
+                    };
+                }
 
-                            const unitPrice = product.offerPrice || product.normalPrice || 0;
-                            const totalPrice = unitPrice * normalizedItem.quantity;
-
-                            return {
-                                ...normalizedItem,
-                                productDetails: product,
-                                priceCalculation: {
-                                    totalPrice,
-                                    effectiveUnitPrice: unitPrice,
-                                    savings: 0,
-                                    hasQuantityPricing: false,
-                                    error: `Fallback: ${error.message}`
-                                },
-                                finalPrice: totalPrice,
-                                success: false,
-                                warning: 'Used fallback pricing'
-                            };
-                        } catch (dbError) {
-                            return {
-                                ...normalizedItem,
-                                priceCalculation: {
-                                    totalPrice: 0,
-                                    effectiveUnitPrice: 0,
-                                    savings: 0,
-                                    hasQuantityPricing: false,
-                                    error: dbError.message
-                                },
-                                finalPrice: 0,
-                                success: false,
-                                error: dbError.message
-                            };
-                        }
-                    }
-                })
-            );
+                return {
+                    ...normalizedItem,
+                    priceCalculation: {
+                        originalPrice: line.originalTotal,
+                        quantity: line.quantity,
+                        applicableDiscount: line.appliedTier,
+                        finalPrice: line.itemsTotal,
+                        totalSavings: line.tierDiscount,
+                        pricePerItem: line.itemsTotal / line.quantity,
+                        priceSource: line.priceSource,
+                        priceList: line.priceList,
+                        unitPrices: line.unitPrices,
+                        basePrice: line.basePrice,
+                        promotionDiscount: line.promotionDiscount,
+                        promotions: line.promotions
+                    },
+                    finalPrice: line.lineTotal,
+                    success: true
+                };
+            });
 
             // Calculate totals
             const successfulItems = calculatedItems.filter(item => item.success);
             const failedItems = calculatedItems.filter(item => !item.success);
 
-            const subtotal = calculatedItems.reduce((sum, item) => sum + (item.finalPrice || 0), 0);
-            const totalSavings = calculatedItems.reduce((sum, item) => sum + (item.priceCalculation?.savings || 0), 0);
-
             return {
                 items: calculatedItems,
                 successfulItems,
                 failedItems,
-                subtotal,
-                totalSavings,
-                total: subtotal,
-                hasQuantityDiscounts: totalSavings > 0,
+                subtotal: summary.subtotal,
+                totalSavings: summary.tierDiscount,
+                promotionDiscount: summary.promotionDiscount,
+                promotions: summary.promotions,
+                shippingCost: summary.shippingCost,
+                total: summary.total,
+                breakdown: summary.breakdown,
+                hasQuantityDiscounts: summary.tierDiscount > 0,
                 success: failedItems.length === 0,
                 warnings: failedItems.length > 0 ?
                     `${failedItems.length} items had pricing issues` :
@@ -643,7 +563,7 @@ class ProductService {
     }
 
 
-    async createProduct(productData, variantImages = [], variantColors = []) {
+    async createProduct(productData, variantImages = [], variantColors = [], actorId = null) {
         const {
             name,
             productCode,
@@ -651,6 +571,8 @@ class ProductService {
             normalPrice,
             offerPrice,
             wholesalePrice,
+            wholesaleMinQuantity,
+            wholesalePackSize,
             categoryId,
             subcategoryId,
             productDetails = [],
@@ -821,6 +743,9 @@ class ProductService {
             normalPrice: parseFloat(normalPrice),
             offerPrice: offerPrice ? parseFloat(offerPrice) : null,
             wholesalePrice: wholesalePrice ? parseFloat(wholesalePrice) : null,
+            // Empty falls back to the subcategory's wholesale rules
+            wholesaleMinQuantity: wholesaleMinQuantity ? parseInt(wholesaleMinQuantity) : null,
+            wholesalePackSize: wholesalePackSize ? parseInt(wholesalePackSize) : null,
             categoryId: categoryId && categoryId.trim() !== '' ? categoryId : null,
             subcategoryId: subcategoryId && subcategoryId.trim() !== '' ? subcategoryId : null,
             productDetails: {
@@ -856,6 +781,17 @@ class ProductService {
             }
         });
 
+        // Opening stock goes through the ledger like any other stock change
+        for (const variant of product.variants) {
+            await inventoryService.recordMovement({
+                productVariantId: variant.id,
+                stockAfter: variant.stock,
+                reason: 'IMPORT',
+                actorId,
+                note: 'Initial stock for new product'
+            });
+        }
+
         // ✅ Log variant codes if added
         if (variants.length > 0) {
             variants.forEach((variantGroup, index) => {
@@ -932,7 +868,7 @@ class ProductService {
     }
 
 
-    async updateProduct(productId, updateData, files = [], variantColors = []) {
+    async updateProduct(productId, updateData, files = [], variantColors = [], actorId = null) {
 
         const product = await prisma.product.findUnique({
             where: { id: productId },
@@ -956,6 +892,8 @@ class ProductService {
             normalPrice,
             offerPrice,
             wholesalePrice,
+            wholesaleMinQuantity,
+            wholesalePackSize,
             categoryId,
             subcategoryId,
             productDetails,
@@ -1003,6 +941,12 @@ class ProductService {
             normalPrice: normalPrice ? parseFloat(normalPrice) : product.normalPrice,
             offerPrice: offerPrice !== undefined ? parseFloat(offerPrice) : product.offerPrice,
             wholesalePrice: wholesalePrice !== undefined ? parseFloat(wholesalePrice) : product.wholesalePrice,
+            wholesaleMinQuantity: wholesaleMinQuantity !== undefined
+                ? (wholesaleMinQuantity ? parseInt(wholesaleMinQuantity) : null)
+                : product.wholesaleMinQuantity,
+            wholesalePackSize: wholesalePackSize !== undefined
+                ? (wholesalePackSize ? parseInt(wholesalePackSize) : null)
+                : product.wholesalePackSize,
             // ✅ FIX: Handle categoryId - set to null if empty/undefined
             categoryId: categoryId !== undefined ? (categoryId || null) : product.categoryId,
             // ✅ FIX: Handle subcategoryId - set to null if empty/undefined
@@ -1226,6 +1170,19 @@ class ProductService {
             }
         });
 
+        // Replaced variants are new rows - their stock starts a fresh ledger
+        if (updatePayload.variants) {
+            for (const variant of updatedProduct.variants) {
+                await inventoryService.recordMovement({
+                    productVariantId: variant.id,
+                    stockAfter: variant.stock,
+                    reason: 'MANUAL_ADJUSTMENT',
+                    actorId,
+                    note: 'Stock set when product variants were replaced'
+                });
+            }
+        }
+
         logger.info(`Product updated: ${productId}`);
         return updatedProduct;
     }
@@ -1241,7 +1198,10 @@ class ProductService {
                         variantImages: true
                     }
                 },
-                orderItems: true
+                orderItems: true,
+                quoteItems: {
+                    select: { id: true }
+                }
             }
         });
 
@@ -1254,6 +1214,10 @@ class ProductService {
             throw new Error('Cannot delete product with existing orders');
         }
 
+        if (product.quoteItems.length > 0) {
+            throw new Error('Cannot delete product with existing quotes');
+        }
+
         // Delete variant images from S3
         for (const variant of product.variants) {
             for (const variantImage of variant.variantImages) {
@@ -1276,7 +1240,7 @@ class ProductService {
 
 
     // Add product variant - UPDATED: Only variant images
-    async addProductVariant(productId, variantData, files = []) {
+    async addProductVariant(productId, variantData, files = [], actorId = null) {
         const product = await prisma.product.findUnique({
             where: { id: productId }
         });
@@ -1375,6 +1339,14 @@ class ProductService {
                 }
             });
 
+            await inventoryService.recordMovement({
+                productVariantId: variant.id,
+                stockAfter: variant.stock,
+                reason: 'IMPORT',
+                actorId,
+                note: 'Initial stock for new variant'
+            });
+
             createdVariants.push(variant);
         }
 
@@ -1398,7 +1370,7 @@ class ProductService {
     }
 
     // Update product variant - UPDATED: Only variant images
-    async updateProductVariant(productId, variantId, variantData, files = []) {
+    async updateProductVariant(productId, variantId, variantData, files = [], actorId = null) {
         const variant = await prisma.productVariant.findUnique({
             where: { id: variantId },
             include: {
@@ -1490,6 +1462,14 @@ class ProductService {
             }
         });
 
+        await inventoryService.recordMovement({
+            productVariantId: variantId,
+            previousStock: variant.stock,
+            stockAfter: updatedVariant.stock,
+            reason: 'MANUAL_ADJUSTMENT',
+            actorId
+        });
+
         const updatedProduct = await prisma.product.findUnique({
             where: { id: productId },
             include: {
@@ -1598,7 +1578,7 @@ class ProductService {
         };
     }
 
-    async updateVariantWithCodes(productId, variantId, updates) {
+    async updateVariantWithCodes(productId, variantId, updates, actorId = null) {
         const { stock, variantCodes, color } = updates;
 
         let result = {};
@@ -1610,7 +1590,8 @@ class ProductService {
                 variantId,
                 updates.size,
                 updates.color,
-                stock
+                stock,
+                actorId
             );
         }
 
@@ -1822,7 +1803,7 @@ class ProductService {
     }
 
 
-    async updateVariantStock(productId, variantId, size, color, stock) {
+    async updateVariantStock(productId, variantId, size, color, stock, actorId = null) {
 
         if (!size) throw new Error('Size is required');
 
@@ -1838,7 +1819,7 @@ class ProductService {
 
         // CREATE
         if (!variant) {
-            return await prisma.productVariant.create({
+            const createdVariant = await prisma.productVariant.create({
                 data: {
                     productId,
                     color,
@@ -1847,16 +1828,35 @@ class ProductService {
                     sku: `${productId}-${color}-${size}`,
                 }
             });
+
+            await inventoryService.recordMovement({
+                productVariantId: createdVariant.id,
+                stockAfter: createdVariant.stock,
+                reason: 'MANUAL_ADJUSTMENT',
+                actorId
+            });
+
+            return createdVariant;
         }
 
         // UPDATE
-        return await prisma.productVariant.update({
+        const updatedVariant = await prisma.productVariant.update({
             where: { id: variant.id },
             data: {
                 stock: numericStock,
                 updatedAt: new Date()
             }
         });
+
+        await inventoryService.recordMovement({
+            productVariantId: variant.id,
+            previousStock: variant.stock,
+            stockAfter: updatedVariant.stock,
+            reason: 'MANUAL_ADJUSTMENT',
+            actorId
+        });
+
+        return updatedVariant;
     }
 
 
@@ -1924,7 +1924,8 @@ class ProductService {
         colors,
         sizes,
         page = 1,
-        limit = 12
+        limit = 12,
+        pricing = {}
     }) {
         const skip = (page - 1) * limit;
 
@@ -1990,7 +1991,9 @@ class ProductService {
                     subcategory: {
                         select: {
                             id: true,
-                            name: true
+                            name: true,
+                            wholesaleMinQuantity: true,
+                            wholesalePackSize: true
                         }
                     },
                     // REMOVED: images include
@@ -2036,7 +2039,9 @@ class ProductService {
                 totalRatings: ratings.length,
                 availableColors,
                 availableSizes,
-                totalStock
+                totalStock,
+                wholesaleRules: wholesaleRuleService.resolve(product),
+                customerPrice: priceListService.resolveBasePrice(product, pricing)
             };
         });
 
@@ -0,0 +1,347 @@
+// services/promotionService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import priceListService from './priceListService.js';
+import { PROMOTION_TYPE } from '../utils/constants.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const promotionInclude = {
+  category: { select: { id: true, name: true } },
+  subcategory: { select: { id: true, name: true } },
+  products: {
+    select: {
+      product: { select: { id: true, name: true, productCode: true } }
+    }
+  }
+};
+
+const toNumberOrNull = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Automatic promotions: no code needed, evaluated by pricingService on every
+ * cart and checkout. Promotions run in priority order, each on what is left of
+ * a line after quantity tiers and earlier promotions. Lines at a negotiated
+ * (quote) price are never promoted.
+ */
+class PromotionService {
+
+  async getActivePromotions() {
+    const now = new Date();
+
+    return prisma.promotion.findMany({
+      where: {
+        isActive: true,
+        AND: [
+          { OR: [{ startsAt: null }, { startsAt: { lte: now } }] },
+          { OR: [{ endsAt: null }, { endsAt: { gte: now } }] }
+        ]
+      },
+      include: promotionInclude,
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  matches(promotion, line) {
+    if (line.isNegotiatedPrice) {
+      return false;
+    }
+
+    if (promotion.products.length > 0) {
+      return promotion.products.some(({ product }) => product.id === line.productId);
+    }
+
+    if (promotion.subcategoryId) {
+      return line.product.subcategoryId === promotion.subcategoryId;
+    }
+
+    return Boolean(promotion.categoryId) && line.product.categoryId === promotion.categoryId;
+  }
+
+  remaining(line) {
+    return line.itemsTotal - line.promotionDiscount;
+  }
+
+  addDiscount(line, promotion, amount) {
+    const discount = roundMoney(Math.min(amount, this.remaining(line)));
+    if (discount <= 0) return;
+
+    line.promotionDiscount = roundMoney(line.promotionDiscount + discount);
+    line.promotions.push({
+      promotionId: promotion.id,
+      name: promotion.name,
+      type: promotion.type,
+      discount
+    });
+  }
+
+  // Every (buy + get) eligible units, the cheapest `get` of them are free
+  applyBuyXGetY(promotion, lines) {
+    const eligible = lines.filter(line => this.matches(promotion, line) && this.remaining(line) > 0);
+    const totalUnits = eligible.reduce((sum, line) => sum + line.quantity, 0);
+    let freeUnits = Math.floor(totalUnits / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+
+    const byUnitPrice = [...eligible].sort((a, b) => this.remaining(a) / a.quantity - this.remaining(b) / b.quantity);
+    for (const line of byUnitPrice) {
+      if (freeUnits === 0) break;
+
+      const units = Math.min(line.quantity, freeUnits);
+      this.addDiscount(line, promotion, units * this.remaining(line) / line.quantity);
+      freeUnits -= units;
+    }
+  }
+
+  // One of each product for bundlePrice; the saving is shared in proportion to each product's price
+  applyBundlePrice(promotion, lines) {
+    const bundleProducts = promotion.products.map(({ product }) => {
+      const productLines = lines.filter(line => line.productId === product.id && this.matches(promotion, line));
+      const units = productLines.reduce((sum, line) => sum + line.quantity, 0);
+      const amount = productLines.reduce((sum, line) => sum + this.remaining(line), 0);
+
+      return { lines: productLines, units, unitPrice: units > 0 ? amount / units : 0 };
+    });
+
+    const bundles = Math.min(...bundleProducts.map(entry => entry.units));
+    const fullPrice = bundleProducts.reduce((sum, entry) => sum + entry.unitPrice, 0);
+
+    if (bundles === 0 || fullPrice <= promotion.bundlePrice) {
+      return;
+    }
+
+    const savingRatio = (fullPrice - promotion.bundlePrice) / fullPrice;
+    for (const entry of bundleProducts) {
+      const productDiscount = bundles * entry.unitPrice * savingRatio;
+      for (const line of entry.lines) {
+        this.addDiscount(line, promotion, productDiscount * line.quantity / entry.units);
+      }
+    }
+  }
+
+  applyCategoryDiscount(promotion, lines) {
+    for (const line of lines) {
+      if (this.matches(promotion, line)) {
+        this.addDiscount(line, promotion, this.remaining(line) * promotion.discountPercent / 100);
+      }
+    }
+  }
+
+  /**
+   * Returns copies of the priced lines (pricingService.priceLines) with
+   * `promotionDiscount` and a per-line `promotions` list. FREE_SHIPPING is
+   * order-level; see getFreeShippingPromotion.
+   */
+  applyToLines(lines, promotions) {
+    const promotedLines = lines.map(line => ({ ...line, promotionDiscount: 0, promotions: [] }));
+
+    for (const promotion of promotions) {
+      if (promotion.type === PROMOTION_TYPE.BUY_X_GET_Y) {
+        this.applyBuyXGetY(promotion, promotedLines);
+      } else if (promotion.type === PROMOTION_TYPE.BUNDLE_PRICE) {
+        this.applyBundlePrice(promotion, promotedLines);
+      } else if (promotion.type === PROMOTION_TYPE.CATEGORY_DISCOUNT) {
+        this.applyCategoryDiscount(promotion, promotedLines);
+      }
+    }
+
+    return promotedLines;
+  }
+
+  getFreeShippingPromotion(promotions, subtotal) {
+    return promotions.find(promotion =>
+      promotion.type === PROMOTION_TYPE.FREE_SHIPPING && subtotal >= (promotion.minOrderAmount || 0)
+    ) || null;
+  }
+
+  async getPromotions({ isActive } = {}) {
+    return prisma.promotion.findMany({
+      where: isActive === undefined ? {} : { isActive },
+      include: promotionInclude,
+      orderBy: [{ priority: 'desc' }, { createdAt: 'desc' }]
+    });
+  }
+
+  async getPromotion(promotionId) {
+    const promotion = await prisma.promotion.findUnique({
+      where: { id: promotionId },
+      include: promotionInclude
+    });
+
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+
+    return promotion;
+  }
+
+  // Validates the rule fields for the promotion's type and clears the ones it doesn't use
+  async buildRule(data) {
+    const { type } = data;
+    const productIds = [...new Set(data.productIds || [])];
+    const rule = {
+      buyQuantity: null,
+      getQuantity: null,
+      bundlePrice: null,
+      discountPercent: null,
+      minOrderAmount: null,
+      categoryId: null,
+      subcategoryId: null
+    };
+
+    if (!Object.values(PROMOTION_TYPE).includes(type)) {
+      throw new Error(`Invalid promotion type. Must be one of: ${Object.values(PROMOTION_TYPE).join(', ')}`);
+    }
+
+    if (type === PROMOTION_TYPE.BUY_X_GET_Y) {
+      rule.buyQuantity = toNumberOrNull(data.buyQuantity);
+      rule.getQuantity = toNumberOrNull(data.getQuantity);
+      if (!Number.isInteger(rule.buyQuantity) || rule.buyQuantity < 1 ||
+        !Number.isInteger(rule.getQuantity) || rule.getQuantity < 1) {
+        throw new Error('Buy and get quantities must be positive integers');
+      }
+    }
+
+    if (type === PROMOTION_TYPE.BUNDLE_PRICE) {
+      rule.bundlePrice = toNumberOrNull(data.bundlePrice);
+      if (productIds.length < 2) {
+        throw new Error('A bundle needs at least two products');
+      }
+      if (!Number.isFinite(rule.bundlePrice) || rule.bundlePrice <= 0) {
+        throw new Error('Bundle price must be a positive number');
+      }
+    }
+
+    if (type === PROMOTION_TYPE.CATEGORY_DISCOUNT) {
+      rule.discountPercent = toNumberOrNull(data.discountPercent);
+      if (!Number.isFinite(rule.discountPercent) || rule.discountPercent <= 0 || rule.discountPercent > 100) {
+        throw new Error('Discount percentage must be between 0 and 100');
+      }
+    }
+
+    if (type === PROMOTION_TYPE.FREE_SHIPPING) {
+      rule.minOrderAmount = toNumberOrNull(data.minOrderAmount) ?? 0;
+      if (!Number.isFinite(rule.minOrderAmount) || rule.minOrderAmount < 0) {
+        throw new Error('Minimum order amount must be a non-negative number');
+      }
+      return { rule, productIds: [] };
+    }
+
+    // Category discounts target a category or subcategory; buy X get Y may also target products
+    if (type === PROMOTION_TYPE.BUNDLE_PRICE) {
+      return { rule, productIds: await this.assertProductsExist(productIds) };
+    }
+
+    const usesProducts = type === PROMOTION_TYPE.BUY_X_GET_Y && productIds.length > 0;
+    const targets = [usesProducts, Boolean(data.categoryId), Boolean(data.subcategoryId)].filter(Boolean).length;
+    if (targets !== 1) {
+      throw new Error(type === PROMOTION_TYPE.BUY_X_GET_Y
+        ? 'Provide exactly one of productIds, categoryId or subcategoryId'
+        : 'Provide either a categoryId or a subcategoryId');
+    }
+
+    if (data.categoryId) {
+      const category = await prisma.category.findUnique({ where: { id: data.categoryId }, select: { id: true } });
+      if (!category) throw new Error('Category not found');
+      rule.categoryId = data.categoryId;
+    } else if (data.subcategoryId) {
+      const subcategory = await prisma.subcategory.findUnique({ where: { id: data.subcategoryId }, select: { id: true } });
+      if (!subcategory) throw new Error('Subcategory not found');
+      rule.subcategoryId = data.subcategoryId;
+    }
+
+    return { rule, productIds: usesProducts ? await this.assertProductsExist(productIds) : [] };
+  }
+
+  async assertProductsExist(productIds) {
+    const count = await prisma.product.count({ where: { id: { in: productIds } } });
+
+    if (count !== productIds.length) {
+      throw new Error('Product not found');
+    }
+
+    return productIds;
+  }
+
+  async createPromotion(data) {
+    if (!data.name?.trim()) {
+      throw new Error('Promotion name is required');
+    }
+
+    const { rule, productIds } = await this.buildRule(data);
+
+    const promotion = await prisma.promotion.create({
+      data: {
+        name: data.name.trim(),
+        description: data.description?.trim() || null,
+        type: data.type,
+        isActive: data.isActive === undefined ? true : data.isActive === true || data.isActive === 'true',
+        priority: parseInt(data.priority) || 0,
+        ...priceListService.parseWindow(data),
+        ...rule,
+        products: {
+          create: productIds.map(productId => ({ productId }))
+        }
+      },
+      include: promotionInclude
+    });
+
+    logger.info(`Promotion created: ${promotion.id} (${promotion.type})`);
+    return promotion;
+  }
+
+  // The type can't change; rule fields are re-validated against the stored values
+  async updatePromotion(promotionId, data) {
+    const existing = await this.getPromotion(promotionId);
+
+    if (data.name !== undefined && !data.name?.trim()) {
+      throw new Error('Promotion name is required');
+    }
+
+    const { rule, productIds } = await this.buildRule({
+      type: existing.type,
+      buyQuantity: data.buyQuantity ?? existing.buyQuantity,
+      getQuantity: data.getQuantity ?? existing.getQuantity,
+      bundlePrice: data.bundlePrice ?? existing.bundlePrice,
+      discountPercent: data.discountPercent ?? existing.discountPercent,
+      minOrderAmount: data.minOrderAmount ?? existing.minOrderAmount,
+      ...(data.categoryId !== undefined || data.subcategoryId !== undefined || data.productIds !== undefined
+        ? { categoryId: data.categoryId, subcategoryId: data.subcategoryId, productIds: data.productIds }
+        : {
+          categoryId: existing.categoryId,
+          subcategoryId: existing.subcategoryId,
+          productIds: existing.products.map(({ product }) => product.id)
+        })
+    });
+
+    return prisma.$transaction(async (tx) => {
+      await tx.promotionProduct.deleteMany({ where: { promotionId } });
+
+      return tx.promotion.update({
+        where: { id: promotionId },
+        data: {
+          ...(data.name !== undefined && { name: data.name.trim() }),
+          ...(data.description !== undefined && { description: data.description?.trim() || null }),
+          ...(data.isActive !== undefined && { isActive: data.isActive === true || data.isActive === 'true' }),
+          ...(data.priority !== undefined && { priority: parseInt(data.priority) || 0 }),
+          ...priceListService.parseWindow(data, existing),
+          ...rule,
+          products: {
+            create: productIds.map(productId => ({ productId }))
+          }
+        },
+        include: promotionInclude
+      });
+    });
+  }
+
+  async deletePromotion(promotionId) {
+    await this.getPromotion(promotionId);
+
+    await prisma.promotion.delete({
+      where: { id: promotionId }
+    });
+
+    logger.info(`Promotion deleted: ${promotionId}`);
+  }
+}
+
+export default new PromotionService();
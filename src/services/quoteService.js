@@ -0,0 +1,452 @@
+// services/quoteService.js
+import prisma from '../config/database.js';
+import { QUOTE_VALIDITY_DAYS } from '../config/index.js';
+import emailNotificationService from './emailNotificationService.js';
+import orderService from './orderService.js';
+import pricingService from './pricingService.js';
+import creditService from './creditService.js';
+import logger from '../utils/logger.js';
+import { QUOTE_STATUS, OPEN_QUOTE_STATUSES } from '../utils/constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const QUOTE_PAYMENT_METHODS = ['COD', 'CREDIT'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const quoteInclude = {
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          productCode: true,
+          normalPrice: true,
+          wholesalePrice: true,
+          status: true
+        }
+      },
+      productVariant: {
+        select: {
+          id: true,
+          color: true,
+          size: true,
+          sku: true,
+          stock: true
+        }
+      }
+    }
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      phone: true,
+      wholesalerProfile: {
+        select: { companyName: true }
+      }
+    }
+  },
+  order: {
+    select: {
+      id: true,
+      orderNumber: true,
+      status: true,
+      paymentMethod: true,
+      totalAmount: true
+    }
+  }
+};
+
+const formatVariant = (variant) => variant ? `${variant.color} / ${variant.size}` : null;
+
+class QuoteService {
+
+  generateQuoteNumber() {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `QUO-${timestamp}-${random}`;
+  }
+
+  // Lines for the same product/variant are merged, so each quote line has a single price
+  normalizeItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('At least one quote item is required');
+    }
+
+    const lines = new Map();
+
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+
+      if (!item.productId || !Number.isInteger(quantity) || quantity < 1) {
+        throw new Error('Each quote item needs a productId and a whole-number quantity of at least 1');
+      }
+
+      const productVariantId = item.productVariantId || null;
+      const key = `${item.productId}:${productVariantId || ''}`;
+      const existing = lines.get(key);
+
+      lines.set(key, {
+        productId: item.productId,
+        productVariantId,
+        quantity: (existing?.quantity || 0) + quantity
+      });
+    }
+
+    return [...lines.values()];
+  }
+
+  async createQuote(userId, { items, note } = {}) {
+    const lines = this.normalizeItems(items);
+
+    const products = await prisma.product.findMany({
+      where: { id: { in: [...new Set(lines.map(line => line.productId))] } },
+      select: {
+        id: true,
+        name: true,
+        status: true,
+        variants: {
+          select: { id: true }
+        }
+      }
+    });
+    const productsById = new Map(products.map(product => [product.id, product]));
+
+    for (const line of lines) {
+      const product = productsById.get(line.productId);
+
+      if (!product) {
+        throw new Error(`Product not found: ${line.productId}`);
+      }
+
+      if (product.status !== 'ACTIVE') {
+        throw new Error(`${product.name} is not available for purchase`);
+      }
+
+      if (line.productVariantId && !product.variants.some(variant => variant.id === line.productVariantId)) {
+        throw new Error(`Product variant not found: ${line.productVariantId}`);
+      }
+    }
+
+    const quote = await prisma.quote.create({
+      data: {
+        quoteNumber: this.generateQuoteNumber(),
+        userId,
+        buyerNote: note?.trim() || null,
+        items: {
+          create: lines
+        }
+      },
+      include: quoteInclude
+    });
+
+    logger.info('Quote requested', { quoteId: quote.id, userId, lines: lines.length });
+
+    await emailNotificationService.sendQuoteRequested({
+      quoteNumber: quote.quoteNumber,
+      businessName: quote.user.wholesalerProfile?.companyName || quote.user.name || 'Unknown Business',
+      email: quote.user.email || 'Not provided',
+      buyerNote: quote.buyerNote,
+      totalQuantity: quote.items.reduce((sum, item) => sum + item.quantity, 0),
+      items: quote.items.map(item => ({
+        productName: item.product.name,
+        variant: formatVariant(item.productVariant),
+        quantity: item.quantity
+      }))
+    });
+
+    return quote;
+  }
+
+  // Pass `userId` to restrict the lookup to the buyer's own quotes
+  async getQuote(quoteId, { userId } = {}) {
+    const quote = await prisma.quote.findUnique({
+      where: { id: quoteId },
+      include: quoteInclude
+    });
+
+    if (!quote || (userId && quote.userId !== userId)) {
+      throw new Error('Quote not found');
+    }
+
+    return quote;
+  }
+
+  async getQuotes({ page = 1, limit = 20, status, userId, search }) {
+    const skip = (page - 1) * limit;
+    const where = {
+      ...(status && { status }),
+      ...(userId && { userId }),
+      ...(search && {
+        OR: [
+          { quoteNumber: { contains: search, mode: 'insensitive' } },
+          { user: { name: { contains: search, mode: 'insensitive' } } },
+          { user: { email: { contains: search, mode: 'insensitive' } } },
+          { user: { wholesalerProfile: { companyName: { contains: search, mode: 'insensitive' } } } }
+        ]
+      })
+    };
+
+    const [quotes, total] = await Promise.all([
+      prisma.quote.findMany({
+        where,
+        skip,
+        take: limit,
+        include: quoteInclude,
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.quote.count({ where })
+    ]);
+
+    return {
+      quotes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Admin prices every line. A quote can be re-priced until the buyer accepts it.
+  async respond(quoteId, { items, validUntil, note, adminId }) {
+    const quote = await this.getQuote(quoteId);
+
+    if (!OPEN_QUOTE_STATUSES.includes(quote.status)) {
+      throw new Error(`Cannot respond to a quote that is ${quote.status.toLowerCase()}`);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Quoted prices are required');
+    }
+
+    const prices = new Map();
+    for (const item of items) {
+      const unitPrice = Number(item.unitPrice);
+
+      if (!quote.items.some(line => line.id === item.itemId)) {
+        throw new Error(`Quote item not found: ${item.itemId}`);
+      }
+
+      if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
+        throw new Error('Unit price must be a positive number');
+      }
+
+      prices.set(item.itemId, roundMoney(unitPrice));
+    }
+
+    if (quote.items.some(line => !prices.has(line.id))) {
+      throw new Error('Every quote item needs a price');
+    }
+
+    const now = new Date();
+    const expiresAt = validUntil ? new Date(validUntil) : new Date(now.getTime() + QUOTE_VALIDITY_DAYS * DAY);
+
+    if (isNaN(expiresAt.getTime()) || expiresAt <= now) {
+      throw new Error('Valid until must be a future date');
+    }
+
+    const subtotal = roundMoney(quote.items.reduce((sum, line) => sum + prices.get(line.id) * line.quantity, 0));
+
+    const updatedQuote = await prisma.$transaction(async (tx) => {
+      for (const [itemId, quotedPrice] of prices) {
+        await tx.quoteItem.update({
+          where: { id: itemId },
+          data: { quotedPrice }
+        });
+      }
+
+      // Guard against the buyer cancelling while the admin was pricing
+      const { count } = await tx.quote.updateMany({
+        where: { id: quoteId, status: { in: OPEN_QUOTE_STATUSES } },
+        data: {
+          status: QUOTE_STATUS.QUOTED,
+          subtotal,
+          validUntil: expiresAt,
+          adminNote: note?.trim() || null,
+          respondedAt: now,
+          respondedById: adminId || null
+        }
+      });
+
+      if (count === 0) {
+        throw new Error('Quote is no longer open');
+      }
+
+      return tx.quote.findUnique({
+        where: { id: quoteId },
+        include: quoteInclude
+      });
+    });
+
+    logger.info('Quote priced', { quoteId, subtotal, validUntil: expiresAt, adminId });
+
+    await this.sendUpdateNotification(updatedQuote);
+
+    return updatedQuote;
+  }
+
+  async decline(quoteId, { reason, adminId }) {
+    const trimmedReason = reason?.trim();
+    if (!trimmedReason) {
+      throw new Error('A reason is required to decline a quote');
+    }
+
+    const quote = await this.getQuote(quoteId);
+
+    const updatedQuote = await this.closeQuote(quote, QUOTE_STATUS.DECLINED, {
+      adminNote: trimmedReason,
+      respondedAt: new Date(),
+      respondedById: adminId || null
+    });
+
+    logger.info('Quote declined', { quoteId, adminId });
+
+    await this.sendUpdateNotification(updatedQuote);
+
+    return updatedQuote;
+  }
+
+  async cancel(quoteId, userId) {
+    const quote = await this.getQuote(quoteId, { userId });
+
+    const updatedQuote = await this.closeQuote(quote, QUOTE_STATUS.CANCELLED);
+
+    logger.info('Quote cancelled by buyer', { quoteId, userId });
+
+    return updatedQuote;
+  }
+
+  async closeQuote(quote, status, data = {}) {
+    if (!OPEN_QUOTE_STATUSES.includes(quote.status)) {
+      throw new Error(`Quote is already ${quote.status.toLowerCase()}`);
+    }
+
+    const { count } = await prisma.quote.updateMany({
+      where: { id: quote.id, status: { in: OPEN_QUOTE_STATUSES } },
+      data: { status, ...data }
+    });
+
+    if (count === 0) {
+      throw new Error('Quote is no longer open');
+    }
+
+    return this.getQuote(quote.id);
+  }
+
+  // Turns a quoted RFQ into an order at the quoted unit prices. The quote is claimed in the
+  // order's transaction, so a double submit can't produce two orders.
+  async accept(quoteId, userId, orderData = {}) {
+    const quote = await this.getQuote(quoteId, { userId });
+    const { paymentMethod = 'COD' } = orderData;
+
+    if (quote.status !== QUOTE_STATUS.QUOTED) {
+      throw new Error(quote.status === QUOTE_STATUS.REQUESTED
+        ? 'Quote has not been priced yet'
+        : `Quote is already ${quote.status.toLowerCase()}`);
+    }
+
+    if (quote.validUntil && quote.validUntil < new Date()) {
+      await prisma.quote.updateMany({
+        where: { id: quote.id, status: QUOTE_STATUS.QUOTED },
+        data: { status: QUOTE_STATUS.EXPIRED }
+      });
+      throw new Error('Quote has expired');
+    }
+
+    if (!QUOTE_PAYMENT_METHODS.includes(paymentMethod)) {
+      throw new Error(`Invalid payment method. Must be one of: ${QUOTE_PAYMENT_METHODS.join(', ')}`);
+    }
+
+    const isCredit = paymentMethod === 'CREDIT';
+    const orderItems = quote.items.map(item => ({
+      productId: item.productId,
+      productVariantId: item.productVariantId,
+      quantity: item.quantity
+    }));
+    const priceOverrides = new Map(
+      quote.items.map(item => [pricingService.priceLineKey(item), item.quotedPrice])
+    );
+
+    const order = await orderService.createOfflineOrder({
+      ...orderData,
+      userId,
+      orderItems,
+      couponCode: null,
+      customImages: [],
+      isWholesaleUser: true
+    }, {
+      paymentMethod,
+      note: `Order placed from quote ${quote.quoteNumber}`,
+      priceOverrides,
+      beforeCreate: isCredit
+        ? (totals) => creditService.assertCanCharge(userId, totals.totalAmount)
+        : undefined,
+      onCreate: async (tx, createdOrder) => {
+        const { count } = await tx.quote.updateMany({
+          where: { id: quote.id, status: QUOTE_STATUS.QUOTED },
+          data: {
+            status: QUOTE_STATUS.ACCEPTED,
+            acceptedAt: new Date(),
+            orderId: createdOrder.id
+          }
+        });
+
+        if (count === 0) {
+          throw new Error('Quote is no longer available');
+        }
+
+        return isCredit ? { creditInvoice: await creditService.recordInvoice(tx, createdOrder) } : null;
+      }
+    });
+
+    logger.info('Quote accepted', { quoteId, orderId: order.id, paymentMethod });
+
+    return {
+      quote: await this.getQuote(quote.id),
+      order
+    };
+  }
+
+  async sendUpdateNotification(quote) {
+    await emailNotificationService.sendQuoteUpdate({
+      name: quote.user.name || 'Valued Customer',
+      email: quote.user.email,
+      status: quote.status,
+      quoteNumber: quote.quoteNumber,
+      adminNote: quote.adminNote,
+      validUntil: quote.validUntil,
+      subtotal: quote.subtotal,
+      items: quote.items.map(item => ({
+        productName: item.product.name,
+        variant: formatVariant(item.productVariant),
+        quantity: item.quantity,
+        unitPrice: item.quotedPrice
+      }))
+    });
+  }
+
+  async expireQuotes() {
+    const { count } = await prisma.quote.updateMany({
+      where: {
+        status: QUOTE_STATUS.QUOTED,
+        validUntil: { lt: new Date() }
+      },
+      data: { status: QUOTE_STATUS.EXPIRED }
+    });
+
+    if (count > 0) {
+      logger.info(`Expired ${count} quotes past their validity date`);
+    }
+
+    return count;
+  }
+}
+
+export default new QuoteService();
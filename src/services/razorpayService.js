@@ -111,6 +111,50 @@ class RazorpayService {
     }
   }
 
+  // Webhooks are signed with the webhook secret over the exact raw request body
+  verifyWebhookSignature(rawBody, signature) {
+    try {
+      if (!rawBody || !signature) {
+        logger.warn('Missing webhook body or signature');
+        return false;
+      }
+
+      if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+        logger.error('RAZORPAY_WEBHOOK_SECRET is not configured');
+        return false;
+      }
+
+      const expectedSignature = crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest('hex');
+
+      const expected = Buffer.from(expectedSignature);
+      const received = Buffer.from(signature);
+
+      const isValid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+      if (!isValid) {
+        logger.warn('Razorpay webhook signature verification failed');
+      }
+
+      return isValid;
+    } catch (error) {
+      logger.error('Error verifying webhook signature:', error);
+      return false;
+    }
+  }
+
+  // Payment as Razorpay recorded it - amount is in paise
+  async fetchPayment(paymentId) {
+    try {
+      return await this.razorpay.payments.fetch(paymentId);
+    } catch (error) {
+      logger.error('Error fetching payment:', { paymentId, error: error.message });
+      throw new Error('Failed to fetch payment details');
+    }
+  }
+
   async refundPayment(paymentId, amount, notes = {}) {
     try {
       const amountInPaise = Math.round(amount * 100);
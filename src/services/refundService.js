@@ -0,0 +1,457 @@
+// services/refundService.js
+import prisma from '../config/database.js';
+import emailNotificationService from './emailNotificationService.js';
+import inventoryService from './inventoryService.js';
+import orderStatusService from './orderStatusService.js';
+import razorpayService from './razorpayService.js';
+import logger from '../utils/logger.js';
+import { getNetLineAmounts } from '../utils/helpers.js';
+import { ORDER_STATUS_TRANSITIONS } from '../utils/constants.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class RefundService {
+
+  // Refunds that hold money or quantities - failed attempts don't count
+  activeRefundWhere(orderId) {
+    return {
+      orderId,
+      status: { in: ['PENDING', 'PROCESSED'] }
+    };
+  }
+
+  async getRefundedQuantities(orderId, tx = prisma) {
+    const rows = await tx.refundItem.groupBy({
+      by: ['orderItemId'],
+      where: {
+        refund: this.activeRefundWhere(orderId)
+      },
+      _sum: {
+        quantity: true
+      }
+    });
+
+    return new Map(rows.map(row => [row.orderItemId, row._sum.quantity || 0]));
+  }
+
+  async getRefundedAmount(orderId, tx = prisma) {
+    const result = await tx.refund.aggregate({
+      _sum: {
+        amount: true
+      },
+      where: this.activeRefundWhere(orderId)
+    });
+
+    return result._sum.amount || 0;
+  }
+
+  // The refunded units' share of what the line was actually charged
+  getLineRefundAmount(order, orderItem, quantity) {
+    const netAmount = getNetLineAmounts(order).get(orderItem.id) || 0;
+    return round(netAmount * quantity / orderItem.quantity);
+  }
+
+  // Never give back more than Razorpay captured, whatever the order total says
+  async getCapturedAmount(order) {
+    const payment = await razorpayService.fetchPayment(order.razorpayPaymentId);
+    return Math.min(order.totalAmount, payment.amount / 100);
+  }
+
+  // Per-item quantities that can still be refunded
+  async getRefundableItems(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: true
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const [refundedQuantities, refundedAmount] = await Promise.all([
+      this.getRefundedQuantities(orderId),
+      this.getRefundedAmount(orderId)
+    ]);
+
+    return {
+      orderId,
+      refundedAmount,
+      refundableAmount: round(order.totalAmount - refundedAmount),
+      items: order.orderItems.map(item => {
+        const refundedQuantity = refundedQuantities.get(item.id) || 0;
+        return {
+          orderItemId: item.id,
+          productId: item.productId,
+          productVariantId: item.productVariantId,
+          quantity: item.quantity,
+          refundedQuantity,
+          refundableQuantity: item.quantity - refundedQuantity
+        };
+      })
+    };
+  }
+
+  getOrderRefundStatus(order, totalRefunded) {
+    return totalRefunded >= order.totalAmount - 0.01 ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  }
+
+  // Payment always follows the refund; a cancelled order stays cancelled
+  getStatusChange(order, refundStatus) {
+    return {
+      paymentStatus: refundStatus,
+      ...(orderStatusService.canTransition(ORDER_STATUS_TRANSITIONS, order.status, refundStatus) && { status: refundStatus })
+    };
+  }
+
+  /**
+   * Refund some or all of an order.
+   * items: [{ orderItemId, quantity }] - omit to refund everything not yet refunded
+   * refundAmount: overrides the calculated amount (e.g. goodwill refunds without items)
+   */
+  async createRefund(orderId, { items, refundAmount, reason, adminId = null, restock = true }) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: true
+      }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (!['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus)) {
+      throw new Error('Cannot refund order that is not paid');
+    }
+
+    if (!order.razorpayPaymentId) {
+      throw new Error('Original payment ID not found for refund');
+    }
+
+    // The partial state is always reachable from a refundable order; REFUNDED is checked once the amount is known
+    orderStatusService.assertPaymentTransition(order.paymentStatus, 'PARTIALLY_REFUNDED');
+
+    const capturedAmount = await this.getCapturedAmount(order);
+
+    // Reserve the quantities and amount first so concurrent refunds can't overlap
+    const refund = await prisma.$transaction(async (tx) => {
+      const refundedQuantities = await this.getRefundedQuantities(orderId, tx);
+      const refundedAmount = await this.getRefundedAmount(orderId, tx);
+      const refundableAmount = round(capturedAmount - refundedAmount);
+
+      if (refundableAmount <= 0) {
+        throw new Error('Order is already refunded');
+      }
+
+      const requestedItems = items
+        ? items
+        : refundAmount
+          ? []
+          : order.orderItems.map(item => ({
+              orderItemId: item.id,
+              quantity: item.quantity - (refundedQuantities.get(item.id) || 0)
+            })).filter(item => item.quantity > 0);
+
+      const refundLines = requestedItems.map(({ orderItemId, quantity }) => {
+        const orderItem = order.orderItems.find(item => item.id === orderItemId);
+
+        if (!orderItem) {
+          throw new Error(`Order item not found: ${orderItemId}`);
+        }
+
+        const qty = parseInt(quantity);
+        const remaining = orderItem.quantity - (refundedQuantities.get(orderItemId) || 0);
+
+        if (!qty || qty <= 0) {
+          throw new Error(`Invalid refund quantity for item ${orderItemId}`);
+        }
+
+        if (qty > remaining) {
+          throw new Error(`Cannot refund ${qty} of item ${orderItemId}. Refundable quantity: ${remaining}`);
+        }
+
+        return {
+          orderItem,
+          quantity: qty,
+          amount: this.getLineRefundAmount(order, orderItem, qty)
+        };
+      });
+
+      // Refunding the last units also returns shipping and any rounding remainder
+      const refundsEverything = order.orderItems.every(item => {
+        const line = refundLines.find(l => l.orderItem.id === item.id);
+        return (refundedQuantities.get(item.id) || 0) + (line?.quantity || 0) >= item.quantity;
+      });
+
+      let amount;
+      if (refundAmount !== undefined && refundAmount !== null) {
+        amount = round(parseFloat(refundAmount));
+      } else if (refundsEverything) {
+        amount = refundableAmount;
+      } else {
+        amount = round(refundLines.reduce((sum, line) => sum + line.amount, 0));
+      }
+
+      if (!amount || amount <= 0) {
+        throw new Error('Refund amount must be greater than zero');
+      }
+
+      if (amount > refundableAmount) {
+        throw new Error(`Refund amount exceeds refundable balance of ₹${refundableAmount}`);
+      }
+
+      return await tx.refund.create({
+        data: {
+          orderId,
+          amount,
+          reason: reason || null,
+          adminId,
+          items: {
+            create: refundLines.map(line => ({
+              orderItemId: line.orderItem.id,
+              quantity: line.quantity,
+              amount: line.amount
+            }))
+          }
+        },
+        include: {
+          items: {
+            include: {
+              orderItem: true
+            }
+          }
+        }
+      });
+    }, { isolationLevel: 'Serializable' });
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await razorpayService.refundPayment(order.razorpayPaymentId, refund.amount, {
+        orderId,
+        refundId: refund.id,
+        reason: reason || ''
+      });
+    } catch (error) {
+      await prisma.refund.update({
+        where: { id: refund.id },
+        data: { status: 'FAILED' }
+      });
+      logger.error('Razorpay refund failed:', { orderId, refundId: refund.id, error: error.message });
+      throw new Error('Refund processing failed: ' + error.message);
+    }
+
+    await prisma.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: 'PROCESSED',
+        razorpayRefundId: gatewayRefund.id
+      }
+    });
+
+    // Only the refunded variants go back on the shelf
+    if (restock) {
+      for (const item of refund.items) {
+        if (item.orderItem.productVariantId) {
+          await inventoryService.adjustStock(item.orderItem.productVariantId, item.quantity, {
+            reason: 'REFUND_RESTOCK',
+            actorId: adminId,
+            orderId,
+            note: reason || null
+          });
+        }
+      }
+
+      await prisma.refund.update({
+        where: { id: refund.id },
+        data: { restocked: true }
+      });
+    }
+
+    const totalRefunded = await this.getRefundedAmount(orderId);
+    const refundStatus = this.getOrderRefundStatus(order, totalRefunded);
+    const statusChange = this.getStatusChange(order, refundStatus);
+
+    const updatedOrder = await prisma.order.update({
+      where: { id: orderId },
+      data: statusChange,
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              include: {
+                images: {
+                  take: 1,
+                  select: {
+                    imageUrl: true
+                  }
+                }
+              }
+            },
+            productVariant: {
+              select: {
+                id: true,
+                color: true,
+                size: true
+              }
+            }
+          }
+        },
+        customImages: true,
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        },
+        refunds: {
+          include: {
+            items: true
+          },
+          orderBy: {
+            createdAt: 'desc'
+          }
+        }
+      }
+    });
+
+    await orderStatusService.recordChange(order, statusChange, {
+      source: adminId ? 'ADMIN' : 'SYSTEM',
+      changedById: adminId,
+      note: `Refund ${gatewayRefund.id} of ₹${refund.amount}`
+    });
+
+    await prisma.trackingHistory.create({
+      data: {
+        orderId,
+        status: updatedOrder.status,
+        description: `${refundStatus === 'REFUNDED' ? 'Order refunded' : 'Partial refund'}. Amount: ₹${refund.amount}. Reason: ${reason || 'Not specified'}. Refund ID: ${gatewayRefund.id}`,
+        location: 'System'
+      }
+    });
+
+    try {
+      await emailNotificationService.sendOrderRefundNotification(updatedOrder, {
+        refundAmount: refund.amount,
+        reason: reason || 'Not specified',
+        razorpayRefundId: gatewayRefund.id
+      });
+    } catch (emailError) {
+      logger.error('Failed to send refund notification email:', emailError);
+    }
+
+    logger.info(`Refund ${refund.id} processed for order ${orderId}: ₹${refund.amount}, Razorpay Refund ID: ${gatewayRefund.id}`);
+
+    return {
+      ...updatedOrder,
+      refund: {
+        ...refund,
+        status: 'PROCESSED',
+        razorpayRefundId: gatewayRefund.id,
+        restocked: restock
+      },
+      razorpayRefundId: gatewayRefund.id,
+      refundAmount: refund.amount,
+      totalRefunded
+    };
+  }
+
+  // refund.processed webhook - confirms our own refunds, records ones issued from the Razorpay dashboard
+  async recordGatewayRefund(gatewayRefund) {
+    const existing = await prisma.refund.findFirst({
+      where: {
+        OR: [
+          { razorpayRefundId: gatewayRefund.id },
+          ...(gatewayRefund.notes?.refundId ? [{ id: gatewayRefund.notes.refundId }] : [])
+        ]
+      }
+    });
+
+    if (existing) {
+      if (existing.status !== 'PROCESSED' || !existing.razorpayRefundId) {
+        await prisma.refund.update({
+          where: { id: existing.id },
+          data: {
+            status: 'PROCESSED',
+            razorpayRefundId: gatewayRefund.id
+          }
+        });
+      }
+      return { orderId: existing.orderId, refundId: existing.id, alreadyRecorded: true };
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { razorpayPaymentId: gatewayRefund.payment_id }
+    });
+
+    if (!order) {
+      logger.warn(`No order found for refunded Razorpay payment ${gatewayRefund.payment_id}`);
+      return { ignored: true };
+    }
+
+    // Razorpay amounts are in paise
+    const amount = gatewayRefund.amount / 100;
+
+    const refund = await prisma.refund.create({
+      data: {
+        orderId: order.id,
+        amount,
+        reason: 'Issued from Razorpay dashboard',
+        status: 'PROCESSED',
+        razorpayRefundId: gatewayRefund.id
+      }
+    });
+
+    const totalRefunded = await this.getRefundedAmount(order.id);
+    const refundStatus = this.getOrderRefundStatus(order, totalRefunded);
+    const statusChange = this.getStatusChange(order, refundStatus);
+
+    await prisma.order.update({
+      where: { id: order.id },
+      data: statusChange
+    });
+
+    await orderStatusService.recordChange(order, statusChange, {
+      source: 'WEBHOOK',
+      note: `Razorpay refund ${gatewayRefund.id} of ₹${amount}`
+    });
+
+    await prisma.trackingHistory.create({
+      data: {
+        orderId: order.id,
+        status: statusChange.status || order.status,
+        description: `Refund of ₹${amount} processed by Razorpay (${gatewayRefund.id}).`
+      }
+    });
+
+    return { orderId: order.id, refundId: refund.id, refundAmount: amount, status: refundStatus };
+  }
+
+  async getOrderRefunds(orderId) {
+    return await prisma.refund.findMany({
+      where: { orderId },
+      include: {
+        items: {
+          include: {
+            orderItem: {
+              select: {
+                id: true,
+                productId: true,
+                productVariantId: true,
+                quantity: true,
+                price: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+  }
+}
+
+export default new RefundService();
@@ -0,0 +1,553 @@
+// services/returnService.js
+import prisma from '../config/database.js';
+import { RETURN_WINDOW_DAYS } from '../config/index.js';
+import customImageUploadService from './customImageUploadService.js';
+import emailNotificationService from './emailNotificationService.js';
+import inventoryService from './inventoryService.js';
+import refundService from './refundService.js';
+import stockReservationService from './stockReservationService.js';
+import logger from '../utils/logger.js';
+
+const RETURN_REASONS = ['WRONG_SIZE', 'DAMAGED', 'DEFECTIVE', 'NOT_AS_DESCRIBED', 'WRONG_ITEM', 'CHANGED_MIND', 'OTHER'];
+
+// Returns that are closed without taking anything back
+const INACTIVE_RETURN_STATUSES = ['REJECTED', 'CANCELLED'];
+
+const returnInclude = {
+  items: {
+    include: {
+      orderItem: {
+        include: {
+          product: {
+            select: {
+              id: true,
+              name: true,
+              images: {
+                take: 1,
+                select: {
+                  imageUrl: true
+                }
+              }
+            }
+          },
+          productVariant: {
+            select: {
+              id: true,
+              color: true,
+              size: true,
+              sku: true
+            }
+          }
+        }
+      },
+      exchangeVariant: {
+        select: {
+          id: true,
+          color: true,
+          size: true,
+          sku: true
+        }
+      }
+    }
+  },
+  order: {
+    select: {
+      id: true,
+      orderNumber: true,
+      name: true,
+      email: true,
+      phone: true,
+      city: true,
+      state: true,
+      status: true,
+      paymentMethod: true,
+      razorpayPaymentId: true
+    }
+  }
+};
+
+class ReturnService {
+
+  generateReturnNumber() {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `RMA-${timestamp}-${random}`;
+  }
+
+  // Quantity per order item already claimed by open or completed returns
+  async getReturnedQuantities(orderId) {
+    const rows = await prisma.returnItem.groupBy({
+      by: ['orderItemId'],
+      where: {
+        returnRequest: {
+          orderId,
+          status: { notIn: INACTIVE_RETURN_STATUSES }
+        }
+      },
+      _sum: {
+        quantity: true
+      }
+    });
+
+    return new Map(rows.map(row => [row.orderItemId, row._sum.quantity || 0]));
+  }
+
+  async createReturnRequest(userId, orderId, { type = 'RETURN', reason, description, items, photos = [] }) {
+    const returnType = type.toUpperCase();
+    const returnReason = reason?.toUpperCase();
+
+    if (!['RETURN', 'EXCHANGE'].includes(returnType)) {
+      throw new Error('Return type must be RETURN or EXCHANGE');
+    }
+
+    if (!RETURN_REASONS.includes(returnReason)) {
+      throw new Error(`Reason must be one of: ${RETURN_REASONS.join(', ')}`);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('At least one item is required');
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: true
+      }
+    });
+
+    if (!order || order.userId !== userId) {
+      throw new Error('Order not found');
+    }
+
+    if (!['DELIVERED', 'PARTIALLY_REFUNDED'].includes(order.status)) {
+      throw new Error('Only delivered orders can be returned');
+    }
+
+    const deliveredAt = order.deliveredAt || order.updatedAt;
+    const windowEnds = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    if (new Date() > windowEnds) {
+      throw new Error(`Return window of ${RETURN_WINDOW_DAYS} days has closed for this order`);
+    }
+
+    const [returnedQuantities, refundedQuantities] = await Promise.all([
+      this.getReturnedQuantities(orderId),
+      refundService.getRefundedQuantities(orderId)
+    ]);
+
+    const returnLines = [];
+
+    for (const { orderItemId, quantity, exchangeVariantId } of items) {
+      const orderItem = order.orderItems.find(item => item.id === orderItemId);
+
+      if (!orderItem) {
+        throw new Error(`Order item not found: ${orderItemId}`);
+      }
+
+      const qty = parseInt(quantity);
+      const remaining = orderItem.quantity
+        - (returnedQuantities.get(orderItemId) || 0)
+        - (refundedQuantities.get(orderItemId) || 0);
+
+      if (!qty || qty <= 0) {
+        throw new Error(`Invalid return quantity for item ${orderItemId}`);
+      }
+
+      if (qty > remaining) {
+        throw new Error(`Cannot return ${qty} of item ${orderItemId}. Returnable quantity: ${Math.max(0, remaining)}`);
+      }
+
+      if (returnType === 'EXCHANGE') {
+        if (!exchangeVariantId) {
+          throw new Error(`Replacement variant is required for item ${orderItemId}`);
+        }
+
+        const exchangeVariant = await prisma.productVariant.findUnique({
+          where: { id: exchangeVariantId }
+        });
+
+        // Size exchange only - the replacement must be another variant of the same product
+        if (!exchangeVariant || exchangeVariant.productId !== orderItem.productId) {
+          throw new Error(`Replacement variant is not available for item ${orderItemId}`);
+        }
+
+        if (exchangeVariant.id === orderItem.productVariantId) {
+          throw new Error('Replacement variant must differ from the ordered variant');
+        }
+
+        const available = await stockReservationService.getAvailableStock(exchangeVariant.id);
+        if (available < qty) {
+          throw new Error(`Only ${Math.max(0, available)} units of the replacement variant are available`);
+        }
+      }
+
+      returnLines.push({
+        orderItemId,
+        quantity: qty,
+        exchangeVariantId: returnType === 'EXCHANGE' ? exchangeVariantId : null
+      });
+    }
+
+    const uploadedPhotos = photos.length > 0
+      ? await customImageUploadService.uploadCustomOrderImages(photos, userId, `${orderId}/returns`)
+      : [];
+
+    const returnRequest = await prisma.returnRequest.create({
+      data: {
+        returnNumber: this.generateReturnNumber(),
+        orderId,
+        userId,
+        type: returnType,
+        reason: returnReason,
+        description: description || null,
+        photos: uploadedPhotos.map(photo => ({
+          url: photo.url,
+          key: photo.key,
+          filename: photo.filename
+        })),
+        items: {
+          create: returnLines
+        }
+      },
+      include: returnInclude
+    });
+
+    await prisma.trackingHistory.create({
+      data: {
+        orderId,
+        status: order.status,
+        description: `${returnType === 'EXCHANGE' ? 'Exchange' : 'Return'} requested (${returnRequest.returnNumber}).`,
+        location: 'System'
+      }
+    });
+
+    try {
+      await emailNotificationService.sendReturnRequestNotifications(returnRequest);
+    } catch (emailError) {
+      logger.error('Failed to send return request emails:', emailError);
+    }
+
+    logger.info(`Return request created: ${returnRequest.returnNumber} for order ${orderId}`);
+    return returnRequest;
+  }
+
+  async getUserReturns(userId, { page = 1, limit = 10, status }) {
+    const skip = (page - 1) * limit;
+    const where = {
+      userId,
+      ...(status && { status: status.toUpperCase() })
+    };
+
+    const [returns, total] = await Promise.all([
+      prisma.returnRequest.findMany({
+        where,
+        skip,
+        take: limit,
+        include: returnInclude,
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.returnRequest.count({ where })
+    ]);
+
+    return {
+      returns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getAllReturns({ page = 1, limit = 10, status, type }) {
+    const skip = (page - 1) * limit;
+    const where = {
+      ...(status && { status: status.toUpperCase() }),
+      ...(type && { type: type.toUpperCase() })
+    };
+
+    const [returns, total] = await Promise.all([
+      prisma.returnRequest.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          ...returnInclude,
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.returnRequest.count({ where })
+    ]);
+
+    return {
+      returns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getReturnById(returnId, userId = null) {
+    const returnRequest = await prisma.returnRequest.findUnique({
+      where: { id: returnId },
+      include: returnInclude
+    });
+
+    // Customers can only see their own requests
+    if (!returnRequest || (userId && returnRequest.userId !== userId)) {
+      throw new Error('Return request not found');
+    }
+
+    return returnRequest;
+  }
+
+  async updateStatus(returnRequest, data) {
+    const updated = await prisma.returnRequest.update({
+      where: { id: returnRequest.id },
+      data,
+      include: returnInclude
+    });
+
+    try {
+      await emailNotificationService.sendReturnStatusUpdate(updated);
+    } catch (emailError) {
+      logger.error('Failed to send return status email:', emailError);
+    }
+
+    return updated;
+  }
+
+  async cancelReturn(userId, returnId) {
+    const returnRequest = await this.getReturnById(returnId, userId);
+
+    if (returnRequest.status !== 'REQUESTED') {
+      throw new Error('Only pending return requests can be cancelled');
+    }
+
+    return await this.updateStatus(returnRequest, {
+      status: 'CANCELLED',
+      resolvedAt: new Date()
+    });
+  }
+
+  async approveReturn(returnId, { adminNotes, adminId = null }) {
+    const returnRequest = await this.getReturnById(returnId);
+
+    if (returnRequest.status !== 'REQUESTED') {
+      throw new Error(`Cannot approve a return that is ${returnRequest.status.toLowerCase()}`);
+    }
+
+    // Hold the replacement sizes now so they can't sell out before the return arrives
+    if (returnRequest.type === 'EXCHANGE') {
+      const held = [];
+
+      try {
+        for (const item of returnRequest.items) {
+          const available = await stockReservationService.getAvailableStock(item.exchangeVariantId);
+
+          if (available < item.quantity) {
+            throw new Error(`Replacement variant ${item.exchangeVariant?.sku || item.exchangeVariantId} is out of stock`);
+          }
+
+          await inventoryService.adjustStock(item.exchangeVariantId, -item.quantity, {
+            reason: 'EXCHANGE_RESERVE',
+            actorId: adminId,
+            orderId: returnRequest.orderId,
+            note: returnRequest.returnNumber
+          });
+          held.push(item);
+        }
+      } catch (error) {
+        await this.releaseReplacementStock(held, returnRequest, adminId);
+        throw error;
+      }
+
+      await prisma.returnItem.updateMany({
+        where: { returnRequestId: returnRequest.id },
+        data: { replacementReserved: true }
+      });
+    }
+
+    logger.info(`Return approved: ${returnRequest.returnNumber}`);
+
+    return await this.updateStatus(returnRequest, {
+      status: 'APPROVED',
+      approvedAt: new Date(),
+      ...(adminNotes && { adminNotes })
+    });
+  }
+
+  async releaseReplacementStock(items, returnRequest, adminId = null) {
+    for (const item of items) {
+      await inventoryService.adjustStock(item.exchangeVariantId, item.quantity, {
+        reason: 'EXCHANGE_RELEASE',
+        actorId: adminId,
+        orderId: returnRequest.orderId,
+        note: returnRequest.returnNumber
+      });
+    }
+  }
+
+  async rejectReturn(returnId, { rejectionReason, adminNotes }) {
+    const returnRequest = await this.getReturnById(returnId);
+
+    if (!['REQUESTED', 'APPROVED'].includes(returnRequest.status)) {
+      throw new Error(`Cannot reject a return that is ${returnRequest.status.toLowerCase()}`);
+    }
+
+    if (!rejectionReason) {
+      throw new Error('Rejection reason is required');
+    }
+
+    // An approved exchange already holds replacement stock
+    const heldItems = returnRequest.items.filter(item => item.replacementReserved);
+    if (heldItems.length > 0) {
+      await this.releaseReplacementStock(heldItems, returnRequest);
+      await prisma.returnItem.updateMany({
+        where: { returnRequestId: returnRequest.id },
+        data: { replacementReserved: false }
+      });
+    }
+
+    logger.info(`Return rejected: ${returnRequest.returnNumber}`);
+
+    return await this.updateStatus(returnRequest, {
+      status: 'REJECTED',
+      rejectionReason,
+      resolvedAt: new Date(),
+      ...(adminNotes && { adminNotes })
+    });
+  }
+
+  // Goods are back in the warehouse - restock, then refund or ship the replacement
+  async receiveReturn(returnId, { restock = true, adminNotes, adminId = null }) {
+    const returnRequest = await this.getReturnById(returnId);
+
+    if (returnRequest.status !== 'APPROVED') {
+      throw new Error('Only approved returns can be marked as received');
+    }
+
+    if (restock) {
+      for (const item of returnRequest.items) {
+        if (item.orderItem.productVariantId) {
+          await inventoryService.adjustStock(item.orderItem.productVariantId, item.quantity, {
+            reason: 'RETURN_RESTOCK',
+            actorId: adminId,
+            orderId: returnRequest.orderId,
+            note: returnRequest.returnNumber
+          });
+        }
+      }
+    }
+
+    const receivedAt = new Date();
+
+    if (returnRequest.type === 'EXCHANGE') {
+      const replacementOrder = await this.createReplacementOrder(returnRequest);
+
+      logger.info(`Exchange completed: ${returnRequest.returnNumber}, replacement order ${replacementOrder.orderNumber}`);
+
+      return await this.updateStatus(returnRequest, {
+        status: 'EXCHANGED',
+        receivedAt,
+        resolvedAt: receivedAt,
+        replacementOrderId: replacementOrder.id,
+        ...(adminNotes && { adminNotes })
+      });
+    }
+
+    // Online payments are refunded straight away; COD returns are settled offline
+    if (returnRequest.order.razorpayPaymentId) {
+      try {
+        const result = await refundService.createRefund(returnRequest.orderId, {
+          items: returnRequest.items.map(item => ({
+            orderItemId: item.orderItemId,
+            quantity: item.quantity
+          })),
+          reason: `Return ${returnRequest.returnNumber}: ${returnRequest.reason}`,
+          adminId,
+          restock: false
+        });
+
+        return await this.updateStatus(returnRequest, {
+          status: 'REFUNDED',
+          receivedAt,
+          resolvedAt: receivedAt,
+          refundId: result.refund.id,
+          ...(adminNotes && { adminNotes })
+        });
+      } catch (error) {
+        logger.error(`Refund for return ${returnRequest.returnNumber} failed:`, error.message);
+      }
+    }
+
+    return await this.updateStatus(returnRequest, {
+      status: 'RECEIVED',
+      receivedAt,
+      ...(adminNotes && { adminNotes })
+    });
+  }
+
+  // Zero-value order that ships the replacement sizes; stock was taken at approval
+  async createReplacementOrder(returnRequest) {
+    const order = await prisma.order.findUnique({
+      where: { id: returnRequest.orderId }
+    });
+
+    const replacementOrder = await prisma.order.create({
+      data: {
+        orderNumber: returnRequest.returnNumber.replace('RMA', 'EXC'),
+        userId: order.userId,
+        name: order.name,
+        email: order.email,
+        phone: order.phone,
+        address: order.address,
+        city: order.city,
+        state: order.state,
+        pincode: order.pincode,
+        status: 'CONFIRMED',
+        totalAmount: 0,
+        subtotal: 0,
+        paymentStatus: 'PAID',
+        paymentMethod: 'EXCHANGE',
+        preferredCourier: order.preferredCourier,
+        courierInstructions: `Replacement for order ${order.orderNumber} (${returnRequest.returnNumber})`,
+        orderItems: {
+          create: returnRequest.items.map(item => ({
+            productId: item.orderItem.productId,
+            productVariantId: item.exchangeVariantId,
+            quantity: item.quantity,
+            price: 0,
+            netAmount: 0
+          }))
+        },
+        trackingHistory: {
+          create: {
+            status: 'CONFIRMED',
+            description: `Replacement order created for return ${returnRequest.returnNumber}.`,
+            location: `${order.city}, ${order.state}`
+          }
+        }
+      }
+    });
+
+    return replacementOrder;
+  }
+}
+
+export default new ReturnService();
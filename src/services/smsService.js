@@ -0,0 +1,119 @@
+// services/smsService.js
+import fs from 'fs';
+import path from 'path';
+import twilio from 'twilio';
+import { NODE_ENV, SMS_PROVIDER, SMS_OUTBOX_FILE } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// A provider is any object with `async send({ to, body })`
+
+class TwilioSmsProvider {
+  constructor() {
+    this.client = null;
+  }
+
+  // Created on first use so a missing Twilio account doesn't break startup with another provider
+  getClient() {
+    if (!this.client) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  async send({ to, body }) {
+    const message = await this.getClient().messages.create({
+      body,
+      to,
+      from: process.env.TWILIO_PHONE_NUMBER
+    });
+
+    return { id: message.sid };
+  }
+}
+
+// Local development: print the message instead of sending it
+class ConsoleSmsProvider {
+  async send({ to, body }) {
+    logger.info(`SMS to ${to}: ${body}`);
+    return { id: null };
+  }
+}
+
+// Tests: append each message as a JSON line so it can be read back
+class FileSmsProvider {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  async send({ to, body }) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      JSON.stringify({ to, body, sentAt: new Date().toISOString() }) + '\n'
+    );
+    return { id: null };
+  }
+}
+
+class SmsService {
+  constructor() {
+    this.providers = {
+      twilio: () => new TwilioSmsProvider(),
+      console: () => new ConsoleSmsProvider(),
+      file: () => new FileSmsProvider(SMS_OUTBOX_FILE)
+    };
+    this.provider = null;
+  }
+
+  registerProvider(name, factory) {
+    this.providers[name] = factory;
+  }
+
+  // Swap the active provider, e.g. from a test setup
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const factory = this.providers[SMS_PROVIDER];
+
+      if (!factory) {
+        throw new Error(`Unknown SMS provider: ${SMS_PROVIDER}`);
+      }
+
+      if (NODE_ENV === 'production' && SMS_PROVIDER !== 'twilio') {
+        logger.warn(`SMS provider "${SMS_PROVIDER}" does not deliver messages`);
+      }
+
+      this.provider = factory();
+    }
+    return this.provider;
+  }
+
+  // Indian mobile numbers are stored as 10 digits; providers need E.164
+  formatPhoneNumber(phoneNumber) {
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    return `+91${digits.slice(-10)}`;
+  }
+
+  async send(phoneNumber, body) {
+    const to = this.formatPhoneNumber(phoneNumber);
+
+    try {
+      return await this.getProvider().send({ to, body });
+    } catch (error) {
+      logger.error('SMS sending failed:', {
+        to,
+        provider: SMS_PROVIDER,
+        message: error.message,
+        code: error.code,
+        moreInfo: error.moreInfo,
+        status: error.status
+      });
+      throw error;
+    }
+  }
+}
+
+export default new SmsService();
@@ -0,0 +1,134 @@
+// services/stockReservationService.js
+import prisma from '../config/database.js';
+import { STOCK_RESERVATION_MINUTES } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+class StockReservationService {
+
+  // Sum requested quantities per variant (the same variant can appear on several lines)
+  groupByVariant(orderItems = []) {
+    const quantities = new Map();
+
+    for (const item of orderItems) {
+      if (!item.productVariantId) continue;
+      const current = quantities.get(item.productVariantId) || 0;
+      quantities.set(item.productVariantId, current + Number(item.quantity));
+    }
+
+    return quantities;
+  }
+
+  // Variant stock minus what other checkouts currently hold
+  async getAvailableStock(productVariantId, { excludeRazorpayOrderId = null, tx = prisma } = {}) {
+    const variant = await tx.productVariant.findUnique({
+      where: { id: productVariantId },
+      select: { stock: true }
+    });
+
+    if (!variant) {
+      throw new Error(`Product variant not found: ${productVariantId}`);
+    }
+
+    const reserved = await tx.stockReservation.aggregate({
+      _sum: {
+        quantity: true
+      },
+      where: {
+        productVariantId,
+        status: 'ACTIVE',
+        expiresAt: { gt: new Date() },
+        ...(excludeRazorpayOrderId && { razorpayOrderId: { not: excludeRazorpayOrderId } })
+      }
+    });
+
+    return variant.stock - (reserved._sum.quantity || 0);
+  }
+
+  async reserve(razorpayOrderId, orderItems, userId = null) {
+    const quantities = this.groupByVariant(orderItems);
+    const expiresAt = new Date(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000);
+
+    if (quantities.size === 0) {
+      return { reservations: [], expiresAt };
+    }
+
+    const reservations = await prisma.$transaction(async (tx) => {
+      const created = [];
+
+      for (const [productVariantId, quantity] of quantities) {
+        const available = await this.getAvailableStock(productVariantId, { tx });
+
+        if (available < quantity) {
+          throw new Error(`Insufficient stock for variant ${productVariantId}. Available: ${Math.max(0, available)}, Requested: ${quantity}`);
+        }
+
+        created.push(await tx.stockReservation.create({
+          data: {
+            razorpayOrderId,
+            productVariantId,
+            userId,
+            quantity,
+            expiresAt
+          }
+        }));
+      }
+
+      return created;
+    }, { isolationLevel: 'Serializable' });
+
+    logger.info(`Stock reserved for Razorpay order ${razorpayOrderId} until ${expiresAt.toISOString()}`, {
+      variants: reservations.length
+    });
+
+    return { reservations, expiresAt };
+  }
+
+  // Payment verified - the order itself decrements stock
+  async convert(razorpayOrderId) {
+    const result = await prisma.stockReservation.updateMany({
+      where: {
+        razorpayOrderId,
+        status: { in: ['ACTIVE', 'EXPIRED'] }
+      },
+      data: { status: 'CONVERTED' }
+    });
+
+    return result.count;
+  }
+
+  async release(razorpayOrderId, userId = null) {
+    const result = await prisma.stockReservation.updateMany({
+      where: {
+        razorpayOrderId,
+        status: 'ACTIVE',
+        ...(userId && { userId })
+      },
+      data: { status: 'RELEASED' }
+    });
+
+    if (result.count > 0) {
+      logger.info(`Stock reservation released for Razorpay order ${razorpayOrderId}`);
+    }
+
+    return result.count;
+  }
+
+  // Housekeeping only - expired rows are already ignored by getAvailableStock
+  async releaseExpiredReservations() {
+    const result = await prisma.stockReservation.updateMany({
+      where: {
+        status: 'ACTIVE',
+        expiresAt: { lte: new Date() }
+      },
+      data: { status: 'EXPIRED' }
+    });
+
+    if (result.count > 0) {
+      logger.info(`Expired ${result.count} stock reservations`);
+    }
+
+    return result.count;
+  }
+}
+
+export default new StockReservationService();
@@ -114,7 +114,16 @@ class SubcategoryService {
   // Create subcategory
 
 async createSubcategory(subcategoryData, file = null, sizeFile = null) {
-  const { name, description, categoryId, isActive = true } = subcategoryData;
+  const {
+    name,
+    description,
+    categoryId,
+    isActive = true,
+    hsnCode,
+    gstRate,
+    wholesaleMinQuantity,
+    wholesalePackSize
+  } = subcategoryData;
 
   // Check if category exists
   const category = await prisma.category.findUnique({
@@ -186,6 +195,10 @@ async createSubcategory(subcategoryData, file = null, sizeFile = null) {
       imagePublicId,
       sizeImage: sizeImageUrl,
       sizeImagePublicId,
+      hsnCode: hsnCode || null,
+      gstRate: gstRate !== undefined && gstRate !== '' ? parseFloat(gstRate) : null,
+      wholesaleMinQuantity: wholesaleMinQuantity ? parseInt(wholesaleMinQuantity) : null,
+      wholesalePackSize: wholesalePackSize ? parseInt(wholesalePackSize) : null,
       isActive,
       categoryId
     },
@@ -211,7 +224,16 @@ async updateSubcategory(subcategoryId, updateData, file = null, sizeFile = null)
     throw new Error('Subcategory not found');
   }
 
-  const { name, description, categoryId, isActive } = updateData;
+  const {
+    name,
+    description,
+    categoryId,
+    isActive,
+    hsnCode,
+    gstRate,
+    wholesaleMinQuantity,
+    wholesalePackSize
+  } = updateData;
   const isActiveBoolean = isActive === 'true' || isActive === true;
 
   // Check category
@@ -290,6 +312,10 @@ async updateSubcategory(subcategoryId, updateData, file = null, sizeFile = null)
       imagePublicId,
       sizeImage: sizeImageUrl,
       sizeImagePublicId,
+      ...(hsnCode !== undefined && { hsnCode: hsnCode || null }),
+      ...(gstRate !== undefined && { gstRate: gstRate !== '' && gstRate !== null ? parseFloat(gstRate) : null }),
+      ...(wholesaleMinQuantity !== undefined && { wholesaleMinQuantity: wholesaleMinQuantity ? parseInt(wholesaleMinQuantity) : null }),
+      ...(wholesalePackSize !== undefined && { wholesalePackSize: wholesalePackSize ? parseInt(wholesalePackSize) : null }),
       categoryId,
       isActive: isActiveBoolean,
       updatedAt: new Date()
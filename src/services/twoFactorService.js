@@ -0,0 +1,239 @@
+// services/twoFactorService.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+import prisma from '../config/database.js';
+import { TWO_FACTOR_ISSUER, TWO_FACTOR_REQUIRED_FOR_ADMINS } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+
+// Accept the previous and next 30s code to allow for clock drift
+authenticator.options = { window: 1 };
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+class TwoFactorService {
+
+  async getUser(userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.role !== 'ADMIN') {
+      throw new Error('Two-factor authentication is only available for admin accounts');
+    }
+
+    return user;
+  }
+
+  generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(4).toString('hex');
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    return { codes, hashes: codes.map(hashBackupCode) };
+  }
+
+  // Step 1: store a fresh secret and hand back what the authenticator app needs to scan
+  async startEnrollment(userId) {
+    const user = await this.getUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = authenticator.generateSecret();
+    const otpauthUrl = authenticator.keyuri(user.email, TWO_FACTOR_ISSUER, secret);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: secret,
+        twoFactorLastStep: null,
+        twoFactorFailedAttempts: 0
+      }
+    });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  // Step 2: the first valid code proves the app is set up; backup codes are only shown now
+  async confirmEnrollment(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    const step = this.checkTotp(user, code);
+    if (step === null) {
+      throw new Error('Invalid authentication code');
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorBackupCodes: hashes,
+        twoFactorLastStep: step,
+        twoFactorFailedAttempts: 0
+      }
+    });
+
+    logger.info('Two-factor authentication enabled', { userId: user.id });
+    return { backupCodes: codes };
+  }
+
+  async disable(userId, { password, code }) {
+    const user = await this.getUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (TWO_FACTOR_REQUIRED_FOR_ADMINS) {
+      throw new Error('Two-factor authentication is required for admin accounts');
+    }
+
+    if (!password || !user.password || !(await bcrypt.compare(password, user.password))) {
+      throw new Error('Invalid password');
+    }
+
+    await this.verifyCode(user, code);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: [],
+        twoFactorLastStep: null,
+        twoFactorFailedAttempts: 0
+      }
+    });
+
+    logger.info('Two-factor authentication disabled', { userId: user.id });
+    return true;
+  }
+
+  async regenerateBackupCodes(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    await this.verifyCode(user, code);
+
+    const { codes, hashes } = this.generateBackupCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorBackupCodes: hashes }
+    });
+
+    return { backupCodes: codes };
+  }
+
+  // Returns the accepted time step, or null when the code is wrong or was already used
+  checkTotp(user, code) {
+    const token = String(code || '').replace(/\s/g, '');
+
+    if (!/^\d{6}$/.test(token)) {
+      return null;
+    }
+
+    const delta = authenticator.checkDelta(token, user.twoFactorSecret);
+    if (delta === null) {
+      return null;
+    }
+
+    const step = Math.floor(Date.now() / 1000 / 30) + delta;
+    if (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep) {
+      return null;
+    }
+
+    return step;
+  }
+
+  // Accepts an authenticator code or an unused backup code; throws when neither matches
+  async verifyCode(user, code) {
+    if (user.twoFactorFailedAttempts >= MAX_FAILED_ATTEMPTS) {
+      throw new Error('Too many failed attempts. Please login again.');
+    }
+
+    const step = this.checkTotp(user, code);
+
+    if (step !== null) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorLastStep: step, twoFactorFailedAttempts: 0 }
+      });
+      return { method: 'totp' };
+    }
+
+    const backupHash = hashBackupCode(String(code || ''));
+
+    if (user.twoFactorBackupCodes.includes(backupHash)) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorBackupCodes: user.twoFactorBackupCodes.filter(hash => hash !== backupHash),
+          twoFactorFailedAttempts: 0
+        }
+      });
+
+      logger.info('Two-factor backup code used', {
+        userId: user.id,
+        remaining: user.twoFactorBackupCodes.length - 1
+      });
+      return { method: 'backup_code' };
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorFailedAttempts: { increment: 1 } }
+    });
+
+    throw new Error('Invalid authentication code');
+  }
+
+  async resetFailedAttempts(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorFailedAttempts: 0 }
+    });
+  }
+
+  async getStatus(userId) {
+    const user = await this.getUser(userId);
+
+    return {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      backupCodesRemaining: user.twoFactorBackupCodes.length,
+      required: TWO_FACTOR_REQUIRED_FOR_ADMINS
+    };
+  }
+}
+
+export default new TwoFactorService();
@@ -2,6 +2,17 @@
 import prisma from '../config/database.js';
 import s3UploadService from './s3UploadService.js';
 import logger from '../utils/logger.js';
+import { isValidGstin, normalizeGstin } from '../utils/helpers.js';
+
+const WHOLESALER_PROFILE_FIELDS = [
+  'businessType',
+  'companyName',
+  'gstNumber',
+  'websiteUrl',
+  'instagramUrl',
+  'city',
+  'state'
+];
 
 class UserService {
   // Get all users with pagination and filtering
@@ -153,7 +164,18 @@ class UserService {
   
   // Update user profile
   async updateProfile(userId, updateData) {
-    const { name, phone, ...otherData } = updateData;
+    // emailVerified is only ever set through the verification link
+    const { name, phone, emailVerified: _, emailVerificationSentAt: __, ...otherData } = updateData;
+
+    // A changed address has to be verified again
+    let resetEmailVerification = false;
+    if (otherData.email) {
+      const currentUser = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { email: true }
+      });
+      resetEmailVerification = currentUser?.email !== otherData.email;
+    }
     
     // Check if phone is being updated and if it's already taken
     if (phone) {
@@ -175,11 +197,13 @@ class UserService {
         name,
         phone,
         ...otherData,
+        ...(resetEmailVerification && { emailVerified: null }),
         updatedAt: new Date()
       },
       select: {
         id: true,
         email: true,
+        emailVerified: true,
         name: true,
         role: true,
         avatar: true,
@@ -207,8 +231,21 @@ class UserService {
     if (!user || user.role !== 'WHOLESALER') {
       throw new Error('User is not a wholesaler');
     }
+
+    // KYC fields are only changed through wholesalerKycService
+    const profileFields = Object.fromEntries(
+      Object.entries(updateData).filter(([key]) => WHOLESALER_PROFILE_FIELDS.includes(key))
+    );
+
+    if (profileFields.gstNumber) {
+      if (!isValidGstin(profileFields.gstNumber)) {
+        throw new Error('Invalid GST number');
+      }
+      profileFields.gstNumber = normalizeGstin(profileFields.gstNumber);
+    }
     
     let shopPhotoUrls = [];
+    const replacePhotos = updateData.replaceShopPhotos === true || updateData.replaceShopPhotos === 'true';
     
     // Upload new shop photos if provided
     if (files && files.length > 0) {
@@ -228,13 +265,13 @@ class UserService {
     
     // Prepare update data
     const profileUpdateData = {
-      ...updateData,
+      ...profileFields,
       updatedAt: new Date()
     };
     
-    // If new photos were uploaded, add them to existing photos
+    // New photos are added to the existing ones, or replace them when re-uploading
     if (shopPhotoUrls.length > 0) {
-      const existingPhotos = user.wholesalerProfile.shopPhotos || [];
+      const existingPhotos = replacePhotos ? [] : (user.wholesalerProfile.shopPhotos || []);
       profileUpdateData.shopPhotos = {
         set: [...existingPhotos, ...shopPhotoUrls]
       };
@@ -257,6 +294,17 @@ class UserService {
         }
       }
     });
+
+    // Clean up the photos that were replaced
+    if (replacePhotos && shopPhotoUrls.length > 0) {
+      for (const photoUrl of user.wholesalerProfile.shopPhotos || []) {
+        try {
+          await s3UploadService.deleteImage(photoUrl.split('/').slice(3).join('/'));
+        } catch (error) {
+          logger.error('Failed to delete replaced shop photo from S3:', error);
+        }
+      }
+    }
     
     logger.log(`Wholesaler profile updated: ${userId}`);
     return updatedProfile;
@@ -272,6 +320,10 @@ class UserService {
     if (!user) {
       throw new Error('User not found');
     }
+
+    if (user.wholesalerProfile?.creditBalance > 0) {
+      throw new Error('Cannot delete a wholesaler with an outstanding credit balance');
+    }
     
     // Use transaction to ensure all related data is deleted
     await prisma.$transaction(async (tx) => {
@@ -0,0 +1,99 @@
+// services/wholesaleRuleService.js
+import prisma from '../config/database.js';
+
+const ruleSelect = {
+  id: true,
+  name: true,
+  wholesaleMinQuantity: true,
+  wholesalePackSize: true,
+  subcategory: {
+    select: {
+      wholesaleMinQuantity: true,
+      wholesalePackSize: true
+    }
+  }
+};
+
+/**
+ * Minimum order quantities and pack multiples for wholesale orders.
+ * A product's own values win over its subcategory's; quantities are counted
+ * per product across all variants, since packs are usually mixed sizes.
+ */
+class WholesaleRuleService {
+
+  // `product` needs the rule fields and, optionally, `subcategory` with the same fields
+  resolve(product) {
+    return {
+      minQuantity: product.wholesaleMinQuantity ?? product.subcategory?.wholesaleMinQuantity ?? 1,
+      packSize: product.wholesalePackSize ?? product.subcategory?.wholesalePackSize ?? 1
+    };
+  }
+
+  async getRules(productIds) {
+    const products = await prisma.product.findMany({
+      where: { id: { in: [...new Set(productIds)] } },
+      select: ruleSelect
+    });
+
+    return new Map(products.map(product => [product.id, {
+      productName: product.name,
+      ...this.resolve(product)
+    }]));
+  }
+
+  // items: [{ productId, quantity }]
+  async checkItems(items) {
+    const quantities = new Map();
+    for (const item of items) {
+      quantities.set(item.productId, (quantities.get(item.productId) || 0) + Number(item.quantity || 0));
+    }
+
+    const rules = await this.getRules([...quantities.keys()]);
+    const violations = [];
+
+    for (const [productId, quantity] of quantities) {
+      const rule = rules.get(productId);
+      if (!rule) continue;
+
+      if (quantity < rule.minQuantity) {
+        violations.push({
+          productId,
+          productName: rule.productName,
+          type: 'MIN_QUANTITY',
+          quantity,
+          minQuantity: rule.minQuantity,
+          packSize: rule.packSize,
+          message: `${rule.productName} requires a minimum wholesale quantity of ${rule.minQuantity} (you have ${quantity})`
+        });
+      } else if (quantity % rule.packSize !== 0) {
+        violations.push({
+          productId,
+          productName: rule.productName,
+          type: 'PACK_SIZE',
+          quantity,
+          minQuantity: rule.minQuantity,
+          packSize: rule.packSize,
+          message: `${rule.productName} is sold in packs of ${rule.packSize} (you have ${quantity})`
+        });
+      }
+    }
+
+    return {
+      valid: violations.length === 0,
+      rules,
+      violations
+    };
+  }
+
+  async assertItems(items) {
+    const { violations } = await this.checkItems(items);
+
+    if (violations.length > 0) {
+      const error = new Error(violations.map(violation => violation.message).join('; '));
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+export default new WholesaleRuleService();
@@ -0,0 +1,278 @@
+// services/wholesalerKycService.js
+import jwt from 'jsonwebtoken';
+import prisma from '../config/database.js';
+import { JWT_SECRET, KYC_RESUBMISSION_DAYS } from '../config/index.js';
+import emailNotificationService from './emailNotificationService.js';
+import userService from './userService.js';
+import logger from '../utils/logger.js';
+import { KYC_STATUS, KYC_STATUS_TRANSITIONS } from '../utils/constants.js';
+
+// Everything but an approval has to tell the wholesaler why
+const REASON_REQUIRED = [KYC_STATUS.NEEDS_INFO, KYC_STATUS.REJECTED, KYC_STATUS.SUSPENDED];
+
+// Statuses that end the wholesaler's access straight away
+const REVOKES_ACCESS = [KYC_STATUS.REJECTED, KYC_STATUS.SUSPENDED];
+
+const wholesalerInclude = {
+  wholesalerProfile: true
+};
+
+class WholesalerKycService {
+
+  async getWholesaler(wholesalerId) {
+    const user = await prisma.user.findUnique({
+      where: { id: wholesalerId },
+      include: wholesalerInclude
+    });
+
+    if (!user || user.role !== 'WHOLESALER') {
+      throw new Error('Wholesaler not found');
+    }
+
+    if (!user.wholesalerProfile) {
+      throw new Error('Wholesaler profile not found');
+    }
+
+    return user;
+  }
+
+  canTransition(from, to) {
+    return (KYC_STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Admin review decision. `isApproved` on the user is kept in sync since login still checks it.
+  async updateStatus(wholesalerId, status, { reason, adminId } = {}) {
+    if (!Object.values(KYC_STATUS).includes(status) || status === KYC_STATUS.PENDING) {
+      throw new Error(`Invalid KYC status. Must be one of: ${Object.keys(KYC_STATUS_TRANSITIONS).filter(s => s !== KYC_STATUS.PENDING).join(', ')}`);
+    }
+
+    const trimmedReason = reason?.trim() || null;
+    if (REASON_REQUIRED.includes(status) && !trimmedReason) {
+      throw new Error('A reason is required for this status');
+    }
+
+    const user = await this.getWholesaler(wholesalerId);
+    const currentStatus = user.wholesalerProfile.kycStatus;
+
+    if (currentStatus === status) {
+      throw new Error(`Wholesaler is already ${status.toLowerCase().replace('_', ' ')}`);
+    }
+
+    if (!this.canTransition(currentStatus, status)) {
+      throw new Error(`Cannot change KYC status from ${currentStatus} to ${status}`);
+    }
+
+    const now = new Date();
+    const isApproved = status === KYC_STATUS.APPROVED;
+
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      await tx.wholesalerProfile.update({
+        where: { userId: wholesalerId },
+        data: {
+          kycStatus: status,
+          kycReason: isApproved ? null : trimmedReason,
+          kycReviewedAt: now,
+          kycReviewedBy: adminId || null
+        }
+      });
+
+      if (REVOKES_ACCESS.includes(status)) {
+        await tx.session.updateMany({
+          where: { userId: wholesalerId, revokedAt: null },
+          data: { revokedAt: now }
+        });
+      }
+
+      return tx.user.update({
+        where: { id: wholesalerId },
+        data: {
+          isApproved,
+          // Keep the original approval date when a suspended account is reinstated
+          ...(isApproved && !user.approvedAt && { approvedAt: now }),
+          ...(isApproved && { approvedBy: adminId || null })
+        },
+        include: wholesalerInclude
+      });
+    });
+
+    logger.info('Wholesaler KYC status changed', {
+      wholesalerId,
+      from: currentStatus,
+      to: status,
+      adminId
+    });
+
+    await this.sendStatusNotification(updatedUser);
+
+    return updatedUser;
+  }
+
+  approve(wholesalerId, adminId) {
+    return this.updateStatus(wholesalerId, KYC_STATUS.APPROVED, { adminId });
+  }
+
+  // Binds the link to this particular review, so it stops working once re-submitted or reviewed again
+  createResubmissionToken(user) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        reviewedAt: user.wholesalerProfile.kycReviewedAt?.getTime(),
+        purpose: 'kyc-resubmission'
+      },
+      JWT_SECRET,
+      { expiresIn: `${KYC_RESUBMISSION_DAYS}d` }
+    );
+  }
+
+  async sendStatusNotification(user) {
+    const profile = user.wholesalerProfile;
+
+    try {
+      if (profile.kycStatus === KYC_STATUS.APPROVED) {
+        await emailNotificationService.sendWholesalerApprovalConfirmation({
+          name: user.name || 'Valued Customer',
+          email: user.email,
+          phone: user.phone || 'Not provided',
+          approvalDate: user.approvedAt || new Date()
+        });
+        return;
+      }
+
+      const needsInfo = profile.kycStatus === KYC_STATUS.NEEDS_INFO;
+
+      await emailNotificationService.sendWholesalerKycStatusUpdate({
+        name: user.name || 'Valued Customer',
+        email: user.email,
+        status: profile.kycStatus,
+        reason: profile.kycReason,
+        ...(needsInfo && {
+          resubmitUrl: `${process.env.FRONTEND_URL}/wholesaler/resubmit?token=${this.createResubmissionToken(user)}`,
+          resubmitDays: KYC_RESUBMISSION_DAYS
+        })
+      });
+    } catch (error) {
+      logger.error('Failed to send KYC status notification', {
+        wholesalerId: user.id,
+        status: profile.kycStatus,
+        error: error.message
+      });
+    }
+  }
+
+  // Wholesalers asked for more information can't log in yet, so they come back through the emailed link
+  async resubmit(token, updateData = {}, files = []) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired re-submission link');
+    }
+
+    if (decoded.purpose !== 'kyc-resubmission') {
+      throw new Error('Invalid or expired re-submission link');
+    }
+
+    const user = await this.getWholesaler(decoded.userId);
+    const profile = user.wholesalerProfile;
+
+    if (profile.kycStatus !== KYC_STATUS.NEEDS_INFO || profile.kycReviewedAt?.getTime() !== decoded.reviewedAt) {
+      throw new Error('Invalid or expired re-submission link');
+    }
+
+    const hasChanges = files.length > 0 ||
+      Object.entries(updateData).some(([key, value]) => key !== 'replaceShopPhotos' && value);
+    if (!hasChanges) {
+      throw new Error('Please update your details or upload new shop photos');
+    }
+
+    await userService.updateWholesalerProfile(user.id, updateData, files);
+
+    const updatedProfile = await prisma.wholesalerProfile.update({
+      where: { userId: user.id },
+      data: {
+        kycStatus: KYC_STATUS.PENDING,
+        kycSubmittedAt: new Date()
+      }
+    });
+
+    logger.info('Wholesaler KYC re-submitted', { wholesalerId: user.id });
+
+    await emailNotificationService.sendWholesalerKycResubmitted({
+      businessName: updatedProfile.companyName || user.name || 'Unknown Business',
+      contactPerson: user.name || 'Unknown',
+      email: user.email || 'Not provided',
+      phone: user.phone || 'Not provided',
+      gstNumber: updatedProfile.gstNumber || 'Not provided',
+      photoCount: updatedProfile.shopPhotos.length,
+      previousReason: profile.kycReason
+    });
+
+    return updatedProfile;
+  }
+
+  async getWholesalers({ page = 1, limit = 20, kycStatus, search }) {
+    const skip = (page - 1) * limit;
+    const where = {
+      role: 'WHOLESALER',
+      ...(kycStatus && { wholesalerProfile: { kycStatus } }),
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { email: { contains: search, mode: 'insensitive' } },
+          { phone: { contains: search } },
+          { wholesalerProfile: { companyName: { contains: search, mode: 'insensitive' } } },
+          { wholesalerProfile: { gstNumber: { contains: search, mode: 'insensitive' } } }
+        ]
+      })
+    };
+
+    const [wholesalers, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        skip,
+        take: limit,
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          phone: true,
+          isActive: true,
+          isApproved: true,
+          approvedAt: true,
+          createdAt: true,
+          wholesalerProfile: true
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    return {
+      wholesalers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Applications waiting on an admin decision
+  async getPendingWholesalers() {
+    return await prisma.user.findMany({
+      where: {
+        role: 'WHOLESALER',
+        wholesalerProfile: { kycStatus: KYC_STATUS.PENDING }
+      },
+      include: wholesalerInclude,
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+  }
+}
+
+export default new WholesalerKycService();
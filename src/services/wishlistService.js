@@ -0,0 +1,192 @@
+// services/wishlistService.js
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import cartService from './cartService.js';
+
+const wishlistInclude = {
+  product: {
+    select: {
+      id: true,
+      name: true,
+      productCode: true,
+      normalPrice: true,
+      offerPrice: true,
+      wholesalePrice: true,
+      status: true,
+      images: {
+        take: 1,
+        select: {
+          imageUrl: true
+        }
+      },
+      variants: {
+        select: {
+          stock: true
+        }
+      }
+    }
+  },
+  productVariant: {
+    select: {
+      id: true,
+      color: true,
+      size: true,
+      stock: true
+    }
+  }
+};
+
+class WishlistService {
+
+  // Same price basis as order totals: wholesale price for wholesalers, offer price otherwise
+  getEffectivePrice(product, isWholesaleUser = false) {
+    if (isWholesaleUser && product.wholesalePrice !== null && product.wholesalePrice !== undefined) {
+      return Number(product.wholesalePrice);
+    }
+
+    return Number(product.offerPrice || product.normalPrice);
+  }
+
+  // Variant stock when a variant was saved, otherwise stock across all variants
+  getAvailableStock(product, variant) {
+    if (variant) {
+      return variant.stock;
+    }
+
+    return (product.variants || []).reduce((sum, v) => sum + v.stock, 0);
+  }
+
+  withFlags(item, isWholesaleUser) {
+    const currentPrice = this.getEffectivePrice(item.product, isWholesaleUser);
+    const availableStock = this.getAvailableStock(item.product, item.productVariant);
+    const inStock = item.product.status === 'ACTIVE' && availableStock > 0;
+
+    const { variants, ...product } = item.product;
+
+    return {
+      ...item,
+      product,
+      currentPrice,
+      availableStock,
+      inStock,
+      priceDropped: currentPrice < item.priceWhenAdded,
+      priceDropAmount: Math.max(0, parseFloat((item.priceWhenAdded - currentPrice).toFixed(2))),
+      backInStock: item.wasOutOfStock && inStock
+    };
+  }
+
+  async getWishlist(userId, isWholesaleUser = false) {
+    const items = await prisma.wishlistItem.findMany({
+      where: { userId },
+      include: wishlistInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const itemsWithFlags = items.map(item => this.withFlags(item, isWholesaleUser));
+
+    return {
+      items: itemsWithFlags,
+      total: itemsWithFlags.length,
+      priceDropCount: itemsWithFlags.filter(item => item.priceDropped).length,
+      backInStockCount: itemsWithFlags.filter(item => item.backInStock).length
+    };
+  }
+
+  async addItem(userId, { productId, productVariantId = null }, isWholesaleUser = false) {
+    if (!productId) {
+      throw new Error('Product ID is required');
+    }
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: {
+        id: true,
+        normalPrice: true,
+        offerPrice: true,
+        wholesalePrice: true,
+        status: true,
+        variants: {
+          select: {
+            id: true,
+            stock: true
+          }
+        }
+      }
+    });
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    let variant = null;
+    if (productVariantId) {
+      variant = product.variants.find(v => v.id === productVariantId);
+      if (!variant) {
+        throw new Error('Product variant not found');
+      }
+    }
+
+    const existingItem = await prisma.wishlistItem.findFirst({
+      where: { userId, productId, productVariantId }
+    });
+
+    if (existingItem) {
+      throw new Error('Item is already in your wishlist');
+    }
+
+    const item = await prisma.wishlistItem.create({
+      data: {
+        userId,
+        productId,
+        productVariantId,
+        priceWhenAdded: this.getEffectivePrice(product, isWholesaleUser),
+        wasOutOfStock: this.getAvailableStock(product, variant) <= 0
+      },
+      include: wishlistInclude
+    });
+
+    logger.info(`Wishlist item added: user ${userId}, product ${productId}`);
+    return this.withFlags(item, isWholesaleUser);
+  }
+
+  async findItem(userId, itemId) {
+    const item = await prisma.wishlistItem.findUnique({
+      where: { id: itemId }
+    });
+
+    if (!item || item.userId !== userId) {
+      throw new Error('Wishlist item not found');
+    }
+
+    return item;
+  }
+
+  async removeItem(userId, itemId) {
+    const item = await this.findItem(userId, itemId);
+
+    await prisma.wishlistItem.delete({
+      where: { id: item.id }
+    });
+  }
+
+  // The cart prices the item for the owner, so wholesalers keep their wholesale price
+  async moveToCart({ userId, isWholesaleUser = false }, itemId, quantity = 1) {
+    const item = await this.findItem(userId, itemId);
+
+    // Adding to cart validates status and stock before the wishlist entry is dropped
+    const cart = await cartService.addItem({ userId, isWholesaleUser }, {
+      productId: item.productId,
+      productVariantId: item.productVariantId,
+      quantity
+    });
+
+    await prisma.wishlistItem.delete({
+      where: { id: item.id }
+    });
+
+    logger.info(`Wishlist item moved to cart: user ${userId}, item ${itemId}`);
+    return cart;
+  }
+}
+
+export default new WishlistService();
@@ -5,6 +5,7 @@ export const ORDER_STATUS = {
   SHIPPED: 'SHIPPED',
   DELIVERED: 'DELIVERED',
   CANCELLED: 'CANCELLED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
   REFUNDED: 'REFUNDED'
 };
 
@@ -12,16 +13,154 @@ export const PAYMENT_STATUS = {
   PENDING: 'PENDING',
   PAID: 'PAID',
   FAILED: 'FAILED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
   REFUNDED: 'REFUNDED'
 };
 
+// Allowed next states. Staying in the same state is always allowed (no-op).
+export const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PROCESSING', 'SHIPPED', 'CANCELLED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
+  PROCESSING: ['SHIPPED', 'CANCELLED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
+  SHIPPED: ['DELIVERED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
+  DELIVERED: ['PARTIALLY_REFUNDED', 'REFUNDED'],
+  // A partial refund can happen before fulfilment finishes
+  PARTIALLY_REFUNDED: ['PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'],
+  CANCELLED: [],
+  REFUNDED: []
+};
+
+export const PAYMENT_STATUS_TRANSITIONS = {
+  PENDING: ['PAID', 'FAILED'],
+  FAILED: ['PENDING', 'PAID'],
+  PAID: ['PARTIALLY_REFUNDED', 'REFUNDED'],
+  PARTIALLY_REFUNDED: ['REFUNDED'],
+  REFUNDED: []
+};
+
 export const USER_ROLES = {
   ADMIN: 'ADMIN',
-  CUSTOMER: 'CUSTOMER'
+  CUSTOMER: 'CUSTOMER',
+  WHOLESALER: 'WHOLESALER',
+  ORDER_MANAGER: 'ORDER_MANAGER',
+  CATALOG_EDITOR: 'CATALOG_EDITOR',
+  SUPPORT: 'SUPPORT'
+};
+
+// Roles that sign in to the admin panel with a password
+export const STAFF_ROLES = ['ADMIN', 'ORDER_MANAGER', 'CATALOG_EDITOR', 'SUPPORT'];
+
+export const PERMISSIONS = {
+  PRODUCTS_READ: 'products:read',
+  PRODUCTS_WRITE: 'products:write',
+  PRODUCTS_DELETE: 'products:delete',
+  INVENTORY_READ: 'inventory:read',
+  INVENTORY_WRITE: 'inventory:write',
+  ORDERS_READ: 'orders:read',
+  ORDERS_UPDATE: 'orders:update',
+  ORDERS_REFUND: 'orders:refund',
+  RETURNS_READ: 'returns:read',
+  RETURNS_MANAGE: 'returns:manage',
+  CONTACTS_READ: 'contacts:read',
+  CONTACTS_UPDATE: 'contacts:update',
+  CONTACTS_DELETE: 'contacts:delete',
+  COUPONS_READ: 'coupons:read',
+  COUPONS_WRITE: 'coupons:write',
+  COUPONS_DELETE: 'coupons:delete',
+  CREDIT_READ: 'credit:read',
+  CREDIT_MANAGE: 'credit:manage',
+  QUOTES_READ: 'quotes:read',
+  QUOTES_MANAGE: 'quotes:manage',
+  PRICING_READ: 'pricing:read',
+  PRICING_WRITE: 'pricing:write',
+  AUDIT_LOG_READ: 'audit-log:read'
+};
+
+// ADMIN has every permission; roles not listed here have none
+export const ROLE_PERMISSIONS = {
+  ADMIN: Object.values(PERMISSIONS),
+  ORDER_MANAGER: [
+    PERMISSIONS.PRODUCTS_READ,
+    PERMISSIONS.INVENTORY_READ,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_UPDATE,
+    PERMISSIONS.ORDERS_REFUND,
+    PERMISSIONS.RETURNS_READ,
+    PERMISSIONS.RETURNS_MANAGE,
+    PERMISSIONS.CREDIT_READ,
+    PERMISSIONS.QUOTES_READ
+  ],
+  CATALOG_EDITOR: [
+    PERMISSIONS.PRODUCTS_READ,
+    PERMISSIONS.PRODUCTS_WRITE,
+    PERMISSIONS.INVENTORY_READ,
+    PERMISSIONS.INVENTORY_WRITE,
+    PERMISSIONS.PRICING_READ
+  ],
+  SUPPORT: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.RETURNS_READ,
+    PERMISSIONS.CONTACTS_READ,
+    PERMISSIONS.CONTACTS_UPDATE,
+    PERMISSIONS.COUPONS_READ
+  ]
 };
 
 export const CONTACT_STATUS = {
   UNREAD: 'UNREAD',
   READ: 'READ',
   REPLIED: 'REPLIED'
-};
\ No newline at end of file
+};
+export const KYC_STATUS = {
+  PENDING: 'PENDING',
+  NEEDS_INFO: 'NEEDS_INFO',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  SUSPENDED: 'SUSPENDED'
+};
+
+// Statuses an admin can move a wholesaler to. NEEDS_INFO -> PENDING happens when the
+// wholesaler re-submits their documents.
+export const KYC_STATUS_TRANSITIONS = {
+  PENDING: ['APPROVED', 'NEEDS_INFO', 'REJECTED'],
+  NEEDS_INFO: ['APPROVED', 'REJECTED'],
+  APPROVED: ['SUSPENDED'],
+  SUSPENDED: ['APPROVED', 'REJECTED'],
+  REJECTED: []
+};
+
+// Days until a credit invoice is due
+export const PAYMENT_TERMS_DAYS = {
+  NET_15: 15,
+  NET_30: 30
+};
+
+export const QUOTE_STATUS = {
+  REQUESTED: 'REQUESTED',
+  QUOTED: 'QUOTED',
+  ACCEPTED: 'ACCEPTED',
+  DECLINED: 'DECLINED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED'
+};
+
+// Quotes that are still waiting on the admin or the buyer
+export const OPEN_QUOTE_STATUSES = [QUOTE_STATUS.REQUESTED, QUOTE_STATUS.QUOTED];
+
+export const PROMOTION_TYPE = {
+  BUY_X_GET_Y: 'BUY_X_GET_Y',
+  BUNDLE_PRICE: 'BUNDLE_PRICE',
+  CATEGORY_DISCOUNT: 'CATEGORY_DISCOUNT',
+  FREE_SHIPPING: 'FREE_SHIPPING'
+};
+
+export const INVENTORY_MOVEMENT_REASON = {
+  SALE: 'SALE',
+  REFUND_RESTOCK: 'REFUND_RESTOCK',
+  RETURN_RESTOCK: 'RETURN_RESTOCK',
+  CANCELLATION_RESTOCK: 'CANCELLATION_RESTOCK',
+  EXCHANGE_RESERVE: 'EXCHANGE_RESERVE',
+  EXCHANGE_RELEASE: 'EXCHANGE_RELEASE',
+  MANUAL_ADJUSTMENT: 'MANUAL_ADJUSTMENT',
+  IMPORT: 'IMPORT'
+};
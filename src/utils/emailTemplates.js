@@ -409,6 +409,16 @@ export const emailTemplates = {
                     </div>
                 </div>
                 
+                ${userData.verificationUrl ? `
+                <div class="account-info">
+                    <h4 style="margin: 0 0 10px 0; color: #2d5e2d;">Please Verify Your Email</h4>
+                    <p style="margin: 5px 0;">Confirm that ${userData.email} belongs to you. This link is valid for ${userData.verificationHours} hours.</p>
+                    <div style="text-align: center;">
+                        <a href="${userData.verificationUrl}" class="cta-button">Verify Email Address</a>
+                    </div>
+                </div>
+                ` : ''}
+
                 <div style="text-align: center;">
                     <a href="${frontendUrl}/products" class="cta-button">
                         Browse Our Products
@@ -460,7 +470,10 @@ export const emailTemplates = {
     • Fast Delivery: Fresh products delivered to your doorstep
     • Quality Guarantee: Competitive prices for premium quality products
 
-    GET STARTED:
+    ${userData.verificationUrl ? `VERIFY YOUR EMAIL (valid for ${userData.verificationHours} hours):
+    ${userData.verificationUrl}
+
+    ` : ''}GET STARTED:
     ${frontendUrl}/products
 
     YOUR ACCOUNT INFORMATION:
@@ -2967,6 +2980,483 @@ Nourishing Lives Naturally
     Nourishing Lives Naturally
         `.trim()
     };
+    },
+
+    returnRequestCustomer: (returnData) => {
+    const typeLabel = returnData.type === 'EXCHANGE' ? 'Exchange' : 'Return';
+    const itemsHtml = returnData.items.map(item => `
+                        <tr>
+                            <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${item.orderItem.product?.name || 'Product'}${item.orderItem.productVariant ? ` (${item.orderItem.productVariant.color} / ${item.orderItem.productVariant.size})` : ''}</td>
+                            <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: center;">${item.quantity}</td>
+                            <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${item.exchangeVariant ? `${item.exchangeVariant.color} / ${item.exchangeVariant.size}` : '-'}</td>
+                        </tr>`).join('');
+    const itemsText = returnData.items.map(item =>
+        `- ${item.orderItem.product?.name || 'Product'}${item.orderItem.productVariant ? ` (${item.orderItem.productVariant.color} / ${item.orderItem.productVariant.size})` : ''} x ${item.quantity}${item.exchangeVariant ? ` -> ${item.exchangeVariant.color} / ${item.exchangeVariant.size}` : ''}`
+    ).join('\n    ');
+
+    return {
+        subject: `${typeLabel} Request Received - ${returnData.returnNumber} - hanger garments`,
+        html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${typeLabel} Request - hanger garments</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+            .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: #17a2b8; padding: 30px 20px; text-align: center; color: #ffffff; }
+            .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+            .content { padding: 30px; }
+            .return-info { background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>📦 ${typeLabel} Request Received</h1>
+                <p>Request ${returnData.returnNumber}</p>
+            </div>
+            
+            <div class="content">
+                <p>Hello <strong>${returnData.order.name}</strong>,</p>
+                
+                <p>We have received your ${typeLabel.toLowerCase()} request for order <strong>#${returnData.order.orderNumber}</strong>. Our team will review it and get back to you shortly.</p>
+                
+                <div class="return-info">
+                    <h3 style="color: #495057; margin-bottom: 15px;">Request Details</h3>
+                    <p><strong>Request Number:</strong> ${returnData.returnNumber}</p>
+                    <p><strong>Reason:</strong> ${returnData.reason.replace(/_/g, ' ')}</p>
+                    ${returnData.description ? `<p><strong>Comments:</strong> ${returnData.description}</p>` : ''}
+                    <table style="width: 100%; margin-top: 15px; border-collapse: collapse;">
+                        <tr>
+                            <th style="padding: 8px; text-align: left; border-bottom: 2px solid #dee2e6;">Item</th>
+                            <th style="padding: 8px; border-bottom: 2px solid #dee2e6;">Qty</th>
+                            <th style="padding: 8px; text-align: left; border-bottom: 2px solid #dee2e6;">Exchange For</th>
+                        </tr>${itemsHtml}
+                    </table>
+                </div>
+
+                <p>Please keep the items unused and in their original packaging until the pickup.</p>
+            </div>
+            
+            <div class="footer">
+                <p><strong>hanger garments</strong></p>
+                <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                    This is an automated email. Please do not reply to this message.
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+        `,
+        text: `
+    ${typeLabel.toUpperCase()} REQUEST RECEIVED - hanger garments
+
+    Hello ${returnData.order.name},
+
+    We have received your ${typeLabel.toLowerCase()} request for order #${returnData.order.orderNumber}.
+    Our team will review it and get back to you shortly.
+
+    Request Number: ${returnData.returnNumber}
+    Reason: ${returnData.reason.replace(/_/g, ' ')}
+    ${returnData.description ? `Comments: ${returnData.description}\n` : ''}
+    ITEMS:
+    ${itemsText}
+
+    Please keep the items unused and in their original packaging until the pickup.
+
+    --
+    hanger garments
+        `.trim()
+    };
+    },
+
+    returnRequestAdmin: (returnData) => {
+    const typeLabel = returnData.type === 'EXCHANGE' ? 'Exchange' : 'Return';
+    const itemsText = returnData.items.map(item =>
+        `- ${item.orderItem.product?.name || 'Product'}${item.orderItem.productVariant ? ` (${item.orderItem.productVariant.color} / ${item.orderItem.productVariant.size})` : ''} x ${item.quantity}${item.exchangeVariant ? ` -> ${item.exchangeVariant.color} / ${item.exchangeVariant.size}` : ''}`
+    ).join('\n');
+    const photos = Array.isArray(returnData.photos) ? returnData.photos : [];
+
+    return {
+        subject: `New ${typeLabel} Request ${returnData.returnNumber} - Order #${returnData.order.orderNumber}`,
+        html: `
+    <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #17a2b8;">New ${typeLabel} Request</h2>
+        <p><strong>Request Number:</strong> ${returnData.returnNumber}</p>
+        <p><strong>Order:</strong> #${returnData.order.orderNumber}</p>
+        <p><strong>Customer:</strong> ${returnData.order.name} (${returnData.order.email}, ${returnData.order.phone})</p>
+        <p><strong>Reason:</strong> ${returnData.reason.replace(/_/g, ' ')}</p>
+        ${returnData.description ? `<p><strong>Comments:</strong> ${returnData.description}</p>` : ''}
+        <h3 style="margin-top: 20px;">Items</h3>
+        <pre style="background: #f8f9fa; padding: 10px; border-radius: 6px;">${itemsText}</pre>
+        ${photos.length > 0 ? `<h3 style="margin-top: 20px;">Photos</h3>${photos.map(photo => `<p><a href="${photo.url}">${photo.filename}</a></p>`).join('')}` : ''}
+        <p style="margin-top: 20px;">Review this request in the admin panel.</p>
+    </div>
+        `,
+        text: `
+    New ${typeLabel} Request
+
+    Request Number: ${returnData.returnNumber}
+    Order: #${returnData.order.orderNumber}
+    Customer: ${returnData.order.name} (${returnData.order.email}, ${returnData.order.phone})
+    Reason: ${returnData.reason.replace(/_/g, ' ')}
+    ${returnData.description ? `Comments: ${returnData.description}\n` : ''}
+    Items:
+    ${itemsText}
+    ${photos.length > 0 ? `\nPhotos:\n${photos.map(photo => photo.url).join('\n')}` : ''}
+        `.trim()
+    };
+    },
+
+    returnStatusUpdate: (returnData) => {
+    const typeLabel = returnData.type === 'EXCHANGE' ? 'Exchange' : 'Return';
+    const messages = {
+        APPROVED: returnData.type === 'EXCHANGE'
+            ? 'Your exchange has been approved and the replacement size has been set aside for you. We will arrange a pickup of the original items.'
+            : 'Your return has been approved. We will arrange a pickup of the items.',
+        REJECTED: `Unfortunately your ${typeLabel.toLowerCase()} request could not be approved.${returnData.rejectionReason ? ` Reason: ${returnData.rejectionReason}` : ''}`,
+        RECEIVED: 'We have received the returned items. Our team will contact you about the refund.',
+        REFUNDED: 'We have received the returned items and your refund has been processed. It will reflect in your original payment method within 5-7 business days.',
+        EXCHANGED: 'We have received the returned items and your replacement is on its way.',
+        CANCELLED: `Your ${typeLabel.toLowerCase()} request has been cancelled.`
+    };
+    const message = messages[returnData.status] || `Your ${typeLabel.toLowerCase()} request has been updated.`;
+
+    return {
+        subject: `${typeLabel} ${returnData.returnNumber} - ${returnData.status.charAt(0) + returnData.status.slice(1).toLowerCase()} - hanger garments`,
+        html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${typeLabel} Update - hanger garments</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f6f6f6; padding: 20px; }
+            .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+            .header { background: #17a2b8; padding: 30px 20px; text-align: center; color: #ffffff; }
+            .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+            .content { padding: 30px; }
+            .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${typeLabel} Update</h1>
+                <p>Request ${returnData.returnNumber}</p>
+            </div>
+            
+            <div class="content">
+                <p>Hello <strong>${returnData.order.name}</strong>,</p>
+                <p style="margin-top: 15px;">${message}</p>
+                <p style="margin-top: 15px;"><strong>Order Number:</strong> ${returnData.order.orderNumber}</p>
+            </div>
+            
+            <div class="footer">
+                <p><strong>hanger garments</strong></p>
+                <p style="margin-top: 15px; font-size: 11px; color: #999;">
+                    This is an automated email. Please do not reply to this message.
+                </p>
+            </div>
+        </div>
+    </body>
+    </html>
+        `,
+        text: `
+    ${typeLabel.toUpperCase()} UPDATE - hanger garments
+
+    Hello ${returnData.order.name},
+
+    ${message}
+
+    Request Number: ${returnData.returnNumber}
+    Order Number: ${returnData.order.orderNumber}
+
+    --
+    hanger garments
+        `.trim()
+    };
+    },
+
+    emailVerification: (userData) => ({
+        subject: 'Verify your email address - hanger garments',
+        html: `
+    <div style="font-family: Arial, Helvetica, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333333;">
+        <h2 style="color: #2d5e2d;">Verify Your Email Address</h2>
+        <p>Hello <strong>${userData.name}</strong>,</p>
+        <p>Please confirm that ${userData.email} belongs to you by clicking the button below.</p>
+        <div style="text-align: center; margin: 25px 0;">
+            <a href="${userData.verificationUrl}" style="display: inline-block; padding: 12px 25px; background: #2d5e2d; color: #ffffff; text-decoration: none; border-radius: 4px;">Verify Email Address</a>
+        </div>
+        <p style="font-size: 13px; color: #666666;">This link is valid for ${userData.verificationHours} hours. If you did not create an account with hanger garments, you can ignore this email.</p>
+    </div>
+        `,
+        text: `
+    Verify Your Email Address
+
+    Hello ${userData.name},
+
+    Please confirm that ${userData.email} belongs to you by opening the link below:
+    ${userData.verificationUrl}
+
+    This link is valid for ${userData.verificationHours} hours. If you did not create an account with hanger garments, you can ignore this email.
+
+    --
+    hanger garments
+        `.trim()
+    }),
+
+    wholesalerKycStatusUpdate: (wholesalerData) => {
+    const reason = wholesalerData.reason ? `Reason: ${wholesalerData.reason}` : '';
+    const messages = {
+        NEEDS_INFO: {
+            title: 'More Information Needed',
+            body: 'We need a little more information before we can approve your wholesale account. Please update your business details or upload new shop photos using the link below.'
+        },
+        APPROVED: {
+            title: 'Account Approved',
+            body: 'Your wholesale account has been approved. You can now log in and access wholesale pricing.'
+        },
+        REJECTED: {
+            title: 'Application Not Approved',
+            body: 'Unfortunately we were unable to approve your wholesale account application.'
+        },
+        SUSPENDED: {
+            title: 'Account Suspended',
+            body: 'Your wholesale account has been suspended and you will not be able to log in until it is reinstated. Please contact us if you believe this is a mistake.'
+        }
+    };
+    const message = messages[wholesalerData.status] || {
+        title: 'Account Update',
+        body: 'The status of your wholesale account has been updated.'
+    };
+
+    return {
+        subject: `${message.title} - hanger garments Wholesale`,
+        html: `
+    <div style="font-family: Arial, Helvetica, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333333;">
+        <h2 style="color: #2d5e2d;">${message.title}</h2>
+        <p>Hello <strong>${wholesalerData.name}</strong>,</p>
+        <p>${message.body}</p>
+        ${reason ? `<p style="background: #f8f9fa; border-left: 4px solid #2d5e2d; padding: 12px 15px;">${reason}</p>` : ''}
+        ${wholesalerData.resubmitUrl ? `
+        <div style="text-align: center; margin: 25px 0;">
+            <a href="${wholesalerData.resubmitUrl}" style="display: inline-block; padding: 12px 25px; background: #2d5e2d; color: #ffffff; text-decoration: none; border-radius: 4px;">Update My Details</a>
+        </div>
+        <p style="font-size: 13px; color: #666666;">This link is valid for ${wholesalerData.resubmitDays} days.</p>` : ''}
+        <p style="font-size: 13px; color: #666666;">Questions? Reply to this email or contact our wholesale team.</p>
+    </div>
+        `,
+        text: `
+    ${message.title}
+
+    Hello ${wholesalerData.name},
+
+    ${message.body}
+    ${reason ? `\n    ${reason}\n` : ''}${wholesalerData.resubmitUrl ? `\n    Update your details: ${wholesalerData.resubmitUrl}\n    This link is valid for ${wholesalerData.resubmitDays} days.\n` : ''}
+    --
+    hanger garments
+        `.trim()
+    };
+    },
+
+    wholesalerKycResubmitted: (wholesalerData) => ({
+        subject: `Wholesaler Re-submitted Details: ${wholesalerData.businessName}`,
+        html: `
+    <div style="font-family: Arial, Helvetica, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333333;">
+        <h2 style="color: #2d5e2d;">Wholesaler Ready for Review</h2>
+        <p><strong>${wholesalerData.businessName}</strong> has updated their details after being asked for more information.</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 15px 0;">
+            <tr><td style="padding: 6px 0; color: #666666;">Contact</td><td>${wholesalerData.contactPerson}</td></tr>
+            <tr><td style="padding: 6px 0; color: #666666;">Email</td><td>${wholesalerData.email}</td></tr>
+            <tr><td style="padding: 6px 0; color: #666666;">Phone</td><td>${wholesalerData.phone}</td></tr>
+            <tr><td style="padding: 6px 0; color: #666666;">GST Number</td><td>${wholesalerData.gstNumber}</td></tr>
+            <tr><td style="padding: 6px 0; color: #666666;">Shop Photos</td><td>${wholesalerData.photoCount}</td></tr>
+        </table>
+        ${wholesalerData.previousReason ? `<p style="font-size: 13px; color: #666666;">Information requested: ${wholesalerData.previousReason}</p>` : ''}
+    </div>
+        `,
+        text: `
+    Wholesaler Ready for Review
+
+    ${wholesalerData.businessName} has updated their details after being asked for more information.
+
+    Contact: ${wholesalerData.contactPerson}
+    Email: ${wholesalerData.email}
+    Phone: ${wholesalerData.phone}
+    GST Number: ${wholesalerData.gstNumber}
+    Shop Photos: ${wholesalerData.photoCount}
+    ${wholesalerData.previousReason ? `Information requested: ${wholesalerData.previousReason}` : ''}
+
+    --
+    hanger garments
+        `.trim()
+    }),
+
+    creditOverdueReminder: (reminderData) => {
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+    const rows = reminderData.invoices.map(invoice => `
+            <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${invoice.orderNumber}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${formatDate(invoice.dueDate)}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${invoice.daysOverdue} days</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: right;">₹${invoice.amountDue.toFixed(2)}</td>
+            </tr>`).join('');
+    const rowsText = reminderData.invoices
+        .map(invoice => `    ${invoice.orderNumber} - due ${formatDate(invoice.dueDate)} (${invoice.daysOverdue} days overdue) - ₹${invoice.amountDue.toFixed(2)}`)
+        .join('\n');
+
+    return {
+        subject: `Payment Overdue: ₹${reminderData.totalOverdue.toFixed(2)} - hanger garments`,
+        html: `
+    <div style="font-family: Arial, Helvetica, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333333;">
+        <h2 style="color: #b02a37;">Payment Overdue</h2>
+        <p>Hello <strong>${reminderData.name}</strong>,</p>
+        <p>The following pay-later invoices on your wholesale account are past their due date:</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 15px 0; font-size: 14px;">
+            <tr style="background: #f8f9fa;">
+                <th style="padding: 8px; text-align: left;">Order</th>
+                <th style="padding: 8px; text-align: left;">Due Date</th>
+                <th style="padding: 8px; text-align: left;">Overdue</th>
+                <th style="padding: 8px; text-align: right;">Amount Due</th>
+            </tr>${rows}
+            <tr>
+                <td colspan="3" style="padding: 8px; font-weight: bold;">Total Overdue</td>
+                <td style="padding: 8px; font-weight: bold; text-align: right;">₹${reminderData.totalOverdue.toFixed(2)}</td>
+            </tr>
+        </table>
+        <p>New pay-later orders are on hold until these invoices are paid. Please quote the order numbers with your payment.</p>
+        <p style="font-size: 13px; color: #666666;">If you have already paid, please ignore this email or reply with the payment reference.</p>
+    </div>
+        `,
+        text: `
+    Payment Overdue
+
+    Hello ${reminderData.name},
+
+    The following pay-later invoices on your wholesale account are past their due date:
+
+${rowsText}
+
+    Total Overdue: ₹${reminderData.totalOverdue.toFixed(2)}
+
+    New pay-later orders are on hold until these invoices are paid. Please quote the order numbers with your payment.
+
+    --
+    hanger garments
+        `.trim()
+    };
+    },
+
+    quoteRequested: (quoteData) => {
+    const rows = quoteData.items.map(item => `
+            <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${item.productName}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${item.variant || '-'}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: right;">${item.quantity}</td>
+            </tr>`).join('');
+    const rowsText = quoteData.items
+        .map(item => `    ${item.productName}${item.variant ? ` (${item.variant})` : ''} x ${item.quantity}`)
+        .join('\n');
+
+    return {
+        subject: `Quote Request ${quoteData.quoteNumber}: ${quoteData.businessName}`,
+        html: `
+    <div style="font-family: Arial, Helvetica, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333333;">
+        <h2 style="color: #2d5e2d;">New Quote Request</h2>
+        <p><strong>${quoteData.businessName}</strong> (${quoteData.email}) has requested a quote for ${quoteData.totalQuantity} pieces.</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 15px 0; font-size: 14px;">
+            <tr style="background: #f8f9fa;">
+                <th style="padding: 8px; text-align: left;">Product</th>
+                <th style="padding: 8px; text-align: left;">Variant</th>
+                <th style="padding: 8px; text-align: right;">Quantity</th>
+            </tr>${rows}
+        </table>
+        ${quoteData.buyerNote ? `<p style="font-size: 13px; color: #666666;">Buyer note: ${quoteData.buyerNote}</p>` : ''}
+    </div>
+        `,
+        text: `
+    New Quote Request ${quoteData.quoteNumber}
+
+    ${quoteData.businessName} (${quoteData.email}) has requested a quote for ${quoteData.totalQuantity} pieces:
+
+${rowsText}
+
+    ${quoteData.buyerNote ? `Buyer note: ${quoteData.buyerNote}` : ''}
+
+    --
+    hanger garments
+        `.trim()
+    };
+    },
+
+    quoteUpdate: (quoteData) => {
+    const isQuoted = quoteData.status === 'QUOTED';
+    const rows = !isQuoted ? '' : quoteData.items.map(item => `
+            <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${item.productName}${item.variant ? ` (${item.variant})` : ''}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: right;">${item.quantity}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: right;">₹${item.unitPrice.toFixed(2)}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: right;">₹${(item.unitPrice * item.quantity).toFixed(2)}</td>
+            </tr>`).join('');
+    const rowsText = isQuoted
+        ? quoteData.items
+            .map(item => `    ${item.productName}${item.variant ? ` (${item.variant})` : ''} x ${item.quantity} @ ₹${item.unitPrice.toFixed(2)} = ₹${(item.unitPrice * item.quantity).toFixed(2)}`)
+            .join('\n')
+        : '';
+    const validUntil = quoteData.validUntil ? new Date(quoteData.validUntil).toLocaleDateString('en-IN') : null;
+
+    return {
+        subject: isQuoted
+            ? `Your Quote ${quoteData.quoteNumber} is Ready - hanger garments`
+            : `Update on Quote ${quoteData.quoteNumber} - hanger garments`,
+        html: `
+    <div style="font-family: Arial, Helvetica, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333333;">
+        <h2 style="color: ${isQuoted ? '#2d5e2d' : '#b02a37'};">${isQuoted ? 'Your Quote is Ready' : 'Quote Declined'}</h2>
+        <p>Hello <strong>${quoteData.name}</strong>,</p>
+        ${isQuoted ? `
+        <p>Here are our prices for quote <strong>${quoteData.quoteNumber}</strong>:</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 15px 0; font-size: 14px;">
+            <tr style="background: #f8f9fa;">
+                <th style="padding: 8px; text-align: left;">Product</th>
+                <th style="padding: 8px; text-align: right;">Qty</th>
+                <th style="padding: 8px; text-align: right;">Unit Price</th>
+                <th style="padding: 8px; text-align: right;">Total</th>
+            </tr>${rows}
+            <tr>
+                <td colspan="3" style="padding: 8px; font-weight: bold;">Subtotal</td>
+                <td style="padding: 8px; font-weight: bold; text-align: right;">₹${quoteData.subtotal.toFixed(2)}</td>
+            </tr>
+        </table>
+        <p>These prices are valid until <strong>${validUntil}</strong>. Accept the quote from your account to place the order.</p>
+        ` : `
+        <p>We're unable to offer a quote for <strong>${quoteData.quoteNumber}</strong> at this time.</p>
+        `}
+        ${quoteData.adminNote ? `<p style="background: #f8f9fa; padding: 10px; border-radius: 4px;">${quoteData.adminNote}</p>` : ''}
+    </div>
+        `,
+        text: `
+    ${isQuoted ? 'Your Quote is Ready' : 'Quote Declined'}
+
+    Hello ${quoteData.name},
+
+    ${isQuoted
+        ? `Here are our prices for quote ${quoteData.quoteNumber}:\n\n${rowsText}\n\n    Subtotal: ₹${quoteData.subtotal.toFixed(2)}\n\n    These prices are valid until ${validUntil}. Accept the quote from your account to place the order.`
+        : `We're unable to offer a quote for ${quoteData.quoteNumber} at this time.`}
+
+    ${quoteData.adminNote || ''}
+
+    --
+    hanger garments
+        `.trim()
+    };
     }
 
-};
\ No newline at end of file
+};
@@ -87,4 +87,61 @@ export const formatTrackingResponse = (order) => {
       totalAmount: order.totalAmount
     }
   };
-};
\ No newline at end of file
+};
+// Phone signups have no email and were verified by OTP instead
+export const isAccountVerified = (user) => Boolean(user.emailVerified) || (!user.email && user.isPhoneVerified);
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+export const normalizeGstin = (gstin) => String(gstin || '').replace(/\s/g, '').toUpperCase();
+
+// 2-digit state code + PAN + entity number + 'Z' + mod-36 check character
+export const isValidGstin = (gstin) => {
+  const value = normalizeGstin(gstin);
+
+  if (!GSTIN_PATTERN.test(value)) {
+    return false;
+  }
+
+  const stateCode = parseInt(value.slice(0, 2), 10);
+  if (stateCode < 1 || (stateCode > 38 && stateCode !== 97 && stateCode !== 99)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+};
+
+/**
+ * What each order line was charged after tiers, promotions, customization and
+ * its share of the coupon, keyed by order item id. Orders placed before
+ * netAmount was stored split the goods total (totalAmount less shipping) in
+ * proportion to line value, so the lines still add up to what was paid.
+ */
+export const getNetLineAmounts = (order) => {
+  const roundMoney = (value) => Math.round(value * 100) / 100;
+  const items = order.orderItems || [];
+
+  if (items.every(item => item.netAmount !== null && item.netAmount !== undefined)) {
+    return new Map(items.map(item => [item.id, item.netAmount]));
+  }
+
+  const goodsTotal = Math.max(0, order.totalAmount - (order.shippingCost || 0));
+  const grossAmounts = items.map(item => (item.price + (item.customizationPrice || 0)) * item.quantity);
+  const grossTotal = grossAmounts.reduce((sum, amount) => sum + amount, 0);
+
+  let allocated = 0;
+  return new Map(items.map((item, index) => {
+    const amount = index === items.length - 1
+      ? roundMoney(goodsTotal - allocated)
+      : roundMoney(grossTotal > 0 ? goodsTotal * grossAmounts[index] / grossTotal : 0);
+    allocated = roundMoney(allocated + amount);
+    return [item.id, amount];
+  }));
+};
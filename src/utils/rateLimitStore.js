@@ -0,0 +1,70 @@
+// Fixed-window hit counters for the rate limiter.
+// A store implements `increment(key, windowMs)` resolving to `{ count, resetAt }` and `reset(key)`.
+
+export class MemoryRateLimitStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+
+    // Drop expired windows so the map doesn't grow with every IP ever seen
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) {
+          this.hits.delete(key);
+        }
+      }
+    }, cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      this.hits.set(key, fresh);
+      return { ...fresh };
+    }
+
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+// Shares counters across server instances. Works with any client exposing
+// ioredis-style `incr`, `pexpire`, `pttl` and `del` (ioredis, or a thin node-redis wrapper).
+export class RedisRateLimitStore {
+  constructor(client, { prefix = 'rl:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, windowMs) {
+    const redisKey = `${this.prefix}${key}`;
+    const count = await this.client.incr(redisKey);
+
+    if (count === 1) {
+      await this.client.pexpire(redisKey, windowMs);
+      return { count, resetAt: Date.now() + windowMs };
+    }
+
+    let ttl = await this.client.pttl(redisKey);
+
+    // The key lost its expiry (e.g. the process died between INCR and PEXPIRE)
+    if (ttl < 0) {
+      await this.client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  }
+
+  async reset(key) {
+    await this.client.del(`${this.prefix}${key}`);
+  }
+}
@@ -0,0 +1,202 @@
+// test/pricingService.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pricingService from '../src/services/pricingService.js';
+import promotionService from '../src/services/promotionService.js';
+import couponService from '../src/services/couponService.js';
+
+const tee = {
+  id: 'tee',
+  name: 'Classic Tee',
+  status: 'ACTIVE',
+  normalPrice: 500,
+  offerPrice: 400,
+  wholesalePrice: 300,
+  categoryId: 'apparel',
+  subcategoryId: 'tees',
+  baseCustomizationPrice: 150,
+  subcategory: {
+    quantityPrices: [
+      { quantity: 5, priceType: 'PERCENTAGE', value: 10 },
+      { quantity: 10, priceType: 'FIXED_AMOUNT', value: 2500 }
+    ]
+  }
+};
+
+const cap = {
+  id: 'cap',
+  name: 'Cotton Cap',
+  status: 'ACTIVE',
+  normalPrice: 200,
+  offerPrice: null,
+  wholesalePrice: 150,
+  categoryId: 'accessories',
+  subcategoryId: 'caps',
+  baseCustomizationPrice: 0,
+  subcategory: { quantityPrices: [] }
+};
+
+const design = {
+  id: 'design-1',
+  orderItem: null,
+  customization: { productId: 'tee', basePrice: 200 }
+};
+
+const coupon = {
+  id: 'coupon-1',
+  code: 'SAVE10',
+  discountType: 'PERCENTAGE',
+  discountValue: 10,
+  maxDiscount: null,
+  scopes: []
+};
+
+// Catalogue, promotions, coupon and shipping come from the database and .env in the app
+const stubPricingData = (t) => {
+  t.mock.method(pricingService, 'loadProducts', async () => new Map([[tee.id, tee], [cap.id, cap]]));
+  t.mock.method(pricingService, 'loadDesigns', async () => new Map([[design.id, design]]));
+  t.mock.method(pricingService, 'calculateShipping', () => 60);
+  t.mock.method(promotionService, 'getActivePromotions', async () => []);
+  t.mock.method(couponService, 'validateCoupon', async () => coupon);
+};
+
+const priceCart = async (items, { isWholesaleUser = false, couponCode = null } = {}) => {
+  const lines = await pricingService.priceLines(items, { isWholesaleUser });
+  return await pricingService.summarize(lines, { couponCode, isWholesaleUser });
+};
+
+const lineTotals = (summary) => summary.lines.map(line => ({
+  productId: line.productId,
+  itemsTotal: line.itemsTotal,
+  customizationTotal: line.customizationTotal,
+  lineTotal: line.lineTotal,
+  couponDiscount: line.couponDiscount
+}));
+
+describe('pricingService.getTierPrice', () => {
+  it('takes a percentage off the whole line once the tier quantity is reached', () => {
+    const price = pricingService.getTierPrice(400, 6, tee.subcategory.quantityPrices);
+
+    assert.equal(price.total, 2160);
+    assert.equal(price.discount, 240);
+    assert.equal(price.appliedTier.message, '10% off for 5+ items');
+  });
+
+  it('charges a fixed amount tier as the price of the whole line', () => {
+    const price = pricingService.getTierPrice(400, 12, tee.subcategory.quantityPrices);
+
+    assert.equal(price.originalTotal, 4800);
+    assert.equal(price.total, 2500);
+    assert.equal(price.appliedTier.message, '₹2500 for 10 items');
+  });
+
+  it('keeps the base price below the first tier', () => {
+    const price = pricingService.getTierPrice(400, 4, tee.subcategory.quantityPrices);
+
+    assert.equal(price.total, 1600);
+    assert.equal(price.appliedTier, null);
+  });
+});
+
+describe('cart totals', () => {
+  it('prices a tiered cart', async (t) => {
+    stubPricingData(t);
+
+    const summary = await priceCart([
+      { productId: 'tee', productVariantId: 'tee-m', quantity: 6 },
+      { productId: 'tee', productVariantId: 'tee-l', quantity: 10 },
+      { productId: 'cap', productVariantId: null, quantity: 2 }
+    ]);
+
+    assert.deepEqual(lineTotals(summary), [
+      { productId: 'tee', itemsTotal: 2160, customizationTotal: 0, lineTotal: 2160, couponDiscount: 0 },
+      { productId: 'tee', itemsTotal: 2500, customizationTotal: 0, lineTotal: 2500, couponDiscount: 0 },
+      { productId: 'cap', itemsTotal: 400, customizationTotal: 0, lineTotal: 400, couponDiscount: 0 }
+    ]);
+    assert.deepEqual(summary.breakdown, {
+      itemsTotal: 6800,
+      tierDiscount: 1740,
+      promotionDiscount: 0,
+      customization: 0,
+      subtotal: 5060,
+      couponDiscount: 0,
+      shipping: 60,
+      shippingDiscount: 0,
+      total: 5120
+    });
+  });
+
+  it('prices a wholesale cart at wholesale prices before tiers', async (t) => {
+    stubPricingData(t);
+
+    const summary = await priceCart([
+      { productId: 'tee', productVariantId: 'tee-m', quantity: 5 },
+      { productId: 'cap', productVariantId: null, quantity: 4 }
+    ], { isWholesaleUser: true });
+
+    assert.deepEqual(lineTotals(summary), [
+      { productId: 'tee', itemsTotal: 1350, customizationTotal: 0, lineTotal: 1350, couponDiscount: 0 },
+      { productId: 'cap', itemsTotal: 600, customizationTotal: 0, lineTotal: 600, couponDiscount: 0 }
+    ]);
+    assert.deepEqual(summary.breakdown, {
+      itemsTotal: 2100,
+      tierDiscount: 150,
+      promotionDiscount: 0,
+      customization: 0,
+      subtotal: 1950,
+      couponDiscount: 0,
+      shipping: 60,
+      shippingDiscount: 0,
+      total: 2010
+    });
+  });
+
+  it('adds the design charge for each customized unit', async (t) => {
+    stubPricingData(t);
+
+    const summary = await priceCart([
+      { productId: 'tee', productVariantId: 'tee-m', quantity: 2, customDesignId: 'design-1' }
+    ]);
+
+    assert.deepEqual(lineTotals(summary), [
+      { productId: 'tee', itemsTotal: 800, customizationTotal: 400, lineTotal: 1200, couponDiscount: 0 }
+    ]);
+    assert.deepEqual(summary.breakdown, {
+      itemsTotal: 800,
+      tierDiscount: 0,
+      promotionDiscount: 0,
+      customization: 400,
+      subtotal: 1200,
+      couponDiscount: 0,
+      shipping: 60,
+      shippingDiscount: 0,
+      total: 1260
+    });
+  });
+
+  it('spreads a coupon over the lines in proportion to their value', async (t) => {
+    stubPricingData(t);
+
+    const summary = await priceCart([
+      { productId: 'tee', productVariantId: 'tee-m', quantity: 3 },
+      { productId: 'cap', productVariantId: null, quantity: 1 }
+    ], { couponCode: 'SAVE10' });
+
+    assert.equal(summary.coupon.id, 'coupon-1');
+    assert.deepEqual(lineTotals(summary), [
+      { productId: 'tee', itemsTotal: 1200, customizationTotal: 0, lineTotal: 1200, couponDiscount: 120 },
+      { productId: 'cap', itemsTotal: 200, customizationTotal: 0, lineTotal: 200, couponDiscount: 20 }
+    ]);
+    assert.deepEqual(summary.breakdown, {
+      itemsTotal: 1400,
+      tierDiscount: 0,
+      promotionDiscount: 0,
+      customization: 0,
+      subtotal: 1400,
+      couponDiscount: 140,
+      shipping: 60,
+      shippingDiscount: 0,
+      total: 1320
+    });
+  });
+});